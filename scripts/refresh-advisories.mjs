@@ -0,0 +1,27 @@
+// Refreshes the offline advisory database used by dependency vulnerability scans.
+//
+//   npm run advisories:refresh                          download all ecosystems from OSV
+//   npm run advisories:refresh -- npm pypi              download selected ecosystems
+//   npm run advisories:refresh -- --from ./all.zip npm  import a local OSV zip or advisory directory
+import { getAdvisoryDbDir, refreshAdvisoryDb } from '../src/lib/advisoryDb.js';
+
+const args = process.argv.slice(2);
+const fromIndex = args.indexOf('--from');
+const source = fromIndex >= 0 ? args[fromIndex + 1] : null;
+const ecosystems = args.filter(
+  (_, index) => fromIndex < 0 || (index !== fromIndex && index !== fromIndex + 1),
+);
+
+try {
+  const summary = await refreshAdvisoryDb({
+    ecosystems: ecosystems.length ? ecosystems : undefined,
+    source,
+  });
+  for (const item of summary) {
+    console.log(`${item.ecosystem}: ${item.advisories} advisories for ${item.packages} packages`);
+  }
+  console.log(`Advisory database written to ${getAdvisoryDbDir()}`);
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
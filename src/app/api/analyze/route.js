@@ -1,13 +1,51 @@
+import path from 'node:path';
 import { NextResponse } from 'next/server';
-import { fetchRepoSnapshot } from '@/lib/github';
+import { fetchRepoSnapshot } from '@/lib/repoSnapshot';
+import { loadArchiveSnapshot, loadLocalSnapshot } from '@/lib/localSource';
 import { buildRepositoryReport } from '@/lib/reportBuilder';
+import { saveReport } from '@/lib/reportStore';
+import { readSession, toViewer } from '@/lib/session';
 
 export const runtime = 'nodejs';
 
 export async function POST(request) {
   try {
+    const session = readSession(request);
+    const viewer = toViewer(session);
+    const contentType = request.headers.get('content-type') || '';
+    if (contentType.includes('multipart/form-data')) {
+      const form = await request.formData();
+      const archive = form.get('archive');
+
+      if (!archive || typeof archive === 'string') {
+        return NextResponse.json(
+          { error: 'An archive file (.zip or .tar.gz) is required.' },
+          { status: 400 },
+        );
+      }
+
+      const snapshot = await loadArchiveSnapshot(Buffer.from(await archive.arrayBuffer()), {
+        filename: archive.name,
+        limits: readLimits((key) => form.get(key)),
+      });
+      const report = await buildRepositoryReport(snapshot);
+
+      return NextResponse.json(withReportId(report, viewer));
+    }
+
     const body = await request.json();
     const repoUrl = typeof body?.repoUrl === 'string' ? body.repoUrl.trim() : '';
+    const ref = typeof body?.ref === 'string' ? body.ref.trim() : '';
+    const strategy = typeof body?.strategy === 'string' ? body.strategy.trim() : '';
+    const localPath = typeof body?.localPath === 'string' ? body.localPath.trim() : '';
+    const limits = readLimits((key) => body?.[key]);
+
+    if (localPath) {
+      const snapshot = await loadLocalSnapshot(resolveLocalPath(localPath), { limits });
+      const report = await buildRepositoryReport(snapshot);
+
+      return NextResponse.json(withReportId(report, viewer));
+    }
 
     if (!repoUrl) {
       return NextResponse.json(
@@ -16,19 +54,78 @@ export async function POST(request) {
       );
     }
 
-    const snapshot = await fetchRepoSnapshot(repoUrl);
+    const snapshot = await fetchRepoSnapshot(repoUrl, {
+      ref: ref || undefined,
+      strategy: strategy || undefined,
+      limits,
+      auth: session ? { token: session.token } : undefined,
+    });
     const report = await buildRepositoryReport(snapshot);
 
-    return NextResponse.json(report);
+    return NextResponse.json(withReportId(report, viewer));
   } catch (error) {
     const message = error instanceof Error ? error.message : 'Unexpected server error.';
     const lowered = message.toLowerCase();
 
     let status = 500;
-    if (lowered.includes('rate limit') || lowered.includes('api rate limit')) status = 429;
+    if (error?.rateLimit || lowered.includes('rate limit')) status = 429;
     if (lowered.includes('not found')) status = 404;
-    if (lowered.includes('valid github')) status = 400;
+    if (lowered.includes('valid repository') || lowered.includes('unsupported archive')) status = 400;
+    if (lowered.includes('invalid archive')) status = 400;
+    if (lowered.includes('local directory analysis')) status = 403;
+    if (lowered.includes('is not public')) status = 403;
+    if (lowered.includes('sign in')) status = 401;
+
+    if (status === 429) {
+      return buildRateLimitResponse(message, error?.rateLimit);
+    }
 
     return NextResponse.json({ error: message }, { status });
   }
 }
+
+function withReportId(report, viewer) {
+  const saved = saveReport(report, viewer);
+  return { ...report, reportId: saved?.id ?? null, shared: saved?.shared ?? false };
+}
+
+function buildRateLimitResponse(message, rateLimit = null) {
+  const resetAt = rateLimit?.resetAt || null;
+  const retryAfter = resetAt
+    ? Math.max(0, Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000))
+    : rateLimit?.retryAfterSeconds ?? null;
+
+  return NextResponse.json(
+    { error: message, rateLimit: rateLimit ? { ...rateLimit, retryAfterSeconds: retryAfter } : null },
+    {
+      status: 429,
+      headers: retryAfter !== null ? { 'Retry-After': String(retryAfter) } : undefined,
+    },
+  );
+}
+
+function readLimits(read) {
+  const limits = {};
+  for (const key of ['maxFiles', 'maxFileSize', 'sampling']) {
+    const value = read(key);
+    if (value !== undefined && value !== null && value !== '') {
+      limits[key] = value;
+    }
+  }
+  return limits;
+}
+
+function resolveLocalPath(localPath) {
+  const root = process.env.LOCAL_SOURCE_ROOT;
+  if (!root) {
+    throw new Error('Local directory analysis is disabled. Set LOCAL_SOURCE_ROOT to enable it.');
+  }
+
+  const resolved = path.resolve(root, localPath);
+  const relative = path.relative(path.resolve(root), resolved);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error('Local directory analysis is restricted to paths inside LOCAL_SOURCE_ROOT.');
+  }
+
+  return resolved;
+}
@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { exchangeCodeForToken } from '@/lib/githubOAuth';
+import { getAuthenticatedUser } from '@/lib/providers/github';
+import { OAUTH_STATE_COOKIE, SESSION_COOKIE, cookieOptions, sealSession } from '@/lib/session';
+
+export const runtime = 'nodejs';
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const code = searchParams.get('code');
+  const state = searchParams.get('state');
+  const expectedState = request.cookies.get(OAUTH_STATE_COOKIE)?.value;
+
+  if (!code || !state || state !== expectedState) {
+    return NextResponse.json(
+      { error: 'GitHub sign-in could not be verified. Please try again.' },
+      { status: 400 },
+    );
+  }
+
+  try {
+    const redirectUri = new URL('/api/auth/callback', request.url).toString();
+    const token = await exchangeCodeForToken({ code, redirectUri });
+    const user = await getAuthenticatedUser(token);
+
+    const response = NextResponse.redirect(new URL('/', request.url));
+    response.cookies.set(SESSION_COOKIE, sealSession({ token, user }), cookieOptions());
+    response.cookies.delete(OAUTH_STATE_COOKIE);
+    return response;
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'GitHub sign-in failed.';
+    return NextResponse.json({ error: message }, { status: 502 });
+  }
+}
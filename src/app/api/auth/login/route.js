@@ -0,0 +1,27 @@
+import { randomBytes } from 'node:crypto';
+import { NextResponse } from 'next/server';
+import { buildAuthorizeUrl, isOAuthConfigured } from '@/lib/githubOAuth';
+import { OAUTH_STATE_COOKIE, cookieOptions, isSessionConfigured } from '@/lib/session';
+
+export const runtime = 'nodejs';
+
+const STATE_MAX_AGE_SECONDS = 10 * 60;
+
+export async function GET(request) {
+  if (!isOAuthConfigured() || !isSessionConfigured()) {
+    return NextResponse.json(
+      {
+        error:
+          'GitHub sign-in is not configured. Set GITHUB_CLIENT_ID, GITHUB_CLIENT_SECRET and SESSION_SECRET.',
+      },
+      { status: 503 },
+    );
+  }
+
+  const state = randomBytes(16).toString('hex');
+  const redirectUri = new URL('/api/auth/callback', request.url).toString();
+  const response = NextResponse.redirect(buildAuthorizeUrl({ state, redirectUri }));
+  response.cookies.set(OAUTH_STATE_COOKIE, state, cookieOptions(STATE_MAX_AGE_SECONDS));
+
+  return response;
+}
@@ -0,0 +1,10 @@
+import { NextResponse } from 'next/server';
+import { SESSION_COOKIE } from '@/lib/session';
+
+export const runtime = 'nodejs';
+
+export async function POST() {
+  const response = NextResponse.json({ signedIn: false });
+  response.cookies.delete(SESSION_COOKIE);
+  return response;
+}
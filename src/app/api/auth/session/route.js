@@ -0,0 +1,14 @@
+import { NextResponse } from 'next/server';
+import { isOAuthConfigured } from '@/lib/githubOAuth';
+import { isSessionConfigured, readSession } from '@/lib/session';
+
+export const runtime = 'nodejs';
+
+export async function GET(request) {
+  const session = readSession(request);
+
+  return NextResponse.json({
+    enabled: isOAuthConfigured() && isSessionConfigured(),
+    user: session?.user || null,
+  });
+}
@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server';
+import { getReport } from '@/lib/reportStore';
+import { readSession, toViewer } from '@/lib/session';
+
+export const runtime = 'nodejs';
+
+export async function GET(request, { params }) {
+  const { id } = await params;
+  const report = getReport(id, toViewer(readSession(request)));
+
+  // Reports hidden from this viewer are indistinguishable from missing ones.
+  if (!report) {
+    return NextResponse.json({ error: 'Report was not found.' }, { status: 404 });
+  }
+
+  return NextResponse.json(report);
+}
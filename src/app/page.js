@@ -1,10 +1,10 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import Dashboard from '@/components/Dashboard';
 
 const LOADING_STEPS = [
-  'Connecting to GitHub repository data...',
+  'Connecting to repository host data...',
   'Sampling source files and metadata...',
   'Running deterministic quality heuristics...',
   'Enhancing insights with selected AI provider...',
@@ -23,6 +23,19 @@ export default function Home() {
   const [loadingStep, setLoadingStep] = useState(0);
   const [data, setData] = useState(null);
   const [error, setError] = useState('');
+  const [auth, setAuth] = useState({ enabled: false, user: null });
+
+  useEffect(() => {
+    fetch('/api/auth/session')
+      .then((response) => response.json())
+      .then((session) => setAuth({ enabled: Boolean(session.enabled), user: session.user || null }))
+      .catch(() => setAuth({ enabled: false, user: null }));
+  }, []);
+
+  const handleSignOut = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    setAuth((previous) => ({ ...previous, user: null }));
+  };
 
   const canAnalyze = Boolean(repoUrl.trim()) && status !== 'loading';
 
@@ -48,7 +61,9 @@ export default function Home() {
 
       const result = await response.json();
       if (!response.ok) {
-        throw new Error(result.error || 'Analysis failed. Please try another repository.');
+        throw new Error(
+          formatRateLimitHint(result.error || 'Analysis failed. Please try another repository.', result.rateLimit),
+        );
       }
 
       setData(result);
@@ -95,13 +110,33 @@ export default function Home() {
                 onKeyDown={(event) => {
                   if (event.key === 'Enter') handleAnalyze();
                 }}
-                placeholder="Paste GitHub URL or owner/repo"
+                placeholder="Paste GitHub, GitLab, Gitea or Bitbucket URL (or owner/repo)"
               />
               <button className="primary-button" onClick={handleAnalyze} disabled={!canAnalyze}>
                 Analyze Now
               </button>
             </div>
 
+            {auth.enabled ? (
+              <div className="sample-row">
+                {auth.user ? (
+                  <>
+                    <span>Signed in as {auth.user.login}; private repositories are available.</span>
+                    <button type="button" className="sample-pill" onClick={handleSignOut}>
+                      Sign out
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <span>Private repository?</span>
+                    <a className="sample-pill" href="/api/auth/login">
+                      Sign in with GitHub
+                    </a>
+                  </>
+                )}
+              </div>
+            ) : null}
+
             <div className="sample-row">
               <span>Try:</span>
               {SAMPLE_REPOS.map((sample) => (
@@ -182,3 +217,15 @@ export default function Home() {
     </main>
   );
 }
+
+function formatRateLimitHint(message, rateLimit) {
+  if (!rateLimit?.resetAt) {
+    return message;
+  }
+
+  const resetTime = new Date(rateLimit.resetAt).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+  return `${message} The API quota resets at ${resetTime}; please come back then.`;
+}
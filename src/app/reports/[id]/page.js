@@ -0,0 +1,66 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useParams } from 'next/navigation';
+import Dashboard from '@/components/Dashboard';
+
+export default function SharedReport() {
+  const { id } = useParams();
+  const [status, setStatus] = useState('loading');
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetch(`/api/reports/${encodeURIComponent(id)}`)
+      .then(async (response) => {
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result.error || 'Report could not be loaded.');
+        }
+        setData(result);
+        setStatus('success');
+      })
+      .catch((caughtError) => {
+        setError(caughtError instanceof Error ? caughtError.message : 'Unknown error');
+        setStatus('error');
+      });
+  }, [id]);
+
+  return (
+    <main className="app-shell">
+      <div className="ambient-canvas">
+        <div className="ambient-orb orb-one" />
+        <div className="ambient-orb orb-two" />
+        <div className="grid-overlay" />
+      </div>
+
+      {status === 'loading' && (
+        <section className="state-shell">
+          <div className="state-card reveal-up">
+            <div className="spinner" aria-hidden />
+            <h2>Loading Report</h2>
+          </div>
+        </section>
+      )}
+
+      {status === 'error' && (
+        <section className="state-shell">
+          <div className="state-card error-card reveal-up">
+            <h2>Report Unavailable</h2>
+            <p>{error} Private reports are only visible to the account that created them.</p>
+            <Link className="primary-button" href="/">
+              Analyze a Repository
+            </Link>
+          </div>
+        </section>
+      )}
+
+      {status === 'success' && data && (
+        <section className="report-section reveal-up">
+          <Dashboard data={data} />
+        </section>
+      )}
+    </main>
+  );
+}
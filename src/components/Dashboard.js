@@ -7,8 +7,60 @@ const CATEGORY_LABELS = {
   security: 'Security',
   documentation: 'Documentation',
   architecture: 'Architecture',
+  activity: 'Activity',
+  testing: 'Testing',
 };
 
+// Categories that are only scored when the repository provides the data for them.
+const OPTIONAL_CATEGORIES = new Set(['activity', 'testing']);
+
+const DEPENDENCY_RULE_LABELS = {
+  'dependency-wildcard': 'Wildcard version',
+  'dependency-unpinned': 'Unbounded version range',
+  'dependency-unpinned-source': 'Unpinned source',
+  'dependency-missing-lockfile': 'Missing lockfile',
+  'dependency-duplicate': 'Duplicate declaration',
+  'dependency-conflict': 'Conflicting versions',
+  'dependency-lock-duplicates': 'Duplicate locked versions',
+  'dependency-dev-in-prod': 'Dev tool in production',
+  'dependency-local-replace': 'Local path replacement',
+  'vulnerable-dependency': 'Known vulnerability',
+};
+
+const LICENSE_RULE_LABELS = {
+  'license-denied': 'Denied license',
+  'license-not-allowed': 'License not allowed',
+  'license-unknown': 'Unknown license',
+};
+
+const WORKFLOW_RULE_LABELS = {
+  'workflow-unpinned-action': 'Unpinned action',
+  'workflow-write-all': 'Write-all token',
+  'workflow-missing-permissions': 'Permissions not declared',
+  'workflow-pr-target-checkout': 'pull_request_target checkout',
+  'workflow-script-injection': 'Script injection',
+  'workflow-secret-echo': 'Secret in logs',
+};
+
+const IAC_RULE_LABELS = {
+  'iac-latest-image': 'Unpinned image',
+  'iac-root-user': 'Runs as root',
+  'iac-add-url': 'ADD from URL',
+  'iac-secret-env': 'Secret in ENV/ARG',
+  'iac-privileged': 'Privileged container',
+  'iac-missing-limits': 'No resource limits',
+  'iac-public-bucket': 'Public S3 bucket',
+  'iac-open-ingress': 'Open ingress',
+};
+
+const TEST_RULE_LABELS = {
+  'test-focused': 'Focused test',
+  'test-skipped': 'Skipped tests',
+  'test-no-assertions': 'No assertions',
+};
+
+const UNKNOWN_LICENSE_MODES = { allow: 'allowed', warn: 'reported', deny: 'denied' };
+
 export default function Dashboard({ data }) {
   if (!data) return null;
 
@@ -16,11 +68,21 @@ export default function Dashboard({ data }) {
   const risk = data.risk || {};
   const categories = data.categories || {};
   const analysisMeta = data.analysisMeta || {};
-  const categoryEntries = Object.entries(CATEGORY_LABELS).map(([key, label]) => ({
-    key,
-    label,
-    score: Number.isFinite(categories[key]) ? categories[key] : 0,
-  }));
+  const activity = data.activity;
+  const dependencies = data.dependencies;
+  const licenses = data.licenses;
+  const workflows = data.workflows;
+  const community = data.community;
+  const testing = data.testing;
+  const infrastructure = data.infrastructure;
+  const duplication = data.duplication;
+  const categoryEntries = Object.entries(CATEGORY_LABELS)
+    .filter(([key]) => !OPTIONAL_CATEGORIES.has(key) || Number.isFinite(categories[key]))
+    .map(([key, label]) => ({
+      key,
+      label,
+      score: Number.isFinite(categories[key]) ? categories[key] : 0,
+    }));
 
   return (
     <div className="container dashboard-wrap">
@@ -32,10 +94,23 @@ export default function Dashboard({ data }) {
             {project.description || 'No repository description provided.'}
           </p>
           <div className="project-meta">
+            {project.commitSha ? (
+              <span className="mono" title={project.commitSha}>
+                {formatRefLabel(project)} @ {project.commitSha.slice(0, 7)}
+              </span>
+            ) : null}
             <span>Language: {project.primaryLanguage || 'Unknown'}</span>
             <span>Stars: {project.stars ?? 0}</span>
             <span>Forks: {project.forks ?? 0}</span>
             <span>Open issues: {project.openIssues ?? 0}</span>
+            {project.visibility && project.visibility !== 'public' ? (
+              <span>Visibility: {project.visibility}</span>
+            ) : null}
+            {data.reportId ? (
+              <a href={`/reports/${data.reportId}`}>
+                {data.shared ? 'Shareable link' : 'Private link (only you)'}
+              </a>
+            ) : null}
           </div>
         </div>
         <div className="score-badge-wrap">
@@ -103,7 +178,55 @@ export default function Dashboard({ data }) {
               </li>
             ) : null}
             <li>Files analyzed: {analysisMeta.filesAnalyzed ?? 0}</li>
+            {analysisMeta.sampling?.strategy ? (
+              <li>
+                Loader: {analysisMeta.sampling.strategy}
+                {analysisMeta.sampling.timings
+                  ? ` (${(analysisMeta.sampling.timings.totalMs / 1000).toFixed(1)}s)`
+                  : ''}
+                {analysisMeta.sampling.fallbackFrom
+                  ? `, fell back from ${analysisMeta.sampling.fallbackFrom}`
+                  : ''}
+              </li>
+            ) : null}
             <li>Estimated LOC: {analysisMeta.estimatedLoc ?? 0}</li>
+            {analysisMeta.sampling?.coverage ? (
+              <li>
+                Sampling: {analysisMeta.sampling.samplingStrategy || 'priority'},{' '}
+                {Math.round(analysisMeta.sampling.coverage.fileCoverage * 100)}% of eligible files across{' '}
+                {analysisMeta.sampling.coverage.directoriesCovered}/
+                {analysisMeta.sampling.coverage.directoriesEligible} top-level directories
+              </li>
+            ) : null}
+            {analysisMeta.sampling?.exclusions?.total ? (
+              <li>
+                Excluded: {analysisMeta.sampling.exclusions.total} ignored, generated or vendored file(s)
+              </li>
+            ) : null}
+            {analysisMeta.rateLimit?.limit ? (
+              <li>
+                API quota: {analysisMeta.rateLimit.remaining}/{analysisMeta.rateLimit.limit} requests left
+                {analysisMeta.rateLimit.resetAt
+                  ? `, resets ${new Date(analysisMeta.rateLimit.resetAt).toLocaleTimeString()}`
+                  : ''}
+              </li>
+            ) : null}
+            {analysisMeta.config?.source ? (
+              <li>
+                Config: {analysisMeta.config.source}
+                {analysisMeta.config.warnings?.length
+                  ? ` (${analysisMeta.config.warnings.length} warning(s))`
+                  : ''}
+              </li>
+            ) : null}
+            {analysisMeta.sampling?.treeTruncated ? (
+              <li>
+                File listing truncated by host:{' '}
+                {analysisMeta.sampling.treeRecovery
+                  ? `${Math.round(analysisMeta.sampling.treeRecovery.recoveredRatio * 100)}% of directories recovered`
+                  : 'partial listing used'}
+              </li>
+            ) : null}
             {analysisMeta.fallbackUsed ? (
               <li>Fallback mode active: {analysisMeta.fallbackReason || 'Provider unavailable'}</li>
             ) : null}
@@ -113,7 +236,7 @@ export default function Dashboard({ data }) {
 
       <div className="split-grid">
         <section className="panel">
-          <h2>Complexity Heatmap</h2>
+          <h2>File Heatmap</h2>
           <Heatmap data={data.heatmap} />
         </section>
 
@@ -164,6 +287,237 @@ export default function Dashboard({ data }) {
         </section>
       </div>
 
+      {activity ? (
+        <section className="panel">
+          <h2>Activity (last {activity.windowDays} days)</h2>
+          <ul className="simple-list">
+            <li>
+              Commits: {activity.commits}
+              {activity.commitsCapped ? '+' : ''} ({activity.commitsPerWeek}/week, active in{' '}
+              {activity.activeWeeks} weeks)
+            </li>
+            <li>
+              Authors: {activity.recentAuthors} recent
+              {activity.contributors !== null ? `, ${activity.contributors} all-time contributors` : ''}
+            </li>
+            {activity.busFactor ? (
+              <li>
+                Bus factor: {activity.busFactor.authorsForHalf} author(s) make half of recent commits; top
+                author {activity.busFactor.topAuthor} at {Math.round(activity.busFactor.topAuthorShare * 100)}%
+              </li>
+            ) : null}
+            <li>
+              Median first response: issues {formatHours(activity.issueResponse.medianHours)}, pull
+              requests {formatHours(activity.pullResponse.medianHours)}
+            </li>
+            <li>
+              Releases:{' '}
+              {activity.releases.count
+                ? `last ${activity.releases.daysSinceLastRelease} day(s) ago${
+                    activity.releases.medianIntervalDays !== null
+                      ? `, every ~${activity.releases.medianIntervalDays} day(s)`
+                      : ''
+                  }`
+                : 'none published'}
+            </li>
+          </ul>
+        </section>
+      ) : null}
+
+      {dependencies ? (
+        <section className="panel">
+          <h2>Dependencies</h2>
+          <ul className="simple-list">
+            <li>
+              Ecosystems: {dependencies.ecosystems.join(', ') || 'none parsed'} across{' '}
+              {dependencies.manifests.length} manifest(s)
+            </li>
+            <li>
+              Declared: {dependencies.manifests.reduce((sum, item) => sum + item.production, 0)} production,{' '}
+              {dependencies.manifests.reduce((sum, item) => sum + item.development, 0)} development
+            </li>
+            <li>Lockfiles: {dependencies.lockfiles.join(', ') || 'none committed'}</li>
+            <li>{formatVulnerabilityScan(dependencies.vulnerabilities)}</li>
+            {dependencies.parseErrors.length ? (
+              <li>Unreadable: {dependencies.parseErrors.map((item) => item.path).join(', ')}</li>
+            ) : null}
+          </ul>
+          <IssueList
+            issues={[...(dependencies.vulnerabilities?.findings || []), ...dependencies.findings].map((finding) => ({
+              file: finding.manifest,
+              title: [DEPENDENCY_RULE_LABELS[finding.ruleId] || finding.ruleId, finding.package]
+                .filter(Boolean)
+                .join(': '),
+              description: finding.message,
+              severity: finding.severity,
+              recommendation: finding.fixedVersion ? `Upgrade to ${finding.fixedVersion} or later.` : null,
+            }))}
+          />
+        </section>
+      ) : null}
+
+      {testing ? (
+        <section className="panel">
+          <h2>Testing</h2>
+          <ul className="simple-list">
+            <li>Frameworks: {testing.frameworks.join(', ') || 'none detected'}</li>
+            <li>
+              Test files: {testing.testFiles} for {testing.sourceFiles} source file(s) (ratio {testing.ratio})
+            </li>
+            <li>
+              Modules without a matching test: {testing.untestedModules}
+              {testing.untested.length ? ` (${testing.untested.slice(0, 5).join(', ')}${testing.untestedModules > 5 ? ', ...' : ''})` : ''}
+            </li>
+            <li>Test files inspected for quality signals: {testing.inspectedFiles}</li>
+          </ul>
+          <IssueList
+            issues={testing.findings.map((finding) => ({
+              file: finding.file,
+              title: TEST_RULE_LABELS[finding.ruleId] || finding.ruleId,
+              description: finding.message,
+              severity: finding.severity,
+              recommendation: null,
+            }))}
+          />
+        </section>
+      ) : null}
+
+      {community ? (
+        <section className="panel">
+          <h2>Community Standards ({community.present}/{community.items.length})</h2>
+          <ul className="checklist">
+            {community.items.map((item) => (
+              <li key={item.id} className={item.present ? 'check-present' : 'check-missing'}>
+                <strong>{item.label}</strong>
+                <span className="muted">{item.path || 'missing'}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ) : null}
+
+      {workflows ? (
+        <section className="panel">
+          <h2>CI/CD Workflows</h2>
+          <ul className="simple-list">
+            {workflows.workflows.map((workflow) => (
+              <li key={workflow.path}>
+                {workflow.name} ({workflow.path}): {workflow.jobs} job(s) on {workflow.triggers.join(', ') || 'no triggers'}
+              </li>
+            ))}
+            {workflows.parseErrors.length ? (
+              <li>Unreadable: {workflows.parseErrors.map((item) => item.path).join(', ')}</li>
+            ) : null}
+          </ul>
+          <IssueList
+            issues={workflows.findings.map((finding) => ({
+              file: finding.workflow,
+              title: WORKFLOW_RULE_LABELS[finding.ruleId] || finding.ruleId,
+              description: finding.job
+                ? `${finding.message} (${finding.job.includes(', ') ? 'jobs' : 'job'}: ${finding.job})`
+                : finding.message,
+              severity: finding.severity,
+              recommendation: null,
+            }))}
+          />
+        </section>
+      ) : null}
+
+      {infrastructure ? (
+        <section className="panel">
+          <h2>Infrastructure as Code</h2>
+          <ul className="simple-list">
+            <li>
+              Scanned: {infrastructure.scanned.dockerfile} Dockerfile(s), {infrastructure.scanned.kubernetes}{' '}
+              Kubernetes manifest(s), {infrastructure.scanned.terraform} Terraform file(s)
+            </li>
+            <li>
+              Findings: {infrastructure.counts.High} high, {infrastructure.counts.Medium} medium,{' '}
+              {infrastructure.counts.Low} low
+            </li>
+          </ul>
+          <IssueList
+            issues={infrastructure.findings.map((finding) => ({
+              file: finding.file,
+              line: finding.line,
+              title: IAC_RULE_LABELS[finding.ruleId] || finding.ruleId,
+              description: finding.message,
+              severity: finding.severity,
+              recommendation: null,
+            }))}
+          />
+        </section>
+      ) : null}
+
+      {duplication ? (
+        <section className="panel">
+          <h2>Duplicated Code</h2>
+          <ul className="simple-list">
+            <li>
+              Duplication: {duplication.percentage}% ({duplication.duplicatedLines} of {duplication.totalLines} lines in{' '}
+              {duplication.filesAnalyzed} source file(s))
+            </li>
+            <li>Duplicated blocks: {duplication.groupCount}</li>
+            {duplication.files.length ? (
+              <li>
+                Most affected:{' '}
+                {duplication.files
+                  .slice(0, 3)
+                  .map((entry) => `${entry.file} (${entry.duplicatedLines} lines)`)
+                  .join(', ')}
+              </li>
+            ) : null}
+          </ul>
+          <IssueList
+            issues={duplication.findings.map((finding) => ({
+              file: finding.file,
+              line: finding.line,
+              title: 'Duplicated code block',
+              description: finding.message,
+              severity: finding.severity,
+              recommendation: null,
+              occurrences: finding.occurrences,
+            }))}
+          />
+        </section>
+      ) : null}
+
+      {licenses ? (
+        <section className="panel">
+          <h2>Licenses</h2>
+          <ul className="simple-list">
+            <li>
+              Project license: {licenses.project.license || 'not declared'}
+              {licenses.project.license ? ` (${licenses.project.family})` : ''}
+            </li>
+            <li>
+              Policy: deny {licenses.policy.deny.join(', ') || 'nothing'}
+              {licenses.policy.allow.length ? `; allow only ${licenses.policy.allow.join(', ')}` : ''}; unknown
+              licenses {UNKNOWN_LICENSE_MODES[licenses.policy.unknown]}
+              {licenses.policy.includeDev ? '' : ' (production dependencies only)'}
+            </li>
+            <li>
+              Families:{' '}
+              {Object.entries(licenses.families)
+                .filter(([, count]) => count > 0)
+                .map(([family, count]) => `${family} ${count}`)
+                .join(', ') || 'no declared dependencies'}
+            </li>
+          </ul>
+          <IssueList
+            issues={licenses.findings.map((finding) => ({
+              file: finding.manifest,
+              title: [LICENSE_RULE_LABELS[finding.ruleId] || finding.ruleId, finding.package]
+                .filter(Boolean)
+                .join(': '),
+              description: finding.message,
+              severity: finding.severity,
+              recommendation: null,
+            }))}
+          />
+        </section>
+      ) : null}
+
       <section className="panel">
         <h2>Next Milestones</h2>
         <ul className="milestone-list">
@@ -176,6 +530,33 @@ export default function Dashboard({ data }) {
   );
 }
 
+function formatRefLabel(project) {
+  if (project.refType === 'pull') return `PR ${project.ref}`;
+  if (project.refType === 'commit') return 'Commit';
+  return project.ref || project.defaultBranch || 'HEAD';
+}
+
+function formatVulnerabilityScan(scan) {
+  if (!scan) return 'Known vulnerabilities: not scanned';
+
+  const installed = scan.databases.filter((database) => database.status !== 'missing' && !database.error);
+  if (!installed.length) {
+    return 'Known vulnerabilities: advisory database not installed (run npm run advisories:refresh)';
+  }
+
+  const stale = installed.filter((database) => database.status === 'stale').map((database) => database.ecosystem);
+  const oldest = installed.map((database) => database.updatedAt).sort()[0];
+  return `Known vulnerabilities: ${scan.findings.length} in ${scan.scanned} resolved package version(s); advisories from ${new Date(
+    oldest,
+  ).toLocaleDateString()}${stale.length ? ` (stale: ${stale.join(', ')})` : ''}`;
+}
+
+function formatHours(hours) {
+  if (hours === null || hours === undefined) return 'n/a';
+  if (hours < 48) return `${Math.round(hours)}h`;
+  return `${Math.round(hours / 24)}d`;
+}
+
 function scoreTone(score) {
   if (score >= 82) return 'tone-good';
   if (score >= 65) return 'tone-mid';
@@ -1,31 +1,93 @@
+'use client';
+
+import { useState } from 'react';
+
+const VIEWS = {
+  complexity: {
+    label: 'Complexity',
+    score: (entry) => entry.complexityScore,
+    width: (entry) => Math.min(entry.complexityScore * 10, 100),
+    tone: (entry) => tone(entry.complexityScore),
+  },
+  hotspot: {
+    label: 'Hotspots',
+    score: (entry) => entry.hotspotScore,
+    width: (entry) => entry.hotspotScore,
+    tone: (entry) => tone(entry.hotspotScore / 10),
+  },
+};
+
 export default function Heatmap({ data }) {
+  const [view, setView] = useState('complexity');
+
   if (!Array.isArray(data) || data.length === 0) {
     return <p className="muted">No file-level complexity data available.</p>;
   }
 
-  const rows = [...data]
-    .sort((a, b) => b.complexityScore - a.complexityScore)
+  const hasHotspots = data.some((entry) => Number.isFinite(entry.hotspotScore));
+  const activeView = hasHotspots ? VIEWS[view] : VIEWS.complexity;
+  const rows = data
+    .filter((entry) => Number.isFinite(activeView.score(entry)))
+    .sort((a, b) => activeView.score(b) - activeView.score(a))
     .slice(0, 18);
 
   return (
     <div className="heatmap-list">
+      {hasHotspots ? (
+        <div className="heatmap-toggle" role="group" aria-label="Heatmap view">
+          {Object.entries(VIEWS).map(([key, option]) => (
+            <button
+              key={key}
+              type="button"
+              className={`sample-pill ${view === key ? 'active' : ''}`}
+              aria-pressed={view === key}
+              onClick={() => setView(key)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      ) : null}
+
       {rows.map((entry) => (
-        <article className="heatmap-item" key={`${entry.file}:${entry.complexityScore}`}>
-          <div className={`heat-score ${tone(entry.complexityScore)}`}>
-            {entry.complexityScore}
-          </div>
+        <article className="heatmap-item" key={`${entry.file}:${activeView.score(entry)}`}>
+          <div className={`heat-score ${activeView.tone(entry)}`}>{activeView.score(entry)}</div>
           <div className="heat-content">
             <p className="mono">{entry.file}</p>
             <div className="heat-track">
               <div
-                className={`heat-fill ${tone(entry.complexityScore)}`}
-                style={{ width: `${Math.min(entry.complexityScore * 10, 100)}%` }}
+                className={`heat-fill ${activeView.tone(entry)}`}
+                style={{ width: `${activeView.width(entry)}%` }}
               />
             </div>
+            {entry.functions?.length ? (
+              <details className="heat-functions">
+                <summary>Most complex functions</summary>
+                <ul>
+                  {entry.functions.map((fn) => (
+                    <li key={`${fn.name}:${fn.line}`}>
+                      <span className="mono">
+                        {fn.name}:{fn.line}
+                      </span>
+                      <span>
+                        cognitive {fn.cognitive}, cyclomatic {fn.cyclomatic}, nesting {fn.nesting}, {fn.params}{' '}
+                        params, {fn.length} lines
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            ) : null}
           </div>
           <div className="heat-meta">
             <span>{entry.loc || 0} LOC</span>
-            <span>{entry.issues || 0} issues</span>
+            {view === 'hotspot' && hasHotspots ? (
+              <span>
+                {entry.commits ?? 0} changes, {entry.authors ?? 0} authors
+              </span>
+            ) : (
+              <span>{entry.issues || 0} issues</span>
+            )}
           </div>
         </article>
       ))}
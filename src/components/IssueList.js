@@ -1,3 +1,5 @@
+const MAX_SHOWN_OCCURRENCES = 3;
+
 export default function IssueList({ issues }) {
   if (!Array.isArray(issues) || issues.length === 0) {
     return <p className="muted">No critical issues found in analyzed files.</p>;
@@ -5,8 +7,9 @@ export default function IssueList({ issues }) {
 
   return (
     <div className="issue-list">
-      {issues.slice(0, 12).map((issue) => (
-        <article className="issue-item" key={`${issue.file}:${issue.title}`}>
+      {issues.slice(0, 12).map((issue, index) => (
+        // One rule can fire several times in the same file and job, so the position keeps keys unique.
+        <article className="issue-item" key={`${issue.file}:${issue.line ?? ''}:${issue.title}:${index}`}>
           <header className="issue-header">
             <h3>{issue.title}</h3>
             <span className={`tag tag-severity-${severityTone(issue.severity)}`}>
@@ -14,7 +17,14 @@ export default function IssueList({ issues }) {
             </span>
           </header>
           <p className="muted">{issue.description}</p>
-          <p className="mono">{issue.file}</p>
+          {issue.occurrences?.length ? (
+            <Occurrences file={issue.file} occurrences={issue.occurrences} />
+          ) : (
+            <p className="mono">
+              {issue.file}
+              {issue.line ? `:${issue.line}` : ''}
+            </p>
+          )}
           {issue.recommendation ? (
             <p className="issue-recommendation">Fix: {issue.recommendation}</p>
           ) : null}
@@ -24,6 +34,52 @@ export default function IssueList({ issues }) {
   );
 }
 
+function Occurrences({ file, occurrences }) {
+  const hidden = occurrences.length - MAX_SHOWN_OCCURRENCES;
+
+  return (
+    <div className="issue-occurrences">
+      {occurrences.slice(0, MAX_SHOWN_OCCURRENCES).map((occurrence) => {
+        // Duplicated blocks span several files, so their occurrences name their own file.
+        const label = `${occurrence.file || file}:${occurrence.line}:${occurrence.column}`;
+        return (
+          <div key={label}>
+            <p className="mono">
+              {occurrence.url ? (
+                <a href={occurrence.url} target="_blank" rel="noreferrer">
+                  {label}
+                </a>
+              ) : (
+                label
+              )}
+            </p>
+            {occurrence.snippet ? (
+              <pre className="issue-snippet">
+                {occurrence.snippet.text.split('\n').map((text, index) => {
+                  const lineNumber = occurrence.snippet.startLine + index;
+                  const inRange = lineNumber >= occurrence.line && lineNumber <= occurrence.endLine;
+                  return (
+                    <code key={lineNumber} className={inRange ? 'snippet-hit' : undefined}>
+                      <span className="snippet-line">{lineNumber}</span>
+                      {text}
+                      {'\n'}
+                    </code>
+                  );
+                })}
+              </pre>
+            ) : null}
+          </div>
+        );
+      })}
+      {hidden > 0 ? (
+        <p className="muted">
+          and {hidden} more location(s){occurrences.some((occurrence) => occurrence.file) ? '' : ' in this file'}
+        </p>
+      ) : null}
+    </div>
+  );
+}
+
 function severityTone(value) {
   if (value === 'Critical') return 'critical';
   if (value === 'High') return 'high';
@@ -0,0 +1,8 @@
+export async function register() {
+  // Read rule packs once at server startup so a broken pack shows up in the logs before the first analysis.
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { loadRuleRegistry } = await import('./lib/ruleRegistry.js');
+    const registry = await loadRuleRegistry();
+    for (const warning of registry.warnings) console.warn(`[rules] ${warning}`);
+  }
+}
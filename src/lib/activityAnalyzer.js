@@ -0,0 +1,184 @@
+export const ACTIVITY_WINDOW_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const UNANSWERED_AFTER_DAYS = 14;
+
+const SIGNAL_WEIGHTS = {
+  frequency: 0.3,
+  recency: 0.2,
+  contributors: 0.15,
+  busFactor: 0.15,
+  responsiveness: 0.1,
+  releases: 0.1,
+};
+
+export function activitySince(now = Date.now()) {
+  return new Date(now - ACTIVITY_WINDOW_DAYS * DAY_MS).toISOString();
+}
+
+export function summarizeActivity(raw, now = Date.now()) {
+  if (!raw) return null;
+
+  const commits = (raw.commits || []).filter((commit) => commit.date);
+  const authorCounts = new Map();
+  for (const commit of commits) {
+    authorCounts.set(commit.author, (authorCounts.get(commit.author) || 0) + 1);
+  }
+
+  const rankedAuthors = [...authorCounts.entries()].sort((a, b) => b[1] - a[1]);
+  const lastCommitAt = commits
+    .map((commit) => commit.date)
+    .sort()
+    .pop();
+
+  return {
+    windowDays: ACTIVITY_WINDOW_DAYS,
+    commits: commits.length,
+    commitsCapped: Boolean(raw.commitsCapped),
+    commitsPerWeek: Number((commits.length / (ACTIVITY_WINDOW_DAYS / 7)).toFixed(1)),
+    activeWeeks: new Set(commits.map((commit) => Math.floor((now - Date.parse(commit.date)) / (7 * DAY_MS))))
+      .size,
+    lastCommitAt: lastCommitAt || raw.pushedAt || null,
+    contributors: raw.contributorCount ?? null,
+    recentAuthors: authorCounts.size,
+    busFactor: rankedAuthors.length
+      ? {
+          // Smallest number of authors responsible for half of the recent commits.
+          authorsForHalf: countAuthorsForShare(rankedAuthors, commits.length, 0.5),
+          topAuthor: rankedAuthors[0][0],
+          topAuthorShare: Number((rankedAuthors[0][1] / commits.length).toFixed(2)),
+        }
+      : null,
+    issueResponse: summarizeResponses(
+      (raw.threads || []).filter((thread) => !thread.isPullRequest),
+      now,
+    ),
+    pullResponse: summarizeResponses(
+      (raw.threads || []).filter((thread) => thread.isPullRequest),
+      now,
+    ),
+    releases: summarizeReleases(raw.releases, now),
+  };
+}
+
+export function scoreActivity(activity, now = Date.now()) {
+  if (!activity) return null;
+
+  const signals = {
+    frequency: Math.min(1, Math.log2(1 + activity.commitsPerWeek) / Math.log2(11)),
+    recency: scoreRecency(activity.lastCommitAt, now),
+    contributors: Math.min(1, Math.log2(1 + activity.recentAuthors) / Math.log2(21)),
+    busFactor: activity.busFactor
+      ? 1 - Math.max(0, activity.busFactor.topAuthorShare - 0.5) / 0.5
+      : 0,
+    responsiveness: scoreResponsiveness(activity.issueResponse, activity.pullResponse),
+    releases: scoreReleases(activity.releases),
+  };
+
+  // Repositories without issues or releases are not penalized for those signals.
+  const available = Object.entries(SIGNAL_WEIGHTS).filter(([key]) => signals[key] !== null);
+  const totalWeight = available.reduce((sum, [, weight]) => sum + weight, 0);
+  const weighted = available.reduce((sum, [key, weight]) => sum + signals[key] * weight, 0);
+
+  return clamp(Math.round(12 + 86 * (weighted / totalWeight)), 5, 98);
+}
+
+function summarizeResponses(threads, now) {
+  const responseHours = threads
+    .filter((thread) => thread.firstResponseAt)
+    .map((thread) => (Date.parse(thread.firstResponseAt) - Date.parse(thread.createdAt)) / HOUR_MS)
+    .filter((hours) => hours >= 0);
+  const unanswered = threads.filter(
+    (thread) =>
+      !thread.firstResponseAt && now - Date.parse(thread.createdAt) > UNANSWERED_AFTER_DAYS * DAY_MS,
+  ).length;
+
+  return {
+    sampled: threads.length,
+    responded: responseHours.length,
+    unanswered,
+    medianHours: responseHours.length ? Number(median(responseHours).toFixed(1)) : null,
+  };
+}
+
+function summarizeReleases(releases = [], now) {
+  const dates = releases
+    .map((release) => Date.parse(release.publishedAt))
+    .filter(Number.isFinite)
+    .sort((a, b) => b - a);
+  if (!dates.length) {
+    return { count: 0, lastReleaseAt: null, daysSinceLastRelease: null, medianIntervalDays: null };
+  }
+
+  const intervals = dates.slice(1).map((date, index) => (dates[index] - date) / DAY_MS);
+  return {
+    count: dates.length,
+    lastReleaseAt: new Date(dates[0]).toISOString(),
+    daysSinceLastRelease: Math.round((now - dates[0]) / DAY_MS),
+    medianIntervalDays: intervals.length ? Math.round(median(intervals)) : null,
+  };
+}
+
+function scoreRecency(lastCommitAt, now) {
+  if (!lastCommitAt) return 0;
+
+  const days = (now - Date.parse(lastCommitAt)) / DAY_MS;
+  if (days <= 7) return 1;
+  if (days <= 30) return 0.8;
+  if (days <= 90) return 0.5;
+  if (days <= 365) return 0.2;
+  return 0;
+}
+
+function scoreResponsiveness(issueResponse, pullResponse) {
+  const sampled = issueResponse.sampled + pullResponse.sampled;
+  if (!sampled) return null;
+
+  const medians = [issueResponse.medianHours, pullResponse.medianHours].filter(
+    (value) => value !== null,
+  );
+  const speed = medians.length ? scoreResponseHours(median(medians)) : 0;
+  const unansweredShare = (issueResponse.unanswered + pullResponse.unanswered) / sampled;
+
+  return Math.max(0, speed - unansweredShare * 0.5);
+}
+
+function scoreResponseHours(hours) {
+  if (hours <= 24) return 1;
+  if (hours <= 72) return 0.8;
+  if (hours <= 168) return 0.6;
+  if (hours <= 720) return 0.3;
+  return 0.1;
+}
+
+function scoreReleases(releases) {
+  if (!releases.count) return null;
+
+  const days = releases.daysSinceLastRelease;
+  if (days <= 60) return 1;
+  if (days <= 180) return 0.7;
+  if (days <= 365) return 0.4;
+  return 0.1;
+}
+
+function countAuthorsForShare(rankedAuthors, total, share) {
+  let covered = 0;
+  for (let index = 0; index < rankedAuthors.length; index += 1) {
+    covered += rankedAuthors[index][1];
+    if (covered >= total * share) {
+      return index + 1;
+    }
+  }
+  return rankedAuthors.length;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
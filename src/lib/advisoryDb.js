@@ -0,0 +1,248 @@
+import { mkdir, readFile, readdir, rename, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { readZipEntries } from './archive.js';
+import { normalizePackageName } from './dependencyAnalyzer.js';
+
+const OSV_BUCKET_URL = 'https://osv-vulnerabilities.storage.googleapis.com';
+const MAX_SUMMARY_LENGTH = 200;
+
+// Dependency analyzer ecosystems mapped to their OSV names.
+export const OSV_ECOSYSTEMS = {
+  npm: 'npm',
+  pypi: 'PyPI',
+  go: 'Go',
+  cargo: 'crates.io',
+  maven: 'Maven',
+};
+
+const CVSS_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 },
+};
+
+// Parsed databases are reused until the file on disk changes.
+const loaded = new Map();
+
+export function getAdvisoryDbDir() {
+  return path.resolve(process.env.ADVISORY_DB_DIR || path.join(process.cwd(), 'data', 'advisories'));
+}
+
+export async function loadAdvisoryDb(ecosystems) {
+  const databases = {};
+  for (const ecosystem of ecosystems) {
+    if (OSV_ECOSYSTEMS[ecosystem]) {
+      databases[ecosystem] = await loadEcosystem(path.join(getAdvisoryDbDir(), `${ecosystem}.json`));
+    }
+  }
+  return databases;
+}
+
+export async function refreshAdvisoryDb({ ecosystems = Object.keys(OSV_ECOSYSTEMS), source = null } = {}) {
+  const unknown = ecosystems.filter((ecosystem) => !OSV_ECOSYSTEMS[ecosystem]);
+  if (unknown.length) {
+    throw new Error(
+      `Unknown ecosystem(s): ${unknown.join(', ')}. Use ${Object.keys(OSV_ECOSYSTEMS).join(', ')}.`,
+    );
+  }
+
+  const byOsvName = new Map(ecosystems.map((ecosystem) => [OSV_ECOSYSTEMS[ecosystem], ecosystem]));
+  const collected = new Map(ecosystems.map((ecosystem) => [ecosystem, { advisories: 0, packages: {} }]));
+  const addRecord = (record) => {
+    const touched = new Set();
+    for (const { ecosystem, name, entry } of compactAdvisory(record, byOsvName)) {
+      const target = collected.get(ecosystem);
+      (target.packages[name] ||= []).push(entry);
+      touched.add(ecosystem);
+    }
+    touched.forEach((ecosystem) => {
+      collected.get(ecosystem).advisories += 1;
+    });
+  };
+
+  const sources = {};
+  if (source) {
+    await readLocalRecords(path.resolve(source), addRecord);
+    ecosystems.forEach((ecosystem) => {
+      sources[ecosystem] = path.resolve(source);
+    });
+  } else {
+    for (const ecosystem of ecosystems) {
+      const url = `${OSV_BUCKET_URL}/${encodeURIComponent(OSV_ECOSYSTEMS[ecosystem])}/all.zip`;
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Could not download ${url}: ${response.status}`);
+      }
+      await readZipRecords(Buffer.from(await response.arrayBuffer()), addRecord);
+      sources[ecosystem] = url;
+    }
+  }
+
+  const directory = getAdvisoryDbDir();
+  await mkdir(directory, { recursive: true });
+
+  const summary = [];
+  for (const [ecosystem, data] of collected) {
+    // A local dump may cover only some ecosystems; existing databases for the rest are kept.
+    if (source && !data.advisories) continue;
+
+    const file = path.join(directory, `${ecosystem}.json`);
+    await writeFile(
+      `${file}.tmp`,
+      JSON.stringify({
+        ecosystem,
+        source: sources[ecosystem],
+        updatedAt: new Date().toISOString(),
+        advisories: data.advisories,
+        packages: data.packages,
+      }),
+    );
+    await rename(`${file}.tmp`, file);
+    summary.push({ ecosystem, advisories: data.advisories, packages: Object.keys(data.packages).length });
+  }
+
+  return summary;
+}
+
+async function loadEcosystem(file) {
+  const info = await stat(file).catch(() => null);
+  if (!info) {
+    loaded.delete(file);
+    return null;
+  }
+
+  const cached = loaded.get(file);
+  if (cached?.mtimeMs === info.mtimeMs) {
+    return cached.database;
+  }
+
+  let database;
+  try {
+    database = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    database = { error: `Could not read ${path.basename(file)}: ${error.message}` };
+  }
+  loaded.set(file, { mtimeMs: info.mtimeMs, database });
+  return database;
+}
+
+async function readLocalRecords(source, addRecord) {
+  const info = await stat(source).catch(() => null);
+  if (!info) {
+    throw new Error(`Advisory source was not found: ${source}`);
+  }
+
+  if (info.isFile()) {
+    await readZipRecords(await readFile(source), addRecord);
+    return;
+  }
+
+  // Directory dumps, such as a checkout of github/advisory-database, are walked for OSV JSON files.
+  const pending = [source];
+  while (pending.length) {
+    const directory = pending.pop();
+    for (const child of await readdir(directory, { withFileTypes: true })) {
+      const childPath = path.join(directory, child.name);
+      if (child.isDirectory() && !child.name.startsWith('.')) {
+        pending.push(childPath);
+      } else if (child.isFile() && child.name.endsWith('.json')) {
+        addParsedRecord(await readFile(childPath, 'utf8'), addRecord);
+      }
+    }
+  }
+}
+
+async function readZipRecords(buffer, addRecord) {
+  for (const entry of readZipEntries(buffer)) {
+    if (entry.path.endsWith('.json')) {
+      addParsedRecord((await entry.read()).toString('utf8'), addRecord);
+    }
+  }
+}
+
+function addParsedRecord(text, addRecord) {
+  try {
+    addRecord(JSON.parse(text));
+  } catch {
+    // Malformed records are skipped so one bad file does not abort a refresh.
+  }
+}
+
+function compactAdvisory(record, byOsvName) {
+  if (!record?.id || record.withdrawn || !Array.isArray(record.affected)) {
+    return [];
+  }
+
+  const ids = [...new Set([record.id, ...(record.aliases || [])])];
+  const summary = (record.summary || record.details || '').split('\n')[0].slice(0, MAX_SUMMARY_LENGTH);
+  const severity = readSeverity(record);
+
+  return record.affected.flatMap((affected) => {
+    const ecosystem = byOsvName.get(affected.package?.ecosystem);
+    if (!ecosystem || !affected.package.name) return [];
+
+    const ranges = (affected.ranges || [])
+      .filter((range) => range.type !== 'GIT' && Array.isArray(range.events))
+      .map((range) => ({ type: range.type, events: range.events }));
+    // OSV lists every affected version next to the ranges; the list is only kept when ranges are missing.
+    const versions = ranges.length ? undefined : affected.versions;
+    if (!ranges.length && !versions?.length) return [];
+
+    return [
+      {
+        ecosystem,
+        name: normalizePackageName(ecosystem, affected.package.name),
+        entry: { ids, summary, severity, ranges, versions },
+      },
+    ];
+  });
+}
+
+function readSeverity(record) {
+  if (record.id.startsWith('MAL-')) {
+    return { level: 'critical', score: null };
+  }
+
+  const vector = (record.severity || []).find((item) => item.type === 'CVSS_V3')?.score;
+  const score = vector ? scoreCvss3(vector) : null;
+  const label = String(
+    record.database_specific?.severity || record.affected?.[0]?.ecosystem_specific?.severity || '',
+  ).toLowerCase();
+
+  if (['critical', 'high', 'moderate', 'medium', 'low'].includes(label)) {
+    return { level: label === 'medium' ? 'moderate' : label, score };
+  }
+  if (score === null) {
+    return { level: null, score: null };
+  }
+  return {
+    level: score >= 9 ? 'critical' : score >= 7 ? 'high' : score >= 4 ? 'moderate' : 'low',
+    score,
+  };
+}
+
+function scoreCvss3(vector) {
+  const metrics = Object.fromEntries(vector.split('/').map((part) => part.split(':')));
+  const changed = metrics.S === 'C';
+  const privileges = { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 }[metrics.PR];
+  const [confidentiality, integrity, availability] = ['C', 'I', 'A'].map(
+    (key) => CVSS_WEIGHTS.CIA[metrics[key]],
+  );
+  const exploitability =
+    8.22 * CVSS_WEIGHTS.AV[metrics.AV] * CVSS_WEIGHTS.AC[metrics.AC] * privileges * CVSS_WEIGHTS.UI[metrics.UI];
+  if (![exploitability, confidentiality, integrity, availability].every(Number.isFinite)) {
+    return null;
+  }
+
+  const baseImpact = 1 - (1 - confidentiality) * (1 - integrity) * (1 - availability);
+  const impact = changed
+    ? 7.52 * (baseImpact - 0.029) - 3.25 * (baseImpact - 0.02) ** 15
+    : 6.42 * baseImpact;
+  if (impact <= 0) {
+    return 0;
+  }
+
+  const total = changed ? 1.08 * (impact + exploitability) : impact + exploitability;
+  return Math.ceil(Math.min(total, 10) * 10) / 10;
+}
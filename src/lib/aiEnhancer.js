@@ -1,5 +1,6 @@
 import Groq from 'groq-sdk';
-import { deriveGrade, deriveRiskLevel } from './localAnalyzer.js';
+import { computeOverallScore, deriveGrade, deriveRiskLevel } from './localAnalyzer.js';
+import { redactSecrets } from './secretScanner.js';
 
 const DEFAULT_MODELS = {
   gemini: process.env.GEMINI_MODEL || 'gemini-3-flash-preview',
@@ -34,6 +35,9 @@ const EFFORT_RANK = {
   High: 1,
 };
 
+// Measured from the repository or advisory data, so they are copied from the matching baseline issue instead of taken from the model.
+const BASELINE_ISSUE_FIELDS = ['ruleId', 'line', 'occurrences', 'advisoryIds', 'fixedVersion'];
+
 const SCORE_BASE_WEIGHT = parseWeight(process.env.SCORE_BASE_WEIGHT, 0.7);
 const SCORE_AI_WEIGHT = 1 - SCORE_BASE_WEIGHT;
 
@@ -178,7 +182,8 @@ async function runHybridFlow(providers, prompt, baselineReport) {
 function buildPrompt(snapshot, baselineReport) {
   const condensedFiles = snapshot.files.slice(0, 10).map((file) => ({
     path: file.path,
-    snippet: file.content.slice(0, 1700),
+    // Mask before truncating, so a secret cut in half at the boundary is still recognized.
+    snippet: redactSecrets(file.content).slice(0, 1700),
   }));
 
   return `
@@ -202,6 +207,7 @@ Return ONLY valid JSON with this shape:
   },
   "topIssues": [
     {
+      "ruleId": "string (the ruleId of the baseline issue this refers to, if any)",
       "file": "string",
       "title": "string",
       "description": "string",
@@ -224,7 +230,7 @@ Return ONLY valid JSON with this shape:
 }
 
 BASELINE REPORT:
-${JSON.stringify(baselineReport, null, 2)}
+${JSON.stringify(condenseReport(baselineReport), null, 2)}
 
 PROJECT SNAPSHOT:
 ${JSON.stringify(
@@ -238,6 +244,36 @@ ${JSON.stringify(
 `;
 }
 
+function condenseReport(report) {
+  // Snippets, coverage tables and duplication groups would multiply the prompt size without changing the answer.
+  return {
+    summary: report.summary,
+    overallScore: report.overallScore,
+    categories: report.categories,
+    risk: report.risk,
+    hotspots: (report.heatmap || []).slice(0, 10).map((file) => ({
+      file: file.file,
+      complexityScore: file.complexityScore,
+      hotspotScore: file.hotspotScore,
+      issues: file.issues,
+      loc: file.loc,
+    })),
+    topIssues: (report.topIssues || []).map((issue) => ({
+      ruleId: issue.ruleId,
+      file: issue.file,
+      line: issue.line,
+      title: issue.title,
+      description: issue.description,
+      severity: issue.severity,
+      recommendation: issue.recommendation,
+    })),
+    priorityFixes: report.priorityFixes,
+    quickWins: report.quickWins,
+    strengths: report.strengths,
+    nextMilestones: report.nextMilestones,
+  };
+}
+
 async function requestCompletion(provider, prompt) {
   if (provider === 'gemini') {
     return requestGemini(prompt);
@@ -356,17 +392,7 @@ function mergeReports(base, candidate) {
     }
   }
 
-  const overallScore = clamp(
-    Math.round(
-      mergedCategories.maintainability * 0.3 +
-        mergedCategories.reliability * 0.25 +
-        mergedCategories.security * 0.25 +
-        mergedCategories.documentation * 0.1 +
-        mergedCategories.architecture * 0.1,
-    ),
-    10,
-    99,
-  );
+  const overallScore = computeOverallScore(mergedCategories, base.analysisMeta?.config?.weights);
 
   const riskScore = Number.isFinite(candidate?.risk?.score)
     ? blendScore(base.risk.score, candidate.risk.score)
@@ -401,7 +427,8 @@ function mergeReports(base, candidate) {
 }
 
 function mergeHybridReports(base, candidates) {
-  const categoryScores = {};
+  // Categories outside CATEGORY_KEYS (activity, testing) are measured from repository data, not blended with AI.
+  const categoryScores = { ...base.categories };
   for (const key of CATEGORY_KEYS) {
     const values = candidates
       .map((item) => item.parsed?.categories?.[key])
@@ -415,17 +442,7 @@ function mergeHybridReports(base, candidates) {
         : blendScore(base.categories[key], aiAverage);
   }
 
-  const overallScore = clamp(
-    Math.round(
-      categoryScores.maintainability * 0.3 +
-        categoryScores.reliability * 0.25 +
-        categoryScores.security * 0.25 +
-        categoryScores.documentation * 0.1 +
-        categoryScores.architecture * 0.1,
-    ),
-    10,
-    99,
-  );
+  const overallScore = computeOverallScore(categoryScores, base.analysisMeta?.config?.weights);
 
   const riskValues = candidates
     .map((item) => item.parsed?.risk?.score)
@@ -491,7 +508,7 @@ function mergeHybridReports(base, candidates) {
 function mergeIssueSets(base, candidates) {
   const combined = [
     ...(base.topIssues || []),
-    ...candidates.flatMap((item) => normalizeIssues(item.parsed?.topIssues, [])),
+    ...candidates.flatMap((item) => normalizeIssues(item.parsed?.topIssues, [], base.topIssues)),
   ];
 
   const deduped = dedupeBy(combined, (issue) => {
@@ -509,6 +526,7 @@ function mergeIssueSets(base, candidates) {
       recommendation:
         sanitizeText(issue.recommendation) ||
         'Review this issue and implement an explicit fix.',
+      ...pickBaselineFields(issue),
     }))
     .sort((a, b) => {
       const severityDelta = (SEVERITY_RANK[b.severity] || 0) - (SEVERITY_RANK[a.severity] || 0);
@@ -580,7 +598,7 @@ function extractErrorMessage(error) {
   return null;
 }
 
-function normalizeIssues(issues, fallback) {
+function normalizeIssues(issues, fallback, baselineIssues = fallback) {
   if (!Array.isArray(issues) || !issues.length) return fallback;
 
   const normalized = issues
@@ -593,12 +611,37 @@ function normalizeIssues(issues, fallback) {
       recommendation:
         sanitizeText(item.recommendation) ||
         'Review this issue and implement an explicit fix.',
+      ...pickBaselineFields(findBaselineIssue(item, baselineIssues || [])),
     }))
     .slice(0, 12);
 
   return normalized.length ? normalized : fallback;
 }
 
+function findBaselineIssue(issue, baselineIssues) {
+  const file = sanitizeText(issue.file);
+  const title = sanitizeText(issue.title);
+  const ruleId = sanitizeText(issue.ruleId);
+  // A rule usually fires in several files, so its ID alone only decides when the model named no matching file.
+  const sameRule = ruleId ? baselineIssues.filter((candidate) => candidate.ruleId === ruleId) : [];
+  return (
+    sameRule.find((candidate) => candidate.file === file) ||
+    (sameRule.length === 1 ? sameRule[0] : null) ||
+    baselineIssues.find((candidate) => candidate.file === file && candidate.title === title) ||
+    null
+  );
+}
+
+function pickBaselineFields(issue) {
+  if (!issue) return {};
+  return Object.fromEntries(
+    BASELINE_ISSUE_FIELDS.filter((field) => issue[field] !== undefined && issue[field] !== null).map((field) => [
+      field,
+      issue[field],
+    ]),
+  );
+}
+
 function normalizeFixes(fixes, fallback) {
   if (!Array.isArray(fixes) || !fixes.length) return fallback;
 
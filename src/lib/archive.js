@@ -0,0 +1,288 @@
+import { Readable } from 'node:stream';
+import { createGunzip, gunzipSync, inflateRawSync } from 'node:zlib';
+
+const TAR_BLOCK_SIZE = 512;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP64_END_OF_DIRECTORY = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+
+// Uploads are untrusted; these bound how much a small zip or gzip bomb can make the server allocate.
+const UPLOAD_LIMITS = {
+  maxEntries: 100_000,
+  maxUnpackedBytes: 256 * 1024 * 1024,
+};
+
+export function readArchiveEntries(buffer, filename = '') {
+  const lower = filename.toLowerCase();
+
+  try {
+    if (lower.endsWith('.zip') || (buffer.length >= 4 && buffer.readUInt32LE(0) === ZIP_LOCAL_HEADER)) {
+      return stripCommonRoot(readZipEntries(buffer, UPLOAD_LIMITS));
+    }
+
+    if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz') || isGzip(buffer)) {
+      const tar = gunzipSync(buffer, { maxOutputLength: UPLOAD_LIMITS.maxUnpackedBytes });
+      return stripCommonRoot(readTarEntries(tar, UPLOAD_LIMITS));
+    }
+
+    if (lower.endsWith('.tar')) {
+      return stripCommonRoot(readTarEntries(buffer, UPLOAD_LIMITS));
+    }
+  } catch (error) {
+    throw toArchiveError(error);
+  }
+
+  throw new Error('Unsupported archive format. Upload a .zip, .tar.gz or .tgz file.');
+}
+
+export function readTarEntries(buffer, { maxEntries = Infinity } = {}) {
+  const entries = [];
+  let offset = 0;
+  let pendingPath = null;
+
+  while (offset + TAR_BLOCK_SIZE <= buffer.length) {
+    if (entries.length >= maxEntries) {
+      throw new Error(`Invalid archive: it holds more than ${maxEntries} files.`);
+    }
+
+    const header = buffer.subarray(offset, offset + TAR_BLOCK_SIZE);
+    if (header.every((byte) => byte === 0)) {
+      break;
+    }
+
+    const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+    const type = readString(header, 156, 1) || '0';
+    const prefix = readString(header, 345, 155);
+    const name = readString(header, 0, 100);
+    const dataStart = offset + TAR_BLOCK_SIZE;
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+    if (type === 'L') {
+      pendingPath = data.toString('utf8').replace(/\0+$/, '');
+      continue;
+    }
+
+    if (type === 'x') {
+      pendingPath = readPaxPath(data) || pendingPath;
+      continue;
+    }
+
+    if (type !== '0' && type !== '7') {
+      pendingPath = null;
+      continue;
+    }
+
+    const path = pendingPath || (prefix ? `${prefix}/${name}` : name);
+    pendingPath = null;
+    entries.push({ path, size, read: async () => data });
+  }
+
+  return entries;
+}
+
+export async function extractTarGzStream(source, wantedPaths) {
+  const input = typeof source.getReader === 'function' ? Readable.fromWeb(source) : source;
+  const gunzip = input.pipe(createGunzip());
+  const files = new Map();
+  let buffered = Buffer.alloc(0);
+  let current = null;
+  let pendingPath = null;
+
+  try {
+    for await (const chunk of gunzip) {
+      buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+
+      while (true) {
+        if (current) {
+          const take = Math.min(current.remaining, buffered.length);
+          if (current.keep) {
+            current.chunks.push(buffered.subarray(0, take));
+          }
+          buffered = buffered.subarray(take);
+          current.remaining -= take;
+          if (current.remaining > 0) break;
+
+          const data = current.keep ? Buffer.concat(current.chunks).subarray(0, current.size) : null;
+          if (current.type === 'L') {
+            pendingPath = data.toString('utf8').replace(/\0+$/, '');
+          } else if (current.type === 'x') {
+            pendingPath = readPaxPath(data) || pendingPath;
+          } else if (current.keep) {
+            files.set(current.path, data);
+          }
+          current = null;
+
+          if (files.size === wantedPaths.size) {
+            return files;
+          }
+          continue;
+        }
+
+        if (buffered.length < TAR_BLOCK_SIZE) break;
+        const header = buffered.subarray(0, TAR_BLOCK_SIZE);
+        buffered = buffered.subarray(TAR_BLOCK_SIZE);
+        if (header.every((byte) => byte === 0)) {
+          return files;
+        }
+
+        const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+        const type = readString(header, 156, 1) || '0';
+        const prefix = readString(header, 345, 155);
+        const name = readString(header, 0, 100);
+        const isMeta = type === 'L' || type === 'x';
+        const rawPath = isMeta ? null : pendingPath || (prefix ? `${prefix}/${name}` : name);
+        if (!isMeta) pendingPath = null;
+
+        // Host archives wrap the tree in a single "<repo>-<sha>/" directory.
+        const path = rawPath ? rawPath.split('/').slice(1).join('/') : null;
+        const isFile = type === '0' || type === '7';
+
+        current = {
+          type,
+          path,
+          size,
+          remaining: Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE,
+          keep: isMeta || (isFile && wantedPaths.has(path)),
+          chunks: [],
+        };
+      }
+    }
+  } finally {
+    input.destroy();
+    gunzip.destroy();
+  }
+
+  return files;
+}
+
+export function readZipEntries(buffer, { maxEntries = Infinity, maxUnpackedBytes = Infinity } = {}) {
+  const endOffset = findZipEndOfDirectory(buffer);
+  if (endOffset < 0) {
+    throw new Error('Unsupported archive format. The zip central directory is missing.');
+  }
+
+  // Archives with more than 65535 entries (such as advisory dumps) store the directory in a zip64 record.
+  const zip64Offset = findZip64EndOfDirectory(buffer, endOffset);
+  const entryCount =
+    zip64Offset >= 0 ? Number(buffer.readBigUInt64LE(zip64Offset + 32)) : buffer.readUInt16LE(endOffset + 10);
+  let offset =
+    zip64Offset >= 0 ? Number(buffer.readBigUInt64LE(zip64Offset + 48)) : buffer.readUInt32LE(endOffset + 16);
+  if (entryCount > maxEntries) {
+    throw new Error(`Invalid archive: it holds more than ${maxEntries} files.`);
+  }
+  const entries = [];
+  let unpackedBytes = 0;
+
+  for (let index = 0; index < entryCount; index += 1) {
+    if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+      break;
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const path = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const encrypted = (flags & 0x1) !== 0;
+    const zip64 = compressedSize === 0xffffffff || size === 0xffffffff;
+    if (path.endsWith('/') || encrypted || zip64 || (method !== 0 && method !== 8)) {
+      continue;
+    }
+
+    entries.push({
+      path,
+      size,
+      read: async () => {
+        try {
+          const localNameLength = buffer.readUInt16LE(localOffset + 26);
+          const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+          const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+          const data = buffer.subarray(dataStart, dataStart + compressedSize);
+          // An entry may not inflate past the size its directory record declares, which sampling already checked.
+          const content = method === 8 ? inflateRawSync(data, { maxOutputLength: Math.max(size, 1) }) : data;
+          unpackedBytes += content.length;
+          if (unpackedBytes > maxUnpackedBytes) {
+            throw new Error(`Invalid archive: it unpacks to more than ${formatMegabytes(maxUnpackedBytes)}.`);
+          }
+          return content;
+        } catch (error) {
+          throw toArchiveError(error, `${path} inflates past its declared size of ${size} bytes`);
+        }
+      },
+    });
+  }
+
+  return entries;
+}
+
+function toArchiveError(error, tooLarge = `it unpacks to more than ${formatMegabytes(UPLOAD_LIMITS.maxUnpackedBytes)}`) {
+  if (/^(Invalid|Unsupported) archive/.test(error?.message)) return error;
+  // zlib reports output over maxOutputLength as ERR_BUFFER_TOO_LARGE; offsets past the end surface as RangeErrors.
+  const reason = error?.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge : 'the file is corrupt or truncated';
+  return new Error(`Invalid archive: ${reason}.`);
+}
+
+function formatMegabytes(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+function stripCommonRoot(entries) {
+  if (!entries.length) {
+    return entries;
+  }
+
+  const roots = new Set(entries.map((entry) => entry.path.split('/')[0]));
+  const [root] = roots;
+  if (roots.size !== 1 || entries.some((entry) => !entry.path.includes('/'))) {
+    return entries;
+  }
+
+  return entries.map((entry) => ({
+    ...entry,
+    path: entry.path.slice(root.length + 1),
+  }));
+}
+
+function findZipEndOfDirectory(buffer) {
+  const lowerBound = Math.max(0, buffer.length - 65_557);
+  for (let offset = buffer.length - 22; offset >= lowerBound; offset -= 1) {
+    if (buffer.readUInt32LE(offset) === ZIP_END_OF_DIRECTORY) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+function findZip64EndOfDirectory(buffer, endOffset) {
+  const locatorOffset = endOffset - 20;
+  if (locatorOffset < 0 || buffer.readUInt32LE(locatorOffset) !== ZIP64_LOCATOR) {
+    return -1;
+  }
+
+  const offset = Number(buffer.readBigUInt64LE(locatorOffset + 8));
+  return offset + 56 <= buffer.length && buffer.readUInt32LE(offset) === ZIP64_END_OF_DIRECTORY ? offset : -1;
+}
+
+function readPaxPath(data) {
+  const match = data.toString('utf8').match(/^\d+ path=(.*)$/m);
+  return match ? match[1] : null;
+}
+
+function readString(buffer, start, length) {
+  const raw = buffer.subarray(start, start + length);
+  const end = raw.indexOf(0);
+  return raw.toString('utf8', 0, end < 0 ? raw.length : end);
+}
+
+function isGzip(buffer) {
+  return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
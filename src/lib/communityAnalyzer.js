@@ -0,0 +1,120 @@
+// Community health files, searched where GitHub looks for them: the root, docs/ and .github/.
+const SUPPORT_DIRECTORIES = ['', 'docs/', '.github/'];
+
+const COMMUNITY_CHECKS = [
+  {
+    id: 'readme',
+    label: 'README',
+    weight: 3,
+    directories: SUPPORT_DIRECTORIES,
+    pattern: /^readme(\.[\w.]+)?$/i,
+    quickWin: 'Add a README that explains what the project does, how to install it and how to run it.',
+  },
+  {
+    id: 'license',
+    label: 'License',
+    weight: 2,
+    directories: [''],
+    pattern: /^(licen[cs]e|copying|unlicense)([.-][\w.-]+)?$/i,
+    quickWin: 'Add a LICENSE file so others know under which terms they may use the code.',
+  },
+  {
+    id: 'contributing',
+    label: 'Contributing guide',
+    weight: 2,
+    directories: SUPPORT_DIRECTORIES,
+    pattern: /^contributing(\.[\w.]+)?$/i,
+    quickWin: 'Add a CONTRIBUTING.md describing the development setup, coding style and review process.',
+  },
+  {
+    id: 'code-of-conduct',
+    label: 'Code of conduct',
+    weight: 1,
+    directories: SUPPORT_DIRECTORIES,
+    pattern: /^code[_-]of[_-]conduct(\.[\w.]+)?$/i,
+    quickWin: 'Adopt a CODE_OF_CONDUCT.md (e.g. the Contributor Covenant) and name a contact for reports.',
+  },
+  {
+    id: 'security-policy',
+    label: 'Security policy',
+    weight: 2,
+    directories: SUPPORT_DIRECTORIES,
+    pattern: /^security(\.[\w.]+)?$/i,
+    quickWin: 'Add a SECURITY.md that explains how to report vulnerabilities privately.',
+  },
+  {
+    id: 'codeowners',
+    label: 'CODEOWNERS',
+    weight: 1,
+    directories: SUPPORT_DIRECTORIES,
+    pattern: /^codeowners$/i,
+    quickWin: 'Add a CODEOWNERS file so reviews are routed to the owners of each module.',
+  },
+  {
+    id: 'issue-templates',
+    label: 'Issue templates',
+    weight: 1,
+    directories: SUPPORT_DIRECTORIES,
+    pattern: /^issue_template(\.[\w.]+|\/.+)$/i,
+    quickWin: 'Add issue templates under .github/ISSUE_TEMPLATE/ for bug reports and feature requests.',
+  },
+  {
+    id: 'pull-request-template',
+    label: 'Pull request template',
+    weight: 1,
+    directories: SUPPORT_DIRECTORIES,
+    pattern: /^pull_request_template(\.[\w.]+|\/.+)$/i,
+    quickWin: 'Add a .github/pull_request_template.md with a checklist for tests and documentation.',
+  },
+  {
+    id: 'changelog',
+    label: 'Changelog',
+    weight: 1,
+    directories: ['', 'docs/'],
+    pattern: /^(changelog|changes|history|news|releases)(\.[\w.]+)?$/i,
+    quickWin: 'Start a CHANGELOG.md so users can see what changed between releases.',
+  },
+  {
+    id: 'style-config',
+    label: 'Editor or lint configuration',
+    weight: 1,
+    directories: [''],
+    pattern:
+      /^(\.editorconfig|\.eslintrc(\.[\w]+)?|eslint\.config\.[cm]?[jt]s|\.prettierrc(\.[\w]+)?|prettier\.config\.[cm]?js|biome\.jsonc?|\.stylelintrc(\.[\w]+)?|\.rubocop\.yml|\.golangci\.ya?ml|ruff\.toml|\.ruff\.toml|\.flake8|\.pylintrc|rustfmt\.toml|\.rustfmt\.toml|clippy\.toml|\.clang-format|checkstyle\.xml|\.scalafmt\.conf|\.swiftlint\.yml|detekt\.yml)$/i,
+    quickWin: 'Commit an .editorconfig and a linter configuration so every contributor formats code the same way.',
+  },
+];
+
+export function checkCommunityStandards(paths) {
+  const items = COMMUNITY_CHECKS.map((check) => {
+    const match = findCheckPath(paths, check);
+    return {
+      id: check.id,
+      label: check.label,
+      weight: check.weight,
+      present: Boolean(match),
+      path: match,
+      quickWin: match ? null : check.quickWin,
+    };
+  });
+
+  const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+  const presentWeight = items.filter((item) => item.present).reduce((sum, item) => sum + item.weight, 0);
+
+  return {
+    items,
+    present: items.filter((item) => item.present).length,
+    score: Math.round((presentWeight / totalWeight) * 100),
+  };
+}
+
+function findCheckPath(paths, check) {
+  // Earlier directories win, so a root README is reported over docs/README.md.
+  for (const directory of check.directories) {
+    const match = paths.find(
+      (path) => path.toLowerCase().startsWith(directory) && check.pattern.test(path.slice(directory.length)),
+    );
+    if (match) return match;
+  }
+  return null;
+}
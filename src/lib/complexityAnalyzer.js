@@ -0,0 +1,305 @@
+import { parse } from '@babel/parser';
+
+const MAX_LISTED_FUNCTIONS = 5;
+
+const SCRIPT_PATTERN = /\.(jsx?|mjs|cjs|tsx?|mts|cts)$/i;
+const TYPESCRIPT_PATTERN = /\.(tsx?|mts|cts)$/i;
+const JSX_PATTERN = /\.(jsx?|mjs|cjs|tsx)$/i;
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ObjectMethod',
+  'ClassMethod',
+  'ClassPrivateMethod',
+]);
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+const LOGICAL_ASSIGNMENTS = new Set(['&&=', '||=', '??=']);
+const SKIPPED_KEYS = new Set([
+  'loc',
+  'extra',
+  'leadingComments',
+  'trailingComments',
+  'innerComments',
+  'typeAnnotation',
+  'returnType',
+  'typeParameters',
+]);
+
+export function isParsableScript(path) {
+  return SCRIPT_PATTERN.test(path) && !/\.d\.[cm]?ts$/i.test(path);
+}
+
+export function analyzeScriptComplexity(path, content) {
+  if (!isParsableScript(path)) return null;
+
+  const program = parseScript(path, content);
+  if (!program) return null;
+
+  const lineCount = content.split('\n').length;
+  const topLevel = createUnit('(top level)', 1, 0, lineCount);
+  const functions = [];
+  try {
+    visit(program, null, null, { unit: topLevel, nesting: 0, className: null, functions });
+  } catch {
+    // Generated code can nest deeper than the call stack allows, e.g. a 2,000-term `a && a && ...` chain;
+    // the caller then falls back to keyword counts.
+    return null;
+  }
+
+  // Top-level code only counts when it branches, e.g. CLI scripts without functions.
+  if (topLevel.cyclomatic > 1) functions.push(topLevel);
+  return { functions: functions.map(finishUnit) };
+}
+
+export function scoreStructuralComplexity(functions, loc) {
+  const sizeBump = loc > 500 ? 2 : loc > 320 ? 1 : 0;
+  if (!functions.length) return Math.min(1 + sizeBump, 10);
+
+  // The worst function dominates: one 40-branch handler is harder to change than twenty small helpers.
+  const maxCognitive = Math.max(...functions.map((unit) => unit.cognitive));
+  const averageCyclomatic = functions.reduce((sum, unit) => sum + unit.cyclomatic, 0) / functions.length;
+  const maxNesting = Math.max(...functions.map((unit) => unit.nesting));
+
+  return clamp(
+    Math.round(
+      1 +
+        Math.min(maxCognitive / 6, 5) +
+        Math.min((averageCyclomatic - 1) / 3, 2) +
+        (maxNesting >= 5 ? 1 : 0) +
+        sizeBump,
+    ),
+    1,
+    10,
+  );
+}
+
+export function selectWorstFunctions(functions, limit = MAX_LISTED_FUNCTIONS) {
+  return functions
+    .filter((unit) => unit.cognitive > 0 || unit.cyclomatic > 1)
+    .sort((a, b) => b.cognitive - a.cognitive || b.cyclomatic - a.cyclomatic || b.length - a.length)
+    .slice(0, limit);
+}
+
+function parseScript(path, content) {
+  const plugins = [];
+  if (TYPESCRIPT_PATTERN.test(path)) plugins.push('typescript', 'decorators-legacy');
+  if (JSX_PATTERN.test(path)) plugins.push('jsx');
+
+  try {
+    return parse(content, {
+      sourceType: 'unambiguous',
+      plugins,
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      allowSuperOutsideMethod: true,
+      allowUndeclaredExports: true,
+    }).program;
+  } catch {
+    return null;
+  }
+}
+
+function visit(node, parent, key, context) {
+  if (FUNCTION_TYPES.has(node.type)) {
+    const unit = createUnit(
+      describeFunction(node, parent, key, context.className),
+      node.loc.start.line,
+      node.params.length,
+      node.loc.end.line - node.loc.start.line + 1,
+    );
+    context.functions.push(unit);
+    visitChildren(node, { ...context, unit, nesting: 0 });
+    return;
+  }
+
+  const { unit, nesting } = context;
+  switch (node.type) {
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      visitChildren(node, { ...context, className: node.id?.name || bindingName(parent) || 'class' });
+      return;
+    case 'IfStatement':
+      visitIf(node, context, false);
+      return;
+    case 'ConditionalExpression':
+      unit.cyclomatic += 1;
+      addStructure(unit, nesting);
+      visit(node.test, node, 'test', context);
+      visit(node.consequent, node, 'consequent', nested(context));
+      visit(node.alternate, node, 'alternate', nested(context));
+      return;
+    case 'SwitchStatement':
+      addStructure(unit, nesting);
+      visit(node.discriminant, node, 'discriminant', context);
+      node.cases.forEach((switchCase) => visit(switchCase, node, 'cases', nested(context)));
+      return;
+    case 'SwitchCase':
+      if (node.test) unit.cyclomatic += 1;
+      break;
+    case 'CatchClause':
+      unit.cyclomatic += 1;
+      addStructure(unit, nesting);
+      visitChildren(node, nested(context));
+      return;
+    case 'LogicalExpression':
+      unit.cyclomatic += 1;
+      // Cognitive complexity charges once per run of the same operator: a && b && c is one, a && b || c two.
+      if (parent?.type !== 'LogicalExpression') unit.cognitive += countOperatorRuns(node);
+      break;
+    case 'AssignmentExpression':
+      if (LOGICAL_ASSIGNMENTS.has(node.operator)) unit.cyclomatic += 1;
+      break;
+    case 'BreakStatement':
+    case 'ContinueStatement':
+      if (node.label) unit.cognitive += 1;
+      break;
+    case 'CallExpression':
+      if (node.callee.type === 'Identifier' && node.callee.name === unit.name) unit.cognitive += 1;
+      break;
+    default:
+      if (LOOP_TYPES.has(node.type)) {
+        unit.cyclomatic += 1;
+        addStructure(unit, nesting);
+        for (const [childKey, child] of childNodes(node)) {
+          visit(child, node, childKey, childKey === 'body' ? nested(context) : context);
+        }
+        return;
+      }
+  }
+
+  visitChildren(node, context);
+}
+
+function visitIf(node, context, isElseIf) {
+  const { unit, nesting } = context;
+  unit.cyclomatic += 1;
+  // `else if` continues the same decision, so it costs one point without a nesting penalty.
+  if (isElseIf) unit.cognitive += 1;
+  else addStructure(unit, nesting);
+
+  visit(node.test, node, 'test', context);
+  visit(node.consequent, node, 'consequent', nested(context));
+  if (!node.alternate) return;
+  if (node.alternate.type === 'IfStatement') {
+    visitIf(node.alternate, context, true);
+  } else {
+    unit.cognitive += 1;
+    visit(node.alternate, node, 'alternate', nested(context));
+  }
+}
+
+function visitChildren(node, context) {
+  for (const [key, child] of childNodes(node)) {
+    visit(child, node, key, context);
+  }
+}
+
+function* childNodes(node) {
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_KEYS.has(key)) continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        if (item && typeof item.type === 'string') yield [key, item];
+      }
+    } else if (value && typeof value.type === 'string') {
+      yield [key, value];
+    }
+  }
+}
+
+function nested(context) {
+  const nesting = context.nesting + 1;
+  context.unit.nesting = Math.max(context.unit.nesting, nesting);
+  return { ...context, nesting };
+}
+
+function addStructure(unit, nesting) {
+  unit.cognitive += 1 + nesting;
+}
+
+function countOperatorRuns(node) {
+  const operators = flattenOperators(node);
+  return operators.filter((operator, index) => operator !== operators[index - 1]).length;
+}
+
+function flattenOperators(node) {
+  if (node.type !== 'LogicalExpression') return [];
+  return [...flattenOperators(node.left), node.operator, ...flattenOperators(node.right)];
+}
+
+function createUnit(name, line, params, length) {
+  return { name, line, params, length, cyclomatic: 1, cognitive: 0, nesting: 0 };
+}
+
+function finishUnit(unit) {
+  return {
+    name: unit.name,
+    line: unit.line,
+    cyclomatic: unit.cyclomatic,
+    cognitive: unit.cognitive,
+    nesting: unit.nesting,
+    params: unit.params,
+    length: unit.length,
+  };
+}
+
+function describeFunction(node, parent, key, className) {
+  if (node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod') {
+    return `${className || 'class'}.${propertyName(node.key, node.computed)}`;
+  }
+  if (node.type === 'ObjectMethod') return propertyName(node.key, node.computed);
+  if (node.id?.name) return node.id.name;
+
+  switch (parent?.type) {
+    case 'VariableDeclarator':
+      return bindingName(parent) || '(anonymous)';
+    case 'AssignmentExpression':
+    case 'AssignmentPattern':
+      return key === 'right' ? expressionName(parent.left) || '(anonymous)' : '(anonymous)';
+    case 'ObjectProperty':
+      return propertyName(parent.key, parent.computed);
+    case 'ClassProperty':
+    case 'ClassPrivateProperty':
+      return `${className || 'class'}.${propertyName(parent.key, parent.computed)}`;
+    case 'ExportDefaultDeclaration':
+      return 'default export';
+    case 'CallExpression':
+    case 'NewExpression': {
+      const callee = expressionName(parent.callee);
+      return callee ? `${callee} callback` : '(anonymous)';
+    }
+    default:
+      return '(anonymous)';
+  }
+}
+
+function bindingName(node) {
+  return node?.type === 'VariableDeclarator' && node.id.type === 'Identifier' ? node.id.name : null;
+}
+
+function propertyName(key, computed) {
+  if (computed) return '[computed]';
+  if (key.type === 'Identifier') return key.name;
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+  return '[computed]';
+}
+
+function expressionName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+    const object = expressionName(node.object);
+    return object ? `${object}.${propertyName(node.property, node.computed)}` : null;
+  }
+  return null;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
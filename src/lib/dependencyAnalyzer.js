@@ -0,0 +1,786 @@
+import yaml from 'js-yaml';
+import { isIgnoredPath } from './fileSelection.js';
+import { parseToml } from './toml.js';
+
+export const MAX_MANIFEST_FILES = 30;
+export const MAX_MANIFEST_SIZE = 5_000_000;
+
+const MAX_LISTED_FINDINGS = 40;
+const MAX_CONFLICT_FINDINGS = 10;
+const MAX_PENALTY = 25;
+
+const SEVERITY_PENALTY = {
+  Critical: 10,
+  High: 6,
+  Medium: 3,
+  Low: 1,
+};
+
+const SEVERITY_ORDER = {
+  Critical: 4,
+  High: 3,
+  Medium: 2,
+  Low: 1,
+};
+
+// `parse` names the manifest parser; lockfiles with `parse` are read to detect duplicate versions.
+const MANIFEST_KINDS = [
+  { pattern: /^package\.json$/, ecosystem: 'npm', role: 'manifest', parse: 'packageJson' },
+  { pattern: /^(package-lock|npm-shrinkwrap)\.json$/, ecosystem: 'npm', role: 'lockfile', parse: 'packageLock' },
+  { pattern: /^yarn\.lock$/, ecosystem: 'npm', role: 'lockfile', parse: 'yarnLock' },
+  { pattern: /^pnpm-lock\.yaml$/, ecosystem: 'npm', role: 'lockfile', parse: 'pnpmLock' },
+  { pattern: /^bun\.lockb?$/, ecosystem: 'npm', role: 'lockfile', parse: null },
+  { pattern: /^requirements[\w.-]*\.txt$/, ecosystem: 'pypi', role: 'manifest', parse: 'requirements' },
+  { pattern: /^pyproject\.toml$/, ecosystem: 'pypi', role: 'manifest', parse: 'pyproject' },
+  { pattern: /^Pipfile$/, ecosystem: 'pypi', role: 'manifest', parse: 'pipfile' },
+  { pattern: /^(poetry|uv|pdm)\.lock$/, ecosystem: 'pypi', role: 'lockfile', parse: 'tomlPackages' },
+  { pattern: /^Pipfile\.lock$/, ecosystem: 'pypi', role: 'lockfile', parse: 'pipfileLock' },
+  { pattern: /^go\.mod$/, ecosystem: 'go', role: 'manifest', parse: 'goMod' },
+  { pattern: /^go\.sum$/, ecosystem: 'go', role: 'lockfile', parse: null },
+  { pattern: /^Cargo\.toml$/, ecosystem: 'cargo', role: 'manifest', parse: 'cargoToml' },
+  { pattern: /^Cargo\.lock$/, ecosystem: 'cargo', role: 'lockfile', parse: 'tomlPackages' },
+  { pattern: /^pom\.xml$/, ecosystem: 'maven', role: 'manifest', parse: 'pomXml' },
+];
+
+const DEV_TOOL_PATTERNS = {
+  npm: /^(eslint|prettier|jest|mocha|vitest|nodemon|ts-node|husky|lint-staged|chai|sinon|nyc|cypress|webpack-dev-server|@playwright\/test|@types\/.+|@testing-library\/.+|@typescript-eslint\/.+|eslint-(config|plugin)-.+|jest-.+)$/,
+  pypi: /^(pytest(-.+)?|black|flake8|mypy|ruff|pylint|isort|tox|coverage|pre-commit)$/,
+  maven: /:(junit|junit-jupiter.*|mockito-.+|assertj-core|hamcrest.*)$/,
+};
+
+const DEV_SCOPES = new Set(['dev', 'test']);
+
+export function getManifestKind(path) {
+  const name = path.split('/').pop();
+  return MANIFEST_KINDS.find((kind) => kind.pattern.test(name)) || null;
+}
+
+export function isDependencyManifest(path) {
+  return Boolean(getManifestKind(path));
+}
+
+export function listManifestEcosystems(manifestFiles = []) {
+  return [...new Set(manifestFiles.map((file) => getManifestKind(file.path)?.ecosystem).filter(Boolean))];
+}
+
+export function normalizePackageName(ecosystem, name) {
+  // PEP 503: Python names compare case-insensitively with runs of -, _ and . treated alike.
+  return ecosystem === 'pypi' ? normalizePythonName(name) : name;
+}
+
+// Lockfile lookups go through this on both sides, so `Foo_Bar` in a manifest finds `foo-bar` in poetry.lock.
+export function toPackageKey(ecosystem, name) {
+  return `${ecosystem}:${normalizePackageName(ecosystem, name)}`;
+}
+
+export function planManifestReads(entries) {
+  let budget = MAX_MANIFEST_FILES;
+
+  return entries
+    .filter((entry) => isDependencyManifest(entry.path) && !isIgnoredPath(entry.path))
+    .sort((a, b) => a.path.split('/').length - b.path.split('/').length || a.path.localeCompare(b.path))
+    .map((entry) => {
+      const read =
+        budget > 0 && Boolean(getManifestKind(entry.path).parse) && !(entry.size > MAX_MANIFEST_SIZE);
+      if (read) budget -= 1;
+      return { entry, read };
+    });
+}
+
+export function analyzeDependencies(manifestFiles = []) {
+  if (!manifestFiles.length) {
+    return null;
+  }
+
+  const paths = new Set(manifestFiles.map((file) => file.path));
+  const manifests = [];
+  const findings = [];
+  const parseErrors = [];
+  const lockfiles = [];
+
+  for (const file of manifestFiles) {
+    const kind = getManifestKind(file.path);
+    if (kind.role === 'lockfile') {
+      lockfiles.push({
+        path: file.path,
+        ecosystem: kind.ecosystem,
+        ...readLockfile(file, kind, parseErrors),
+      });
+      continue;
+    }
+    if (file.content === null || file.content === undefined) {
+      continue;
+    }
+
+    try {
+      manifests.push({
+        path: file.path,
+        ecosystem: kind.ecosystem,
+        ...MANIFEST_PARSERS[kind.parse](file.content, file.path),
+      });
+    } catch (error) {
+      parseErrors.push({ path: file.path, message: error.message });
+    }
+  }
+
+  for (const manifest of manifests) {
+    checkSpecs(manifest, findings);
+    checkScopes(manifest, findings);
+    checkLockfile(manifest, paths, findings);
+  }
+  checkConflicts(manifests, findings);
+
+  for (const lockfile of lockfiles) {
+    checkLockfileDuplicates(lockfile, findings);
+  }
+
+  return {
+    ecosystems: [...new Set(manifests.map((manifest) => manifest.ecosystem))],
+    manifests: manifests.map((manifest) => ({
+      path: manifest.path,
+      ecosystem: manifest.ecosystem,
+      production: manifest.dependencies.filter((dependency) => !DEV_SCOPES.has(dependency.scope)).length,
+      development: manifest.dependencies.filter((dependency) => DEV_SCOPES.has(dependency.scope)).length,
+    })),
+    lockfiles: lockfiles.map((lockfile) => lockfile.path),
+    findings,
+    parseErrors,
+    resolved: collectResolvedVersions(manifests, lockfiles),
+    declared: collectDeclaredDependencies(manifests),
+    lockfileLicenses: collectLockfileLicenses(lockfiles),
+    // The shallowest manifest describes the project itself.
+    declaredLicense: manifests.find((manifest) => manifest.license)?.license || null,
+  };
+}
+
+export function summarizeDependencyFindings(findings) {
+  const counts = { Critical: 0, High: 0, Medium: 0, Low: 0 };
+  findings.forEach((finding) => {
+    counts[finding.severity] += 1;
+  });
+
+  return {
+    counts,
+    findings: [...findings]
+      .sort((a, b) => SEVERITY_ORDER[b.severity] - SEVERITY_ORDER[a.severity])
+      .slice(0, MAX_LISTED_FINDINGS),
+    truncated: findings.length > MAX_LISTED_FINDINGS,
+  };
+}
+
+export function dependencyPenalties(findings) {
+  const penalties = { reliability: 0, security: 0 };
+  for (const finding of findings) {
+    penalties[finding.type] += SEVERITY_PENALTY[finding.severity] || 0;
+  }
+
+  return {
+    reliability: Math.min(MAX_PENALTY, penalties.reliability),
+    security: Math.min(MAX_PENALTY, penalties.security),
+  };
+}
+
+const MANIFEST_PARSERS = {
+  packageJson(content) {
+    const json = JSON.parse(content);
+    const scopes = {
+      dependencies: 'prod',
+      devDependencies: 'dev',
+      peerDependencies: 'peer',
+      optionalDependencies: 'optional',
+    };
+
+    return {
+      dependencies: Object.entries(scopes).flatMap(([field, scope]) =>
+        Object.entries(json[field] || {}).map(([name, spec]) => ({ name, spec: String(spec), scope })),
+      ),
+      rangeSeverity: 'Medium',
+      license: typeof json.license === 'string' ? json.license : json.license?.type || null,
+    };
+  },
+
+  requirements(content, path) {
+    const scope = /(dev|test|lint|doc)/i.test(path.split('/').pop()) ? 'dev' : 'prod';
+    const dependencies = content
+      .split('\n')
+      .map((line) => line.replace(/(^|\s)#.*$/, '').trim())
+      .filter((line) => line && !line.startsWith('-'))
+      .map((line) => ({ ...parsePep508(line), scope }))
+      .filter((dependency) => dependency.name);
+
+    return {
+      dependencies,
+      rangeSeverity: 'Medium',
+      // A requirements file with every version pinned acts as its own lockfile.
+      selfLocked: dependencies.every((dependency) => /^===?[^,*]+$/.test(dependency.spec)),
+    };
+  },
+
+  pyproject(content) {
+    const toml = parseToml(content);
+    const dependencies = (toml.project?.dependencies || []).map((line) => ({
+      ...parsePep508(line),
+      scope: 'prod',
+    }));
+
+    for (const [group, lines] of Object.entries(toml.project?.['optional-dependencies'] || {})) {
+      const scope = /^(dev|test|tests|lint|docs?)$/i.test(group) ? 'dev' : 'optional';
+      dependencies.push(...lines.map((line) => ({ ...parsePep508(line), scope })));
+    }
+    for (const lines of Object.values(toml['dependency-groups'] || {})) {
+      dependencies.push(
+        ...lines.filter((line) => typeof line === 'string').map((line) => ({ ...parsePep508(line), scope: 'dev' })),
+      );
+    }
+
+    const poetry = toml.tool?.poetry;
+    dependencies.push(...readPoetryTable(poetry?.dependencies, 'prod'));
+    dependencies.push(...readPoetryTable(poetry?.['dev-dependencies'], 'dev'));
+    for (const group of Object.values(poetry?.group || {})) {
+      dependencies.push(...readPoetryTable(group.dependencies, 'dev'));
+    }
+
+    return {
+      dependencies: dependencies.filter((dependency) => dependency.name),
+      // Library metadata commonly uses open ranges, so they weigh less than in applications.
+      rangeSeverity: 'Low',
+      lockfiles: poetry?.dependencies ? ['poetry.lock'] : ['poetry.lock', 'uv.lock', 'pdm.lock'],
+      lockSeverity: poetry?.dependencies ? 'High' : 'Low',
+      license: readPyprojectLicense(toml.project?.license) || poetry?.license || null,
+    };
+  },
+
+  pipfile(content) {
+    const toml = parseToml(content);
+    return {
+      dependencies: [
+        ...readPoetryTable(toml.packages, 'prod'),
+        ...readPoetryTable(toml['dev-packages'], 'dev'),
+      ],
+      rangeSeverity: 'Medium',
+      lockfiles: ['Pipfile.lock'],
+      lockSeverity: 'High',
+    };
+  },
+
+  goMod(content) {
+    const dependencies = [];
+    const localReplacements = [];
+    let block = null;
+
+    for (const rawLine of content.split('\n')) {
+      const line = rawLine.replace(/\/\/.*$/, '').trim();
+      if (!line) continue;
+
+      const blockStart = line.match(/^(require|replace)\s*\($/);
+      if (blockStart) {
+        block = blockStart[1];
+        continue;
+      }
+      if (line === ')') {
+        block = null;
+        continue;
+      }
+
+      const statement = block ? `${block} ${line}` : line;
+      const require = statement.match(/^require\s+(\S+)\s+(\S+)/);
+      if (require) {
+        dependencies.push({ name: require[1], spec: require[2], scope: 'prod' });
+        continue;
+      }
+
+      const replace = statement.match(/^replace\s+(\S+)(?:\s+\S+)?\s+=>\s+(\.{1,2}\/\S*|\/\S*)/);
+      if (replace) {
+        localReplacements.push({ name: replace[1], target: replace[2] });
+      }
+    }
+
+    return { dependencies, localReplacements, rangeSeverity: 'Medium' };
+  },
+
+  cargoToml(content) {
+    const toml = parseToml(content);
+    const tables = {
+      dependencies: 'prod',
+      'build-dependencies': 'prod',
+      'dev-dependencies': 'dev',
+    };
+
+    const dependencies = Object.entries(tables).flatMap(([table, scope]) =>
+      Object.entries(toml[table] || {}).map(([name, value]) => ({
+        name,
+        scope,
+        ...readCargoSpec(value),
+      })),
+    );
+    dependencies.push(
+      ...Object.entries(toml.workspace?.dependencies || {}).map(([name, value]) => ({
+        name,
+        scope: 'prod',
+        ...readCargoSpec(value),
+      })),
+    );
+
+    return {
+      dependencies: dependencies.filter((dependency) => dependency.spec !== null),
+      rangeSeverity: 'Medium',
+      license: typeof toml.package?.license === 'string' ? toml.package.license : null,
+    };
+  },
+
+  pomXml(content) {
+    const properties = {};
+    const propertiesBlock = content.match(/<properties>([\s\S]*?)<\/properties>/);
+    for (const match of (propertiesBlock?.[1] || '').matchAll(/<([\w.-]+)>([^<]*)<\/\1>/g)) {
+      properties[match[1]] = match[2].trim();
+    }
+    properties['project.version'] = readXmlTag(content.replace(/<parent>[\s\S]*?<\/parent>/, ''), 'version');
+
+    const dependencies = [];
+    for (const match of content.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)) {
+      const block = match[1];
+      const version = readXmlTag(block, 'version');
+      if (!version) continue;
+
+      const scope = readXmlTag(block, 'scope');
+      dependencies.push({
+        name: `${readXmlTag(block, 'groupId')}:${readXmlTag(block, 'artifactId')}`,
+        spec: version.replace(/\$\{([^}]+)\}/g, (placeholder, key) => properties[key] || placeholder),
+        scope: scope === 'test' ? 'test' : scope === 'provided' ? 'optional' : 'prod',
+      });
+    }
+
+    const licenses = content.match(/<licenses>([\s\S]*?)<\/licenses>/)?.[1];
+    return { dependencies, rangeSeverity: 'Medium', license: licenses ? readXmlTag(licenses, 'name') : null };
+  },
+};
+
+const LOCKFILE_PARSERS = {
+  packageLock(content) {
+    const json = JSON.parse(content);
+    const versions = new Map();
+    const licenses = new Map();
+
+    if (json.packages) {
+      for (const [key, entry] of Object.entries(json.packages)) {
+        if (!key || !entry?.version || entry.link) continue;
+        const name = key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length);
+        addVersion(versions, name, entry.version);
+        // Lockfile v2+ copies each package's declared license; hoisted (top-level) entries win.
+        if (entry.license && (!licenses.has(name) || key === `node_modules/${name}`)) {
+          licenses.set(name, entry.license);
+        }
+      }
+      return { versions, licenses };
+    }
+
+    const walk = (dependencies) => {
+      for (const [name, entry] of Object.entries(dependencies || {})) {
+        addVersion(versions, name, entry.version);
+        walk(entry.dependencies);
+      }
+    };
+    walk(json.dependencies);
+    return { versions };
+  },
+
+  yarnLock(content) {
+    const versions = new Map();
+    let names = [];
+
+    for (const line of content.split('\n')) {
+      if (line && !line.startsWith(' ') && !line.startsWith('#') && line.trimEnd().endsWith(':')) {
+        names = line
+          .slice(0, -1)
+          .split(',')
+          .map((spec) => spec.trim().replace(/^"|"$/g, ''))
+          .map((spec) => spec.slice(0, spec.indexOf('@', 1)));
+        continue;
+      }
+
+      const version = line.match(/^\s+version:?\s+"?([^"\s]+)"?/);
+      if (version) {
+        new Set(names).forEach((name) => addVersion(versions, name, version[1]));
+      }
+    }
+
+    return { versions };
+  },
+
+  pnpmLock(content) {
+    const lock = yaml.load(content) || {};
+    const versions = new Map();
+
+    for (const key of Object.keys(lock.packages || {})) {
+      const match = key.replace(/^\//, '').match(/^(@?[^@/]+(?:\/[^@/]+)?)[@/]([^@/(_]+)/);
+      if (match) addVersion(versions, match[1], match[2]);
+    }
+
+    return { versions };
+  },
+
+  tomlPackages(content) {
+    const versions = new Map();
+    for (const entry of parseToml(content).package || []) {
+      addVersion(versions, entry.name, entry.version);
+    }
+    return { versions };
+  },
+
+  pipfileLock(content) {
+    const json = JSON.parse(content);
+    const versions = new Map();
+    for (const section of [json.default, json.develop]) {
+      for (const [name, entry] of Object.entries(section || {})) {
+        addVersion(versions, name, entry.version?.replace(/^==/, ''));
+      }
+    }
+    return { versions };
+  },
+};
+
+function collectDeclaredDependencies(manifests) {
+  const declared = new Map();
+  for (const manifest of manifests) {
+    for (const dependency of manifest.dependencies) {
+      const key = toPackageKey(manifest.ecosystem, dependency.name);
+      const existing = declared.get(key);
+      // A package declared for production anywhere counts as a production dependency.
+      if (!existing || (DEV_SCOPES.has(existing.scope) && !DEV_SCOPES.has(dependency.scope))) {
+        declared.set(key, {
+          ecosystem: manifest.ecosystem,
+          name: dependency.name,
+          scope: dependency.scope,
+          manifest: manifest.path,
+        });
+      }
+    }
+  }
+  return [...declared.values()];
+}
+
+function collectLockfileLicenses(lockfiles) {
+  const licenses = new Map();
+  for (const lockfile of lockfiles) {
+    for (const [name, license] of lockfile.licenses || []) {
+      licenses.set(toPackageKey(lockfile.ecosystem, name), license);
+    }
+  }
+  return licenses;
+}
+
+// Exact versions come from lockfiles first; exact pins in manifests fill in packages without a lock entry.
+function collectResolvedVersions(manifests, lockfiles) {
+  const resolved = new Map();
+  const add = (ecosystem, name, version, source) => {
+    const normalizedName = normalizePackageName(ecosystem, name);
+    const key = `${ecosystem}:${normalizedName}@${version}`;
+    if (!resolved.has(key)) {
+      resolved.set(key, { ecosystem, name: normalizedName, version, sources: [] });
+    }
+    resolved.get(key).sources.push(source);
+  };
+
+  const locked = new Set();
+  for (const lockfile of lockfiles) {
+    for (const [name, versions] of lockfile.versions || []) {
+      locked.add(toPackageKey(lockfile.ecosystem, name));
+      versions.forEach((version) => add(lockfile.ecosystem, name, version, lockfile.path));
+    }
+  }
+
+  for (const manifest of manifests) {
+    for (const dependency of manifest.dependencies) {
+      const version = readExactVersion(manifest.ecosystem, dependency.spec);
+      if (version && !locked.has(toPackageKey(manifest.ecosystem, dependency.name))) {
+        add(manifest.ecosystem, dependency.name, version, manifest.path);
+      }
+    }
+  }
+
+  return [...resolved.values()];
+}
+
+function readExactVersion(ecosystem, rawSpec) {
+  const spec = (rawSpec || '').trim();
+
+  if (ecosystem === 'npm') return spec.match(/^=?v?(\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?)$/)?.[1] || null;
+  if (ecosystem === 'pypi') return spec.match(/^===?([^,;*\s]+)$/)?.[1] || null;
+  if (ecosystem === 'cargo') return spec.match(/^=\s*(\d+\.\d+\.\d+\S*)$/)?.[1] || null;
+  if (ecosystem === 'go') return spec || null;
+  if (ecosystem === 'maven') return /^[^[\](),$\s]+$/.test(spec) ? spec : null;
+  return null;
+}
+
+function checkSpecs(manifest, findings) {
+  for (const dependency of manifest.dependencies) {
+    const problem = classifySpec(manifest.ecosystem, dependency.spec);
+    if (problem === 'wildcard') {
+      findings.push(
+        buildFinding('dependency-wildcard', 'High', 'security', manifest, dependency.name,
+          `${dependency.name} accepts any version ("${dependency.spec || '*'}").`),
+      );
+    } else if (problem === 'unbounded') {
+      findings.push(
+        buildFinding('dependency-unpinned', manifest.rangeSeverity, 'reliability', manifest, dependency.name,
+          dependency.spec
+            ? `${dependency.name} has no upper version bound ("${dependency.spec}").`
+            : `${dependency.name} does not constrain its version.`),
+      );
+    } else if (problem === 'moving-source') {
+      findings.push(
+        buildFinding('dependency-unpinned-source', 'Medium', 'security', manifest, dependency.name,
+          `${dependency.name} is installed from a source that is not pinned to a commit (${dependency.spec}).`),
+      );
+    }
+  }
+
+  for (const replacement of manifest.localReplacements || []) {
+    findings.push(
+      buildFinding('dependency-local-replace', 'Low', 'reliability', manifest, replacement.name,
+        `${replacement.name} is replaced with the local path ${replacement.target}, which breaks builds outside this checkout.`),
+    );
+  }
+}
+
+function checkScopes(manifest, findings) {
+  const byName = new Map();
+  for (const dependency of manifest.dependencies) {
+    if (!byName.has(dependency.name)) byName.set(dependency.name, []);
+    byName.get(dependency.name).push(dependency);
+  }
+
+  for (const [name, declarations] of byName) {
+    const scopes = [...new Set(declarations.map((dependency) => dependency.scope))];
+    const specs = [...new Set(declarations.map((dependency) => dependency.spec))];
+    if (declarations.length > 1 && (scopes.length > 1 || specs.length > 1)) {
+      findings.push(
+        buildFinding('dependency-duplicate', specs.length > 1 ? 'Medium' : 'Low', 'reliability', manifest, name,
+          `${name} is declared ${declarations.length} times (${declarations
+            .map((dependency) => `${dependency.scope} ${dependency.spec || '*'}`)
+            .join(', ')}).`),
+      );
+    }
+
+    const devTool = DEV_TOOL_PATTERNS[manifest.ecosystem];
+    if (devTool?.test(name) && declarations.every((dependency) => dependency.scope === 'prod')) {
+      findings.push(
+        buildFinding('dependency-dev-in-prod', 'Low', 'security', manifest, name,
+          `${name} is a development tool but is declared as a production dependency.`),
+      );
+    }
+  }
+}
+
+function checkLockfile(manifest, paths, findings) {
+  if (!manifest.dependencies.length || manifest.selfLocked) {
+    return;
+  }
+
+  const expected = manifest.lockfiles || DEFAULT_LOCKFILES[manifest.ecosystem];
+  if (!expected) {
+    return;
+  }
+
+  // Workspaces keep a single lockfile at the root, so ancestors count too.
+  const segments = manifest.path.split('/').slice(0, -1);
+  const searchDirectories = manifest.ecosystem === 'npm' || manifest.ecosystem === 'cargo'
+    ? segments.map((_, index) => segments.slice(0, segments.length - index).join('/')).concat([''])
+    : [segments.join('/')];
+
+  const found = searchDirectories.some((directory) =>
+    expected.some((name) => paths.has(directory ? `${directory}/${name}` : name)),
+  );
+  if (found) {
+    return;
+  }
+
+  findings.push(
+    buildFinding('dependency-missing-lockfile', manifest.lockSeverity || DEFAULT_LOCK_SEVERITY[manifest.ecosystem],
+      'reliability', manifest, null,
+      `${manifest.path} declares ${manifest.dependencies.length} dependencies but no lockfile (${expected.join(', ')}) is committed.`),
+  );
+}
+
+const DEFAULT_LOCKFILES = {
+  npm: ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lock', 'bun.lockb'],
+  pypi: ['poetry.lock', 'Pipfile.lock', 'uv.lock', 'pdm.lock'],
+  go: ['go.sum'],
+  cargo: ['Cargo.lock'],
+};
+
+const DEFAULT_LOCK_SEVERITY = {
+  npm: 'High',
+  pypi: 'Medium',
+  go: 'High',
+  cargo: 'Low',
+};
+
+function checkConflicts(manifests, findings) {
+  const declarations = new Map();
+  for (const manifest of manifests) {
+    for (const dependency of manifest.dependencies) {
+      const key = toPackageKey(manifest.ecosystem, dependency.name);
+      if (!declarations.has(key)) declarations.set(key, new Map());
+      // The first declaration wins, so production entries take precedence over later dev scopes.
+      if (!declarations.get(key).has(manifest.path)) {
+        declarations.get(key).set(manifest.path, dependency.spec);
+      }
+    }
+  }
+
+  let reported = 0;
+  for (const [key, byManifest] of declarations) {
+    const specs = new Set(byManifest.values());
+    if (byManifest.size < 2 || specs.size < 2 || reported >= MAX_CONFLICT_FINDINGS) continue;
+
+    reported += 1;
+    const name = key.slice(key.indexOf(':') + 1);
+    findings.push({
+      ruleId: 'dependency-conflict',
+      severity: 'Medium',
+      type: 'reliability',
+      manifest: [...byManifest.keys()][0],
+      package: name,
+      message: `${name} is declared with ${specs.size} different versions across manifests (${[...byManifest]
+        .map(([path, spec]) => `${path}: ${spec || '*'}`)
+        .join('; ')}).`,
+    });
+  }
+}
+
+function readLockfile(file, kind, parseErrors) {
+  const parser = LOCKFILE_PARSERS[kind.parse];
+  if (!parser || !file.content) {
+    return { versions: null, licenses: null };
+  }
+
+  try {
+    return { licenses: null, ...parser(file.content) };
+  } catch (error) {
+    parseErrors.push({ path: file.path, message: error.message });
+    return { versions: null, licenses: null };
+  }
+}
+
+function checkLockfileDuplicates({ path, ecosystem, versions }, findings) {
+  if (!versions || ecosystem === 'pypi') {
+    return;
+  }
+
+  const duplicated = [...versions]
+    .filter(([, set]) => set.size > 1)
+    .sort((a, b) => b[1].size - a[1].size);
+  if (!duplicated.length) {
+    return;
+  }
+
+  findings.push({
+    ruleId: 'dependency-lock-duplicates',
+    severity: duplicated.length > 25 ? 'Medium' : 'Low',
+    type: 'reliability',
+    manifest: path,
+    package: null,
+    message: `${duplicated.length} package(s) are installed in more than one version, e.g. ${duplicated
+      .slice(0, 5)
+      .map(([name, set]) => `${name} (${[...set].join(', ')})`)
+      .join(', ')}.`,
+  });
+}
+
+function classifySpec(ecosystem, rawSpec) {
+  const spec = (rawSpec || '').trim();
+
+  if (ecosystem === 'npm') {
+    if (/^(workspace|file|link|portal|patch):/.test(spec)) return null;
+    if (/^npm:/.test(spec)) return classifySpec('npm', spec.slice(spec.lastIndexOf('@') + 1));
+    if (/^(git\+|git:|github:|gitlab:|bitbucket:|[\w-]+\/[\w.-]+(#|$))/.test(spec)) {
+      return /#(v?\d+\.\d+\.\d+|[0-9a-f]{40})$/.test(spec) ? null : 'moving-source';
+    }
+    if (/^https?:/.test(spec)) return /\.(tgz|tar\.gz)$/.test(spec) ? null : 'moving-source';
+    if (!spec || /^(\*|x|X|latest)$/.test(spec) || /^[a-z][\w-]*$/i.test(spec)) return 'wildcard';
+    return /(^|\s)>=?/.test(spec) && !/</.test(spec) ? 'unbounded' : null;
+  }
+
+  if (ecosystem === 'pypi') {
+    if (/(git\+|https?:\/\/)/.test(spec)) return /@[0-9a-f]{40}/.test(spec) ? null : 'moving-source';
+    if (spec === '*') return 'wildcard';
+    if (!spec) return 'unbounded';
+    return /(>|>=)/.test(spec) && !/(<|==|~=|\^|~)/.test(spec) ? 'unbounded' : null;
+  }
+
+  if (ecosystem === 'cargo') {
+    if (spec.startsWith('git:')) return /(rev|tag)=/.test(spec) ? null : 'moving-source';
+    if (spec === '*') return 'wildcard';
+    return />=?/.test(spec) && !/</.test(spec) ? 'unbounded' : null;
+  }
+
+  if (ecosystem === 'maven') {
+    if (/^(LATEST|RELEASE)$/.test(spec)) return 'wildcard';
+    if (/-SNAPSHOT$/.test(spec) || /,\s*\)$/.test(spec)) return 'unbounded';
+  }
+
+  return null;
+}
+
+function parsePep508(line) {
+  const direct = line.match(/^([A-Za-z0-9_.-]+)(?:\[[^\]]*\])?\s*@\s*(\S+)/);
+  if (direct) {
+    return { name: normalizePythonName(direct[1]), spec: direct[2] };
+  }
+
+  const egg = line.match(/#egg=([A-Za-z0-9_.-]+)/);
+  if (egg) {
+    return { name: normalizePythonName(egg[1]), spec: line.split('#')[0].trim() };
+  }
+
+  const match = line.match(/^([A-Za-z0-9_.-]+)(?:\[[^\]]*\])?\s*([^;]*)/);
+  return match
+    ? { name: normalizePythonName(match[1]), spec: match[2].replace(/\s+/g, '') }
+    : { name: null, spec: '' };
+}
+
+function readPoetryTable(table, scope) {
+  return Object.entries(table || {})
+    .filter(([name]) => name.toLowerCase() !== 'python')
+    .map(([name, value]) => {
+      if (typeof value === 'string') return { name: normalizePythonName(name), spec: value, scope };
+      if (value?.git) return { name: normalizePythonName(name), spec: `git+${value.git}${value.rev ? `@${value.rev}` : ''}`, scope };
+      if (value?.path) return { name: normalizePythonName(name), spec: null, scope };
+      return { name: normalizePythonName(name), spec: value?.version ?? '*', scope };
+    })
+    .filter((dependency) => dependency.spec !== null);
+}
+
+function readPyprojectLicense(value) {
+  if (typeof value === 'string') return value;
+  return value?.text && value.text.length < 40 ? value.text : null;
+}
+
+function readCargoSpec(value) {
+  if (typeof value === 'string') return { spec: value };
+  if (value?.path || value?.workspace) return { spec: null };
+  if (value?.git) {
+    const pin = value.rev ? `rev=${value.rev}` : value.tag ? `tag=${value.tag}` : `branch=${value.branch || 'default'}`;
+    return { spec: `git:${value.git}#${pin}` };
+  }
+  return { spec: value?.version ?? '*' };
+}
+
+function readXmlTag(block, tag) {
+  return block.match(new RegExp(`<${tag}>\\s*([^<]*?)\\s*</${tag}>`))?.[1] || null;
+}
+
+function normalizePythonName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+function addVersion(versions, name, version) {
+  if (!name || !version) return;
+  if (!versions.has(name)) versions.set(name, new Set());
+  versions.get(name).add(String(version));
+}
+
+function buildFinding(ruleId, severity, type, manifest, name, message) {
+  return { ruleId, severity, type, manifest: manifest.path, package: name, message };
+}
@@ -0,0 +1,226 @@
+import { listSourceRuns, tokenizeSource } from './sourceTokenizer.js';
+
+// Same thresholds as jscpd's defaults: shorter repeats are mostly imports, guards and boilerplate.
+const MIN_CLONE_TOKENS = 50;
+const MIN_CLONE_LINES = 5;
+const MAX_LISTED_GROUPS = 10;
+
+// Two small polynomial hashes keep every product below 2^53; equal windows are still compared token by token.
+const HASH_BASE = 257;
+const HASH_MODULI = [10000019, 10000079];
+
+const CODE_TOKEN_PATTERN = /[A-Za-z_$][\w$]*|\d[\w.]*|\S/g;
+
+export function detectDuplicates(files) {
+  const vocabulary = new Map();
+  const sources = files
+    .map((file) => tokenizeForClones(file, vocabulary))
+    .filter((source) => source && source.ids.length >= MIN_CLONE_TOKENS);
+  if (!sources.length) return null;
+
+  const windowPowers = HASH_MODULI.map((modulus) => power(HASH_BASE, MIN_CLONE_TOKENS, modulus));
+  const firstSeen = new Map();
+  const groups = [];
+
+  for (const source of sources) {
+    const prefixes = HASH_MODULI.map((modulus) => prefixHashes(source.ids, modulus));
+    let position = 0;
+    while (position + MIN_CLONE_TOKENS <= source.ids.length) {
+      const key = windowHash(prefixes, windowPowers, position);
+      const earlier = firstSeen.get(key);
+      const clone = earlier ? trimToLines(earlier, source, position) : null;
+
+      if (clone && clone.length >= MIN_CLONE_TOKENS) {
+        const original = toInstance(earlier.source, earlier.position + clone.lead, clone.length);
+        const copy = toInstance(source, position + clone.lead, clone.length);
+        if (copy.endLine - copy.startLine + 1 >= MIN_CLONE_LINES) {
+          addToGroup(groups, original, copy, clone.length);
+          position += clone.lead + clone.length;
+          continue;
+        }
+      }
+
+      if (!earlier) firstSeen.set(key, { source, position });
+      position += 1;
+    }
+  }
+
+  const duplicatedLines = new Map();
+  for (const group of groups) {
+    for (const instance of group.instances) {
+      const lines = duplicatedLines.get(instance.file) || new Set();
+      for (let line = instance.startLine; line <= instance.endLine; line += 1) lines.add(line);
+      duplicatedLines.set(instance.file, lines);
+    }
+  }
+
+  const totalLines = sources.reduce((sum, source) => sum + source.lineCount, 0);
+  const duplicated = [...duplicatedLines.values()].reduce((sum, lines) => sum + lines.size, 0);
+  const ranked = groups
+    .map((group) => ({
+      tokens: group.tokens,
+      lines: Math.max(...group.instances.map((instance) => instance.endLine - instance.startLine + 1)),
+      instances: group.instances,
+    }))
+    // A block copied four times costs more to keep in sync than a longer one copied once.
+    .sort((a, b) => b.lines * (b.instances.length - 1) - a.lines * (a.instances.length - 1) || b.tokens - a.tokens);
+
+  return {
+    filesAnalyzed: sources.length,
+    totalLines,
+    duplicatedLines: duplicated,
+    percentage: totalLines > 0 ? Math.round((duplicated / totalLines) * 1000) / 10 : 0,
+    groupCount: ranked.length,
+    groups: ranked.slice(0, MAX_LISTED_GROUPS),
+    files: [...duplicatedLines.entries()]
+      .map(([file, lines]) => ({ file, duplicatedLines: lines.size }))
+      .sort((a, b) => b.duplicatedLines - a.duplicatedLines)
+      .slice(0, MAX_LISTED_GROUPS),
+  };
+}
+
+function tokenizeForClones(file, vocabulary) {
+  const tokens = tokenizeSource(file.path, file.content);
+  // Markup and data files repeat by design; only files with a tokenizer take part.
+  if (!tokens.language) return null;
+
+  const lineStarts = indexLineStarts(file.content);
+  const ids = [];
+  const starts = [];
+  const ends = [];
+  const lines = [];
+  const push = (text, start, end) => {
+    if (!vocabulary.has(text)) vocabulary.set(text, vocabulary.size + 1);
+    ids.push(vocabulary.get(text));
+    starts.push(start);
+    ends.push(end);
+    lines.push(lineAt(lineStarts, start));
+  };
+
+  // Comments are ignored; a string literal is one token, so copies that differ only in a message still differ.
+  for (const run of listSourceRuns(tokens)) {
+    if (run.scope === 'string') {
+      push(file.content.slice(run.start, run.end), run.start, run.end);
+    } else if (run.scope === 'code') {
+      for (const match of file.content.slice(run.start, run.end).matchAll(CODE_TOKEN_PATTERN)) {
+        push(match[0], run.start + match.index, run.start + match.index + match[0].length);
+      }
+    }
+  }
+
+  return {
+    path: file.path,
+    ids,
+    starts,
+    ends,
+    lines,
+    lineStarts,
+    lineCount: lineStarts.length,
+  };
+}
+
+function trimToLines(earlier, copy, to) {
+  const original = earlier.source;
+  const from = earlier.position;
+  let length = cloneLength(original, from, copy, to);
+  // A match often begins with the `;` or `}` that ends the previous line; report whole lines in both copies.
+  let lead = 0;
+  while (lead < length && !(startsLine(original, from + lead) && startsLine(copy, to + lead))) lead += 1;
+  length -= lead;
+  while (length > 0 && !(endsLine(original, from + lead + length - 1) && endsLine(copy, to + lead + length - 1))) {
+    length -= 1;
+  }
+  return { lead, length };
+}
+
+function startsLine(source, position) {
+  return position === 0 || source.lines[position] !== source.lines[position - 1];
+}
+
+function endsLine(source, position) {
+  return position === source.ids.length - 1 || source.lines[position] !== source.lines[position + 1];
+}
+
+function addToGroup(groups, original, copy, tokens) {
+  // A third copy may line up one token later than the second did; overlapping originals are the same block.
+  const group = groups.find((candidate) => overlaps(candidate.instances[0], original));
+  if (!group) {
+    groups.push({ tokens, instances: [original, copy] });
+    return;
+  }
+  group.tokens = Math.max(group.tokens, tokens);
+  if (!group.instances.some((instance) => overlaps(instance, copy))) group.instances.push(copy);
+}
+
+function overlaps(a, b) {
+  return a.file === b.file && a.start < b.end && b.start < a.end;
+}
+
+function cloneLength(original, from, copy, to) {
+  // Overlapping windows in one file are a repeated token pattern, not a copied block.
+  const limit = original === copy ? to - from : Infinity;
+  let length = 0;
+  while (
+    length < limit &&
+    from + length < original.ids.length &&
+    to + length < copy.ids.length &&
+    original.ids[from + length] === copy.ids[to + length]
+  ) {
+    length += 1;
+  }
+  return length;
+}
+
+function toInstance(source, position, length) {
+  const start = source.starts[position];
+  const end = source.ends[position + length - 1];
+  return {
+    file: source.path,
+    start,
+    end,
+    startLine: lineAt(source.lineStarts, start),
+    endLine: lineAt(source.lineStarts, end - 1),
+  };
+}
+
+function prefixHashes(ids, modulus) {
+  const prefixes = new Float64Array(ids.length + 1);
+  for (let index = 0; index < ids.length; index += 1) {
+    prefixes[index + 1] = (prefixes[index] * HASH_BASE + ids[index]) % modulus;
+  }
+  return prefixes;
+}
+
+function windowHash(prefixes, windowPowers, position) {
+  const [first, second] = HASH_MODULI.map((modulus, index) => {
+    const hashes = prefixes[index];
+    const value = (hashes[position + MIN_CLONE_TOKENS] - hashes[position] * windowPowers[index]) % modulus;
+    return value < 0 ? value + modulus : value;
+  });
+  return first * HASH_MODULI[1] + second;
+}
+
+function power(base, exponent, modulus) {
+  let result = 1;
+  for (let step = 0; step < exponent; step += 1) result = (result * base) % modulus;
+  return result;
+}
+
+function indexLineStarts(content) {
+  const starts = [0];
+  for (let index = content.indexOf('\n'); index !== -1; index = content.indexOf('\n', index + 1)) {
+    starts.push(index + 1);
+  }
+  return starts;
+}
+
+function lineAt(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (lineStarts[middle] <= offset) low = middle;
+    else high = middle - 1;
+  }
+  return low + 1;
+}
@@ -0,0 +1,160 @@
+import { isAllowedFile } from './fileSelection.js';
+import { compileGitPattern, matchesGitPattern } from './glob.js';
+
+const MANIFEST_NAMES = ['.gitignore', '.gitattributes'];
+const MAX_MANIFESTS = 20;
+const MAX_LISTED_EXCLUSIONS = 50;
+const MARKER_SCAN_LENGTH = 600;
+
+const GENERATED_PATH_PATTERNS = [
+  /\.pb\.(go|cc|h|js|ts|swift)$/,
+  /_pb2(_grpc)?\.py$/,
+  /_grpc\.pb\.go$/,
+  /\.generated\.\w+$/,
+  /_generated\.\w+$/,
+  /\.g\.dart$/,
+  /\.designer\.cs$/,
+  /(^|[./-])bundle\.js$/,
+  /-min\.js$/,
+];
+
+// A banner starts a comment line; prose that merely mentions generated code ("validates auto-generated IDs") does not count.
+const BANNER_START = String.raw`^[ \t]*(?:\/\/+|#+|\/\*+|\*+|--|<!--|;+|"""|''')[ \t]*`;
+
+const GENERATED_MARKERS = [
+  /@generated\b/,
+  /<auto-generated\b/i,
+  new RegExp(String.raw`${BANNER_START}.*\b[Gg]enerated\b.*\bDO NOT EDIT\b`, 'm'),
+  new RegExp(
+    String.raw`${BANNER_START}(?:this (?:file|code) (?:is|was|has been) (?:automatically |auto-?)?generated\b|(?:automatically |auto-?)?generated (?:by|from|with|using)\b)`,
+    'im',
+  ),
+];
+
+export async function filterExcludedEntries(entries, { readText, limits }) {
+  const manifests = entries
+    .filter((entry) => MANIFEST_NAMES.includes(entry.path.split('/').pop()))
+    .sort((a, b) => a.path.split('/').length - b.path.split('/').length)
+    .slice(0, MAX_MANIFESTS);
+
+  const loaded = await Promise.allSettled(
+    manifests.map(async (entry) => ({ path: entry.path, content: await readText(entry) })),
+  );
+  const rules = buildRules(
+    loaded.filter((result) => result.status === 'fulfilled').map((result) => result.value),
+  );
+
+  const kept = [];
+  const excluded = [];
+  for (const entry of entries) {
+    const reason = isAllowedFile(entry.path, entry.size, limits.maxFileSize)
+      ? matchExclusion(entry.path, rules)
+      : null;
+
+    if (reason) {
+      excluded.push({ path: entry.path, reason });
+    } else {
+      kept.push(entry);
+    }
+  }
+
+  return { entries: kept, excluded, manifests: manifests.map((entry) => entry.path) };
+}
+
+export function filterGeneratedFiles(files) {
+  const kept = [];
+  const excluded = [];
+
+  for (const file of files) {
+    const header = file.content.slice(0, MARKER_SCAN_LENGTH);
+    if (GENERATED_MARKERS.some((marker) => marker.test(header))) {
+      excluded.push({ path: file.path, reason: 'generated-marker' });
+    } else {
+      kept.push(file);
+    }
+  }
+
+  return { files: kept, excluded };
+}
+
+export function summarizeExclusions(excluded, manifests = []) {
+  const byReason = {};
+  for (const item of excluded) {
+    byReason[item.reason] = (byReason[item.reason] || 0) + 1;
+  }
+
+  return {
+    total: excluded.length,
+    byReason,
+    manifests,
+    files: excluded.slice(0, MAX_LISTED_EXCLUSIONS),
+  };
+}
+
+function buildRules(manifests) {
+  const ignore = [];
+  const attributes = [];
+
+  for (const manifest of manifests) {
+    const segments = manifest.path.split('/');
+    const name = segments.pop();
+    const baseDirectory = segments.join('/');
+
+    for (const line of manifest.content.split('\n')) {
+      if (name === '.gitignore') {
+        const rule = compileGitPattern(line, baseDirectory);
+        if (rule) ignore.push(rule);
+        continue;
+      }
+
+      const [pattern, ...tokens] = line.trim().split(/\s+/);
+      const flags = parseLinguistFlags(tokens);
+      if (!pattern || pattern.startsWith('#') || !Object.keys(flags).length) continue;
+
+      const rule = compileGitPattern(pattern, baseDirectory);
+      if (rule) attributes.push({ ...rule, flags });
+    }
+  }
+
+  return { ignore, attributes };
+}
+
+function matchExclusion(path, rules) {
+  let ignored = false;
+  for (const rule of rules.ignore) {
+    if (matchesGitPattern(rule, path)) {
+      ignored = !rule.negated;
+    }
+  }
+  if (ignored) return 'gitignore';
+
+  const flags = {};
+  for (const rule of rules.attributes) {
+    if (matchesGitPattern(rule, path)) {
+      Object.assign(flags, rule.flags);
+    }
+  }
+  if (flags.generated) return 'linguist-generated';
+  if (flags.vendored) return 'linguist-vendored';
+
+  const lower = path.toLowerCase();
+  if (GENERATED_PATH_PATTERNS.some((pattern) => pattern.test(lower))) {
+    return 'generated-path';
+  }
+
+  return null;
+}
+
+function parseLinguistFlags(tokens) {
+  const flags = {};
+
+  for (const token of tokens) {
+    const match = token.match(/^(-|!)?linguist-(generated|vendored)(?:=(\w+))?$/);
+    if (!match) continue;
+
+    const [, prefix, attribute, value] = match;
+    flags[attribute] = !prefix && value !== 'false';
+  }
+
+  return flags;
+}
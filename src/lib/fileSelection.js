@@ -0,0 +1,318 @@
+export const DEFAULT_LIMITS = {
+  maxFiles: 28,
+  maxFileSize: 100_000,
+  sampling: 'priority',
+};
+
+export const SAMPLING_STRATEGIES = ['priority', 'stratified', 'size', 'language'];
+
+const LIMIT_BOUNDS = {
+  maxFiles: [1, 500],
+  maxFileSize: [1_000, 1_000_000],
+};
+
+const MAX_COVERAGE_DIRECTORIES = 25;
+
+const CODE_EXTENSIONS = new Set([
+  '.js',
+  '.jsx',
+  '.ts',
+  '.tsx',
+  '.mjs',
+  '.cjs',
+  '.py',
+  '.rb',
+  '.go',
+  '.java',
+  '.kt',
+  '.c',
+  '.cc',
+  '.cpp',
+  '.h',
+  '.hpp',
+  '.rs',
+  '.php',
+  '.swift',
+  '.cs',
+  '.scala',
+  '.sql',
+  '.css',
+  '.scss',
+  '.html',
+  '.md',
+  '.json',
+  '.yml',
+  '.yaml',
+  '.toml',
+  '.sh',
+]);
+
+const PRIORITY_SEGMENTS = [
+  'src/',
+  'app/',
+  'lib/',
+  'core/',
+  'server/',
+  'api/',
+  'services/',
+  'components/',
+  'utils/',
+];
+
+const DEPRIORITIZED_SEGMENTS = [
+  'test/',
+  '__tests__/',
+  '.github/',
+  'docs/',
+  'examples/',
+  'fixtures/',
+];
+
+const IGNORED_SEGMENTS = [
+  'node_modules/',
+  '.git/',
+  '.next/',
+  'dist/',
+  'build/',
+  'coverage/',
+  'vendor/',
+  'out/',
+];
+
+const IGNORED_SUFFIXES = [
+  '.png',
+  '.jpg',
+  '.jpeg',
+  '.gif',
+  '.webp',
+  '.svg',
+  '.ico',
+  '.lock',
+  '.min.js',
+  '.map',
+];
+
+export function resolveLimits(overrides = {}, defaults = DEFAULT_LIMITS) {
+  const limits = { ...defaults };
+
+  for (const [key, [min, max]] of Object.entries(LIMIT_BOUNDS)) {
+    const value = Number(overrides[key]);
+    if (overrides[key] !== undefined && Number.isFinite(value)) {
+      limits[key] = Math.max(min, Math.min(max, Math.round(value)));
+    }
+  }
+
+  const sampling = typeof overrides.sampling === 'string' ? overrides.sampling.toLowerCase().trim() : '';
+  if (SAMPLING_STRATEGIES.includes(sampling)) {
+    limits.sampling = sampling;
+  }
+
+  return limits;
+}
+
+export function selectCandidates(entries, limits) {
+  const eligible = entries
+    .filter((item) => isAllowedFile(item.path, item.size, limits.maxFileSize))
+    .map((item) => ({
+      ...item,
+      size: item.size ?? 0,
+      priority: scorePath(item.path),
+    }));
+
+  if (limits.sampling === 'stratified') {
+    return sampleByGroup(eligible, limits.maxFiles, getTopLevelDirectory, (group) => group.length);
+  }
+
+  if (limits.sampling === 'language') {
+    return sampleByGroup(eligible, limits.maxFiles, (item) => getExtension(item.path.toLowerCase()), (group) =>
+      group.reduce((sum, item) => sum + item.size, 0),
+    );
+  }
+
+  if (limits.sampling === 'size') {
+    return eligible
+      .map((item) => ({ item, key: Math.log(hashToUnit(item.path)) / Math.max(item.size, 1) }))
+      .sort((a, b) => b.key - a.key || a.item.path.localeCompare(b.item.path, 'en'))
+      .slice(0, limits.maxFiles)
+      .map(({ item }) => item);
+  }
+
+  return eligible.sort(byPriorityThenSmallest).slice(0, limits.maxFiles);
+}
+
+export function buildCoverageReport(entries, loadedFiles, limits) {
+  const loaded = new Set(loadedFiles.map((file) => file.path));
+  const directories = new Map();
+
+  for (const entry of entries) {
+    const directory = getTopLevelDirectory(entry);
+    const bucket = directories.get(directory) || {
+      directory,
+      totalFiles: 0,
+      eligibleFiles: 0,
+      sampledFiles: 0,
+      eligibleBytes: 0,
+      sampledBytes: 0,
+    };
+
+    bucket.totalFiles += 1;
+    if (isAllowedFile(entry.path, entry.size, limits.maxFileSize)) {
+      bucket.eligibleFiles += 1;
+      bucket.eligibleBytes += entry.size ?? 0;
+    }
+    if (loaded.has(entry.path)) {
+      bucket.sampledFiles += 1;
+      bucket.sampledBytes += entry.size ?? 0;
+    }
+    directories.set(directory, bucket);
+  }
+
+  const rows = [...directories.values()]
+    .filter((bucket) => bucket.eligibleFiles > 0)
+    .map((bucket) => ({
+      ...bucket,
+      fileCoverage: toRatio(bucket.sampledFiles, bucket.eligibleFiles),
+    }))
+    .sort((a, b) => b.eligibleFiles - a.eligibleFiles || a.directory.localeCompare(b.directory, 'en'));
+
+  const eligibleFiles = rows.reduce((sum, row) => sum + row.eligibleFiles, 0);
+  const eligibleBytes = rows.reduce((sum, row) => sum + row.eligibleBytes, 0);
+  const sampledBytes = rows.reduce((sum, row) => sum + row.sampledBytes, 0);
+
+  return {
+    eligibleFiles,
+    sampledFiles: loaded.size,
+    fileCoverage: toRatio(loaded.size, eligibleFiles),
+    byteCoverage: toRatio(sampledBytes, eligibleBytes),
+    directoriesCovered: rows.filter((row) => row.sampledFiles > 0).length,
+    directoriesEligible: rows.length,
+    directories: rows.slice(0, MAX_COVERAGE_DIRECTORIES),
+  };
+}
+
+export function isIgnoredPath(path) {
+  const lower = path.toLowerCase();
+  return IGNORED_SEGMENTS.some((segment) => lower.includes(segment));
+}
+
+export function sanitizeFileContent(content) {
+  return content
+    .replace(/\0/g, '')
+    .replace(/\r\n/g, '\n')
+    .slice(0, 120_000);
+}
+
+export function isAllowedFile(path, size, maxFileSize) {
+  const lower = path.toLowerCase();
+  // Hosts that do not report blob sizes pass null; those are checked after download.
+  if (size === 0 || size > maxFileSize) {
+    return false;
+  }
+
+  if (isIgnoredPath(lower)) {
+    return false;
+  }
+
+  if (IGNORED_SUFFIXES.some((suffix) => lower.endsWith(suffix))) {
+    return false;
+  }
+
+  const extension = getExtension(lower);
+  return CODE_EXTENSIONS.has(extension);
+}
+
+function sampleByGroup(items, maxFiles, getGroup, getWeight) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = getGroup(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+
+  const ordered = [...groups.entries()]
+    .map(([key, group]) => ({ key, group: group.sort(byPriorityThenLargest), weight: getWeight(group) }))
+    .sort((a, b) => b.weight - a.weight || a.key.localeCompare(b.key, 'en'));
+  const totalWeight = ordered.reduce((sum, entry) => sum + entry.weight, 0) || 1;
+  const budget = Math.min(maxFiles, items.length);
+
+  // Largest-remainder allocation keeps group quotas proportional to their weight.
+  const quotas = ordered.map((entry) => {
+    const exact = (budget * entry.weight) / totalWeight;
+    return { ...entry, quota: Math.min(Math.floor(exact), entry.group.length), remainder: exact % 1 };
+  });
+  let remaining = budget - quotas.reduce((sum, entry) => sum + entry.quota, 0);
+  const byRemainder = [...quotas].sort((a, b) => b.remainder - a.remainder);
+  while (remaining > 0 && byRemainder.some((entry) => entry.quota < entry.group.length)) {
+    for (const entry of byRemainder) {
+      if (remaining === 0) break;
+      if (entry.quota < entry.group.length) {
+        entry.quota += 1;
+        remaining -= 1;
+      }
+    }
+  }
+
+  // Interleave groups so that truncating the result still keeps every group represented.
+  const selected = [];
+  const rounds = Math.max(0, ...quotas.map((entry) => entry.quota));
+  for (let round = 0; round < rounds; round += 1) {
+    for (const entry of quotas) {
+      if (round < entry.quota) selected.push(entry.group[round]);
+    }
+  }
+  return selected;
+}
+
+function byPriorityThenSmallest(a, b) {
+  return b.priority - a.priority || a.size - b.size || a.path.localeCompare(b.path, 'en');
+}
+
+function byPriorityThenLargest(a, b) {
+  return b.priority - a.priority || b.size - a.size || a.path.localeCompare(b.path, 'en');
+}
+
+function getTopLevelDirectory(item) {
+  return item.path.includes('/') ? item.path.split('/')[0] : '(root)';
+}
+
+function hashToUnit(value) {
+  let hash = 2166136261;
+  for (let index = 0; index < value.length; index += 1) {
+    hash ^= value.charCodeAt(index);
+    hash = Math.imul(hash, 16777619);
+  }
+  return ((hash >>> 0) + 1) / 4294967297;
+}
+
+function toRatio(part, whole) {
+  return whole ? Number((part / whole).toFixed(2)) : 0;
+}
+
+function getExtension(path) {
+  const dotIndex = path.lastIndexOf('.');
+  if (dotIndex < 0) {
+    return '';
+  }
+  return path.slice(dotIndex);
+}
+
+export function scorePath(path) {
+  const lower = path.toLowerCase();
+  let score = 0;
+
+  if (PRIORITY_SEGMENTS.some((segment) => lower.includes(segment))) {
+    score += 3;
+  }
+  if (DEPRIORITIZED_SEGMENTS.some((segment) => lower.includes(segment))) {
+    score -= 2;
+  }
+
+  if (lower.includes('config') || lower.includes('settings')) {
+    score += 1;
+  }
+  if (lower.includes('readme')) {
+    score -= 3;
+  }
+
+  return score;
+}
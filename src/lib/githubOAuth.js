@@ -0,0 +1,44 @@
+const AUTHORIZE_URL = 'https://github.com/login/oauth/authorize';
+const ACCESS_TOKEN_URL = 'https://github.com/login/oauth/access_token';
+
+// `repo` is the narrowest OAuth scope that can read private repository contents.
+const OAUTH_SCOPES = ['repo', 'read:user'];
+
+export function isOAuthConfigured() {
+  return Boolean(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET);
+}
+
+export function buildAuthorizeUrl({ state, redirectUri }) {
+  const url = new URL(AUTHORIZE_URL);
+  url.searchParams.set('client_id', process.env.GITHUB_CLIENT_ID);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', OAUTH_SCOPES.join(' '));
+  url.searchParams.set('state', state);
+  url.searchParams.set('allow_signup', 'false');
+  return url.toString();
+}
+
+export async function exchangeCodeForToken({ code, redirectUri }) {
+  const response = await fetch(ACCESS_TOKEN_URL, {
+    method: 'POST',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      client_id: process.env.GITHUB_CLIENT_ID,
+      client_secret: process.env.GITHUB_CLIENT_SECRET,
+      code,
+      redirect_uri: redirectUri,
+    }),
+  });
+
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok || !payload.access_token) {
+    throw new Error(
+      `GitHub sign-in failed: ${payload.error_description || payload.error || response.status}`,
+    );
+  }
+
+  return payload.access_token;
+}
@@ -0,0 +1,107 @@
+export function globToRegExp(glob) {
+  let source = '';
+
+  for (let index = 0; index < glob.length; index += 1) {
+    const char = glob[index];
+
+    if (char === '*') {
+      if (glob[index + 1] === '*') {
+        // "**/" spans zero or more directories; a trailing "**" spans everything.
+        if (glob[index + 2] === '/') {
+          source += '(?:.*/)?';
+          index += 2;
+        } else {
+          source += '.*';
+          index += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+      continue;
+    }
+
+    if (char === '?') {
+      source += '[^/]';
+      continue;
+    }
+
+    if (char === '[') {
+      const end = glob.indexOf(']', index + 2);
+      if (end > index) {
+        const body = glob.slice(index + 1, end);
+        const negated = body.startsWith('!');
+        // Only the class delimiters are special here; ranges such as a-z pass through and are validated when the RegExp is built.
+        const escaped = (negated ? body.slice(1) : body).replace(/[\\\]^]/g, '\\$&');
+        source += `[${negated ? '^' : ''}${escaped}]`;
+        index = end;
+        continue;
+      }
+    }
+
+    if (char === '\\' && index + 1 < glob.length) {
+      index += 1;
+      source += escapeRegExp(glob[index]);
+      continue;
+    }
+
+    source += escapeRegExp(char);
+  }
+
+  try {
+    return new RegExp(`^${source}$`);
+  } catch {
+    // Patterns come from the analyzed repository; a malformed one, like the range [z-a], is ignored.
+    return null;
+  }
+}
+
+export function compileGitPattern(rawPattern, baseDirectory = '') {
+  let pattern = rawPattern.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) {
+    return null;
+  }
+
+  const negated = pattern.startsWith('!');
+  if (negated) pattern = pattern.slice(1);
+
+  const directoryOnly = pattern.endsWith('/');
+  if (directoryOnly) pattern = pattern.replace(/\/+$/, '');
+
+  // Patterns without an inner slash match at any depth below the manifest's directory.
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  if (!pattern) {
+    return null;
+  }
+
+  const body = anchored ? pattern : `**/${pattern}`;
+  const regex = globToRegExp(baseDirectory ? `${baseDirectory}/${body}` : body);
+  if (!regex) {
+    return null;
+  }
+
+  return {
+    pattern: rawPattern.trim(),
+    negated,
+    directoryOnly,
+    regex,
+  };
+}
+
+export function matchesGitPattern(rule, path) {
+  const segments = path.split('/');
+
+  for (let depth = 1; depth <= segments.length; depth += 1) {
+    const isDirectory = depth < segments.length;
+    if (rule.directoryOnly && !isDirectory) continue;
+    if (rule.regex.test(segments.slice(0, depth).join('/'))) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
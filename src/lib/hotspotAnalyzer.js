@@ -0,0 +1,23 @@
+export const HISTORY_WINDOW_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SATURATING_CHANGES = 50;
+const MAX_AUTHOR_BONUS = 5;
+
+export function historySince(now = Date.now()) {
+  return new Date(now - HISTORY_WINDOW_DAYS * DAY_MS).toISOString();
+}
+
+export function attachHistory(files, history) {
+  return files.map((file) => (history.has(file.path) ? { ...file, history: history.get(file.path) } : file));
+}
+
+export function scoreHotspot(complexityScore, history) {
+  if (!history) return null;
+
+  // Change frequency saturates logarithmically so one busy file cannot flatten every other score.
+  const churn = Math.min(1, Math.log2(1 + history.commits) / Math.log2(1 + SATURATING_CHANGES));
+  const authorBonus = 1 + Math.min(Math.max(history.authors - 1, 0), MAX_AUTHOR_BONUS) * 0.06;
+
+  return Math.min(100, Math.round((complexityScore / 10) * churn * authorBonus * 100));
+}
@@ -0,0 +1,420 @@
+import yaml from 'js-yaml';
+import { isIgnoredPath } from './fileSelection.js';
+
+export const MAX_IAC_FILES = 60;
+export const MAX_IAC_SIZE = 512_000;
+
+const SEVERITY_ORDER = {
+  Critical: 4,
+  High: 3,
+  Medium: 2,
+  Low: 1,
+};
+
+const DOCKERFILE_PATTERN = /(^|\/)(Dockerfile|Containerfile)(\.[\w.-]+)?$|\.(dockerfile|containerfile)$/i;
+const TERRAFORM_PATTERN = /\.tf$/i;
+const YAML_PATTERN = /\.ya?ml$/i;
+// YAML outside these directories is only treated as Kubernetes when the file name says so.
+const KUBERNETES_SEGMENTS =
+  /(^|\/)(k8s|kubernetes|kube|manifests?|deploy(ment)?s?|charts?|helm|kustomize|overlays|base|infra(structure)?|ops)\//i;
+const KUBERNETES_NAMES = /(deployment|statefulset|daemonset|pod|cronjob|job|service|ingress|k8s)[\w.-]*\.ya?ml$/i;
+
+const SECRET_NAME_PATTERN = /(passw(or)?d|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|credentials?)/i;
+const WORKLOAD_KINDS = new Set(['Pod', 'Deployment', 'StatefulSet', 'DaemonSet', 'ReplicaSet', 'Job', 'CronJob']);
+const PUBLIC_ACLS = new Set(['public-read', 'public-read-write', 'authenticated-read']);
+const PUBLIC_ACCESS_BLOCK_FLAGS = [
+  'block_public_acls',
+  'block_public_policy',
+  'ignore_public_acls',
+  'restrict_public_buckets',
+];
+const OPEN_CIDRS = ['0.0.0.0/0', '::/0'];
+const WEB_PORTS = new Set(['80', '443']);
+
+export function getIacKind(path) {
+  if (DOCKERFILE_PATTERN.test(path)) return 'dockerfile';
+  if (TERRAFORM_PATTERN.test(path)) return 'terraform';
+  if (YAML_PATTERN.test(path) && (KUBERNETES_SEGMENTS.test(path) || KUBERNETES_NAMES.test(path))) {
+    return 'kubernetes';
+  }
+  return null;
+}
+
+export function isIacFile(path) {
+  return Boolean(getIacKind(path)) && !path.startsWith('.github/');
+}
+
+export function planIacReads(entries) {
+  let budget = MAX_IAC_FILES;
+
+  return entries
+    .filter((entry) => isIacFile(entry.path) && !isIgnoredPath(entry.path))
+    .sort((a, b) => a.path.split('/').length - b.path.split('/').length || a.path.localeCompare(b.path))
+    .map((entry) => {
+      const read = budget > 0 && !(entry.size > MAX_IAC_SIZE);
+      if (read) budget -= 1;
+      return { entry, read };
+    });
+}
+
+export function analyzeInfrastructure(iacFiles = []) {
+  const files = iacFiles.filter((file) => typeof file.content === 'string');
+  const findings = [];
+  const scanned = { dockerfile: 0, kubernetes: 0, terraform: 0 };
+
+  for (const file of files) {
+    const kind = getIacKind(file.path);
+    const lines = file.content.split('\n');
+    const fileFindings =
+      kind === 'dockerfile'
+        ? checkDockerfile(lines)
+        : kind === 'terraform'
+          ? checkTerraform(lines)
+          : checkKubernetes(file.content, lines);
+    if (fileFindings === null) continue;
+
+    scanned[kind] += 1;
+    findings.push(...fileFindings.map((finding) => ({ ...finding, type: 'security', file: file.path })));
+  }
+
+  if (!Object.values(scanned).some(Boolean)) {
+    return null;
+  }
+
+  return {
+    scanned,
+    skipped: iacFiles.length - files.length,
+    findings: findings.sort(
+      (a, b) =>
+        SEVERITY_ORDER[b.severity] - SEVERITY_ORDER[a.severity] ||
+        a.file.localeCompare(b.file) ||
+        a.line - b.line,
+    ),
+  };
+}
+
+function checkDockerfile(lines) {
+  const findings = [];
+  const stages = new Set();
+  let finalStage = null;
+
+  for (const { instruction, args, line } of readInstructions(lines)) {
+    if (instruction === 'FROM') {
+      const [image, , alias] = args.replace(/--platform=\S+\s+/i, '').split(/\s+/);
+      finalStage = { line, user: null, userLine: null };
+      if (alias) stages.add(alias.toLowerCase());
+      if (isFloatingImage(image, stages)) {
+        findings.push({
+          ruleId: 'iac-latest-image',
+          severity: 'Medium',
+          line,
+          message: `Base image ${image} is not pinned to a version tag or digest, so rebuilds can pull different images.`,
+        });
+      }
+    } else if (instruction === 'USER' && finalStage) {
+      finalStage.user = args.split(':')[0].trim();
+      finalStage.userLine = line;
+    } else if (instruction === 'ADD' && /(^|\s)https?:\/\//i.test(args) && !/--checksum=/i.test(args)) {
+      findings.push({
+        ruleId: 'iac-add-url',
+        severity: 'Medium',
+        line,
+        message: 'ADD downloads a remote file without checksum verification.',
+      });
+    } else if (instruction === 'ENV' || instruction === 'ARG') {
+      const secret = readAssignments(args).find(
+        ([name, value]) => SECRET_NAME_PATTERN.test(name) && value && !/^\$\{?\w+\}?$/.test(value),
+      );
+      if (secret) {
+        findings.push({
+          ruleId: 'iac-secret-env',
+          severity: 'High',
+          line,
+          message: `${instruction} ${secret[0]} bakes a secret value into the image layers and history.`,
+        });
+      }
+    }
+  }
+
+  if (finalStage && (!finalStage.user || ['root', '0'].includes(finalStage.user))) {
+    findings.push({
+      ruleId: 'iac-root-user',
+      severity: 'Medium',
+      line: finalStage.userLine ?? finalStage.line,
+      message: finalStage.user
+        ? 'The final stage switches to the root user, so the container process runs as root.'
+        : 'The final stage never sets USER, so the container process runs as root.',
+    });
+  }
+  return findings;
+}
+
+function readInstructions(lines) {
+  const instructions = [];
+  let pending = null;
+  // Terminators of `RUN <<EOF` / `COPY <<EOF` heredocs still open; their bodies are content, not instructions.
+  let heredocs = [];
+
+  lines.forEach((text, index) => {
+    const trimmed = text.trim();
+    if (heredocs.length) {
+      if (trimmed === heredocs[0]) heredocs.shift();
+      return;
+    }
+    if (!pending && (!trimmed || trimmed.startsWith('#'))) return;
+
+    const continued = trimmed.endsWith('\\');
+    const body = continued ? trimmed.slice(0, -1) : trimmed;
+    if (pending) {
+      if (!trimmed.startsWith('#')) pending.args += ` ${body}`;
+    } else {
+      const match = body.match(/^(\w+)\s*(.*)$/);
+      // A line that does not start with an instruction keyword is malformed; skip it rather than fail the file.
+      if (!match) return;
+      pending = { instruction: match[1].toUpperCase(), args: match[2], line: index + 1 };
+    }
+    if (!continued) {
+      instructions.push({ ...pending, args: pending.args.trim() });
+      heredocs = [...pending.args.matchAll(/<<-?\s*(["']?)(\w+)\1/g)].map((marker) => marker[2]);
+      pending = null;
+    }
+  });
+  if (pending) instructions.push(pending);
+  return instructions;
+}
+
+function readAssignments(args) {
+  // `ENV KEY=value OTHER="x y"` and the legacy `ENV KEY value` form.
+  if (!/^[\w.-]+=/.test(args)) {
+    const [name, ...rest] = args.split(/\s+/);
+    return [[name, rest.join(' ')]];
+  }
+  return [...args.matchAll(/([\w.-]+)=("(?:[^"\\]|\\.)*"|'[^']*'|\S*)/g)].map(([, name, value]) => [
+    name,
+    value.replace(/^["']|["']$/g, ''),
+  ]);
+}
+
+function isFloatingImage(image, stages) {
+  if (!image || image.toLowerCase() === 'scratch' || stages.has(image.toLowerCase())) return false;
+  if (image.includes('$')) return false;
+  if (image.includes('@sha256:')) return false;
+  const name = image.split('/').pop();
+  return !name.includes(':') || name.endsWith(':latest');
+}
+
+function checkKubernetes(content, lines) {
+  let documents;
+  try {
+    documents = yaml.loadAll(content);
+  } catch {
+    // Helm templates and other pre-processed YAML cannot be parsed and are skipped.
+    return null;
+  }
+
+  const findings = [];
+  const starts = documentStartLines(lines);
+  let parsedWorkloads = 0;
+
+  documents.forEach((document, index) => {
+    if (!document || !WORKLOAD_KINDS.has(document.kind)) return;
+    parsedWorkloads += 1;
+
+    const range = { start: starts[index] ?? 0, end: starts[index + 1] ?? lines.length };
+    const podSpec =
+      document.kind === 'Pod'
+        ? document.spec
+        : document.kind === 'CronJob'
+          ? document.spec?.jobTemplate?.spec?.template?.spec
+          : document.spec?.template?.spec;
+    const workload = `${document.kind} ${document.metadata?.name || ''}`.trim();
+    const containers = [...(podSpec?.initContainers || []), ...(podSpec?.containers || [])].filter(
+      (container) => container && typeof container === 'object',
+    );
+
+    for (const container of containers) {
+      // Containers are list items, so prefer `- name:` over the workload's own metadata name.
+      const namePattern = `name:\\s*["']?${escapeRegExp(container.name)}["']?\\s*$`;
+      const containerLine =
+        findLine(lines, range, new RegExp(`-\\s+${namePattern}`)) ?? findLine(lines, range, new RegExp(namePattern));
+      const label = `container ${container.name} in ${workload}`;
+
+      if (container.securityContext?.privileged === true) {
+        findings.push({
+          ruleId: 'iac-privileged',
+          severity: 'High',
+          line: findLine(lines, range, /privileged:\s*true/) ?? containerLine,
+          message: `The ${label} runs privileged and has full access to the host.`,
+        });
+      }
+      const runAsUser = container.securityContext?.runAsUser ?? podSpec?.securityContext?.runAsUser;
+      if (runAsUser === 0) {
+        findings.push({
+          ruleId: 'iac-root-user',
+          severity: 'Medium',
+          line: findLine(lines, range, /runAsUser:\s*0\b/) ?? containerLine,
+          message: `The ${label} runs as root (runAsUser: 0).`,
+        });
+      }
+      if (typeof container.image === 'string' && isFloatingImage(container.image, new Set())) {
+        const imagePattern = new RegExp(`image:\\s*["']?${escapeRegExp(container.image)}`);
+        findings.push({
+          ruleId: 'iac-latest-image',
+          severity: 'Medium',
+          line: findLine(lines, range, imagePattern) ?? containerLine,
+          message: `The ${label} uses ${container.image}, which is not pinned to a version tag or digest.`,
+        });
+      }
+      const limits = container.resources?.limits;
+      if (!limits?.cpu || !limits?.memory) {
+        findings.push({
+          ruleId: 'iac-missing-limits',
+          severity: 'Low',
+          line: containerLine,
+          message: `The ${label} has no ${[!limits?.cpu && 'CPU', !limits?.memory && 'memory'].filter(Boolean).join(' or ')} limit, so it can starve other workloads on the node.`,
+        });
+      }
+    }
+  });
+
+  return parsedWorkloads ? findings : null;
+}
+
+function documentStartLines(lines) {
+  const starts = [0];
+  lines.forEach((line, index) => {
+    if (/^---(\s|$)/.test(line) && index > 0) starts.push(index + 1);
+  });
+  // A leading separator opens the first document rather than a second one.
+  if (/^---(\s|$)/.test(lines[0] || '')) starts[0] = 1;
+  return starts;
+}
+
+function findLine(lines, { start, end }, pattern) {
+  for (let index = start; index < end; index += 1) {
+    if (pattern.test(lines[index])) return index + 1;
+  }
+  return null;
+}
+
+function checkTerraform(lines) {
+  const findings = [];
+  const blocks = readTerraformBlocks(lines);
+  if (!blocks.length) return null;
+
+  for (const block of blocks) {
+    const [resourceType] = block.labels;
+    // Nested blocks such as `ingress { ... }` report the resource type of their parent.
+    const resource = block.parent?.name === 'resource' ? block.parent.labels[0] : resourceType;
+
+    if (block.name === 'resource' && ['aws_s3_bucket', 'aws_s3_bucket_acl'].includes(resourceType)) {
+      const acl = block.attributes.acl;
+      if (acl && PUBLIC_ACLS.has(unquote(acl.value))) {
+        findings.push({
+          ruleId: 'iac-public-bucket',
+          severity: 'High',
+          line: acl.line,
+          message: `S3 bucket ${block.labels[1]} is readable by everyone (acl = ${unquote(acl.value)}).`,
+        });
+      }
+    }
+
+    if (block.name === 'resource' && resourceType === 'aws_s3_bucket_public_access_block') {
+      const disabled = PUBLIC_ACCESS_BLOCK_FLAGS.filter((flag) => block.attributes[flag]?.value === 'false');
+      if (disabled.length) {
+        findings.push({
+          ruleId: 'iac-public-bucket',
+          severity: 'Medium',
+          line: block.attributes[disabled[0]].line,
+          message: `Public access block ${block.labels[1]} turns off ${disabled.join(', ')}, allowing public bucket policies or ACLs.`,
+        });
+      }
+    }
+
+    const ingress =
+      (block.name === 'ingress' && resource === 'aws_security_group') ||
+      (block.name === 'resource' &&
+        (resourceType === 'aws_vpc_security_group_ingress_rule' ||
+          (resourceType === 'aws_security_group_rule' && unquote(block.attributes.type?.value) === 'ingress') ||
+          (resourceType === 'google_compute_firewall' &&
+            unquote(block.attributes.direction?.value || '"INGRESS"') === 'INGRESS')));
+    if (!ingress) continue;
+
+    const cidr = ['cidr_blocks', 'ipv6_cidr_blocks', 'cidr_ipv4', 'cidr_ipv6', 'source_ranges']
+      .map((key) => block.attributes[key])
+      .find((attribute) => attribute && OPEN_CIDRS.some((open) => attribute.value.includes(`"${open}"`)));
+    if (!cidr) continue;
+
+    const ports = [block.attributes.from_port?.value, block.attributes.to_port?.value];
+    const webOnly = ports.every((port) => WEB_PORTS.has(port)) && ports[0] === ports[1];
+    const owner = block.name === 'resource' ? block.labels[1] : block.parent.labels[1];
+    findings.push({
+      ruleId: 'iac-open-ingress',
+      severity: webOnly ? 'Low' : 'High',
+      line: cidr.line,
+      message: `${resource} ${owner} allows inbound traffic from the whole internet${
+        ports[0] ? ` on port ${ports[0] === ports[1] ? ports[0] : `${ports[0]}-${ports[1]}`}` : ''
+      }.`,
+    });
+  }
+  return findings;
+}
+
+function readTerraformBlocks(lines) {
+  const blocks = [];
+  const stack = [];
+  let heredoc = null;
+  let list = null;
+
+  lines.forEach((raw, index) => {
+    const line = index + 1;
+    if (heredoc) {
+      if (raw.trim() === heredoc) heredoc = null;
+      return;
+    }
+    const text = raw.replace(/(^|\s)(#|\/\/).*$/, '').trim();
+    if (list) {
+      list.attribute.value += ` ${text}`;
+      if (text.includes(']')) list = null;
+      return;
+    }
+    if (!text) return;
+
+    const opening = text.match(/^([\w-]+)((?:\s+"[^"]*"|\s+[\w-]+)*)\s*(=\s*)?\{$/);
+    if (opening) {
+      const block = {
+        name: opening[1],
+        labels: [...opening[2].matchAll(/"([^"]*)"|([\w-]+)/g)].map((match) => match[1] ?? match[2]),
+        attributes: {},
+        parent: stack[stack.length - 1] || null,
+        line,
+      };
+      stack.push(block);
+      blocks.push(block);
+      return;
+    }
+    if (text.startsWith('}')) {
+      stack.pop();
+      return;
+    }
+
+    const assignment = text.match(/^([\w-]+)\s*=\s*(.*)$/);
+    if (assignment && stack.length) {
+      const attribute = { value: assignment[2].trim(), line };
+      stack[stack.length - 1].attributes[assignment[1]] = attribute;
+      const terminator = attribute.value.match(/^<<-?\s*"?(\w+)"?$/);
+      if (terminator) heredoc = terminator[1];
+      else if (attribute.value.startsWith('[') && !attribute.value.includes(']')) list = { attribute };
+    }
+  });
+
+  return blocks;
+}
+
+function unquote(value) {
+  return typeof value === 'string' ? value.replace(/^"|"$/g, '') : value;
+}
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
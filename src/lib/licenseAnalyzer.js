@@ -0,0 +1,344 @@
+import { normalizePackageName, toPackageKey } from './dependencyAnalyzer.js';
+import { BUNDLED_LICENSES } from './licenseMap.js';
+
+const MAX_LISTED_DEPENDENCIES = 300;
+const MAX_LISTED_UNKNOWN = 8;
+
+export const DEFAULT_LICENSE_POLICY = {
+  allow: [],
+  deny: null,
+  unknown: 'warn',
+  includeDev: false,
+  overrides: {},
+};
+
+// Ordered from least to most restrictive; OR expressions take the lowest rank, AND the highest.
+export const LICENSE_FAMILIES = [
+  'public-domain',
+  'permissive',
+  'weak-copyleft',
+  'strong-copyleft',
+  'network-copyleft',
+  'source-available',
+  'proprietary',
+  'unknown',
+];
+
+const FAMILY_MEMBERS = {
+  'public-domain': ['0BSD', 'CC0-1.0', 'Unlicense', 'WTFPL'],
+  permissive: [
+    'MIT',
+    'MIT-0',
+    'MIT-CMU',
+    'ISC',
+    'BSD-2-Clause',
+    'BSD-3-Clause',
+    'Apache-2.0',
+    'Zlib',
+    'PSF-2.0',
+    'Python-2.0',
+    'BSL-1.0',
+    'Artistic-2.0',
+    'BlueOak-1.0.0',
+    'CC-BY-4.0',
+    'Unicode-3.0',
+    'Unicode-DFS-2016',
+    'X11',
+  ],
+  'weak-copyleft': [
+    'LGPL-2.0',
+    'LGPL-2.1',
+    'LGPL-3.0',
+    'MPL-1.1',
+    'MPL-2.0',
+    'EPL-1.0',
+    'EPL-2.0',
+    'CDDL-1.0',
+    'CDDL-1.1',
+  ],
+  'strong-copyleft': ['GPL-2.0', 'GPL-3.0'],
+  'network-copyleft': ['AGPL-3.0', 'OSL-3.0'],
+  'source-available': ['BUSL-1.1', 'SSPL-1.0', 'Elastic-2.0'],
+  proprietary: ['UNLICENSED'],
+};
+
+const FAMILY_BY_ID = new Map(
+  Object.entries(FAMILY_MEMBERS).flatMap(([family, ids]) => ids.map((id) => [id.toLowerCase(), family])),
+);
+
+// Common non-SPDX spellings found in package metadata.
+const LICENSE_ALIASES = [
+  [/^(the )?mit( license)?$/i, 'MIT'],
+  [/^(the )?apache( software)?( license)?,?( version)?[\s-]*2(\.0)?$|^asl[\s-]*2(\.0)?$/i, 'Apache-2.0'],
+  [/^(new |modified |revised )?bsd( license)?$/i, 'BSD-3-Clause'],
+  [/^isc( license)?$/i, 'ISC'],
+  [/^(gnu )?(affero general public license|agpl)[\s-]*v?3(\.0)?\+?$/i, 'AGPL-3.0'],
+  [/^(gnu )?(lesser|library)( general public license)?[\s-]*v?2(\.1)?\+?$|^lgplv?2(\.1)?\+?$/i, 'LGPL-2.1'],
+  [/^(gnu )?(lesser|library)( general public license)?[\s-]*v?3(\.0)?\+?$|^lgplv?3\+?$/i, 'LGPL-3.0'],
+  [/^(gnu )?(general public license|gpl)[\s-]*v?2(\.0)?\+?$/i, 'GPL-2.0'],
+  [/^(gnu )?(general public license|gpl)[\s-]*v?3(\.0)?\+?$/i, 'GPL-3.0'],
+  [/^mozilla public license[\s-]*(version )?2(\.0)?$/i, 'MPL-2.0'],
+  [/^eclipse public license[\s-]*(version )?2(\.0)?$/i, 'EPL-2.0'],
+  [/^eclipse public license[\s-]*(version )?1(\.0)?$/i, 'EPL-1.0'],
+  [/^public domain$/i, 'Unlicense'],
+  [/^see licen[cs]e in /i, 'UNLICENSED'],
+];
+
+export function analyzeLicenses(dependencyAnalysis, projectLicense, policySettings = {}) {
+  const policy = { ...DEFAULT_LICENSE_POLICY, ...policySettings };
+  const project = resolveProjectLicense(projectLicense, dependencyAnalysis.declaredLicense);
+  const deny = policy.deny ?? deriveDeniedFamilies(project.family);
+
+  const dependencies = dependencyAnalysis.declared
+    .map((dependency) => {
+      const resolved = resolveDependencyLicense(
+        dependency,
+        dependencyAnalysis.lockfileLicenses,
+        policy.overrides,
+      );
+      return { ...dependency, ...resolved, family: classifyLicense(resolved.license) };
+    })
+    .sort((a, b) => a.ecosystem.localeCompare(b.ecosystem) || a.name.localeCompare(b.name));
+  const checked = dependencies.filter(
+    (dependency) => policy.includeDev || !['dev', 'test'].includes(dependency.scope),
+  );
+
+  const findings = [];
+  const unknown = [];
+  for (const dependency of checked) {
+    if (dependency.family === 'unknown') {
+      unknown.push(dependency);
+      continue;
+    }
+
+    if (deny.length && evaluateExpression(dependency.license, (node) => matchesPolicy(node, deny), 'deny')) {
+      const reason = policy.deny ? '' : ` for a ${project.license || 'closed-source'} project`;
+      findings.push(
+        buildFinding(
+          'license-denied',
+          'High',
+          dependency,
+          `${dependency.name} is licensed ${dependency.license}, which the license policy denies${reason}.`,
+        ),
+      );
+    } else if (
+      policy.allow.length &&
+      !evaluateExpression(dependency.license, (node) => matchesPolicy(node, policy.allow), 'allow')
+    ) {
+      findings.push(
+        buildFinding(
+          'license-not-allowed',
+          'Medium',
+          dependency,
+          `${dependency.name} is licensed ${dependency.license}, which is not on the allowed license list.`,
+        ),
+      );
+    }
+  }
+
+  if (policy.unknown === 'deny') {
+    unknown.forEach((dependency) => {
+      findings.push(
+        buildFinding(
+          'license-unknown',
+          'Medium',
+          dependency,
+          `The license of ${dependency.name} could not be determined.`,
+        ),
+      );
+    });
+  } else if (policy.unknown === 'warn' && unknown.length) {
+    const listed = unknown.slice(0, MAX_LISTED_UNKNOWN).map((dependency) => dependency.name);
+    findings.push({
+      ruleId: 'license-unknown',
+      severity: 'Low',
+      type: 'compliance',
+      manifest: unknown[0].manifest,
+      package: null,
+      license: null,
+      message: `No license could be determined for ${unknown.length} dependency(ies): ${listed.join(', ')}${
+        unknown.length > MAX_LISTED_UNKNOWN ? ', ...' : ''
+      }.`,
+    });
+  }
+
+  const families = Object.fromEntries(LICENSE_FAMILIES.map((family) => [family, 0]));
+  dependencies.forEach((dependency) => {
+    families[dependency.family] += 1;
+  });
+
+  return {
+    project,
+    policy: {
+      allow: policy.allow,
+      deny,
+      denySource: policy.deny ? 'config' : 'project-license',
+      unknown: policy.unknown,
+      includeDev: policy.includeDev,
+    },
+    families,
+    dependencies: dependencies.slice(0, MAX_LISTED_DEPENDENCIES).map((dependency) => ({
+      ecosystem: dependency.ecosystem,
+      name: dependency.name,
+      scope: dependency.scope,
+      license: dependency.license,
+      family: dependency.family,
+      source: dependency.source,
+    })),
+    truncated: dependencies.length > MAX_LISTED_DEPENDENCIES,
+    findings,
+  };
+}
+
+export function classifyLicense(expression) {
+  if (!expression) return 'unknown';
+
+  try {
+    return LICENSE_FAMILIES[evaluateRank(parseExpression(tokenize(expression)))];
+  } catch {
+    return 'unknown';
+  }
+}
+
+function resolveProjectLicense(repositoryLicense, declaredLicense) {
+  const known = repositoryLicense && !['Unknown', 'None', 'NOASSERTION', 'Other'].includes(repositoryLicense);
+  const license = known ? repositoryLicense : declaredLicense;
+  return {
+    license: license ? normalizeLicenseId(license) : null,
+    family: classifyLicense(license),
+    source: known ? 'repository' : declaredLicense ? 'manifest' : null,
+  };
+}
+
+function deriveDeniedFamilies(projectFamily) {
+  // Copyleft projects may already combine with GPL code; everything else must not inherit its terms.
+  return ['strong-copyleft', 'network-copyleft'].includes(projectFamily)
+    ? []
+    : ['strong-copyleft', 'network-copyleft'];
+}
+
+function resolveDependencyLicense(dependency, lockfileLicenses, overrides) {
+  const override = overrides[dependency.name];
+  if (override) return { license: override, source: 'config' };
+
+  const locked = lockfileLicenses.get(toPackageKey(dependency.ecosystem, dependency.name));
+  if (locked) return { license: String(locked), source: 'lockfile' };
+
+  const bundled =
+    BUNDLED_LICENSES[dependency.ecosystem]?.[normalizePackageName(dependency.ecosystem, dependency.name)];
+  if (bundled) return { license: bundled, source: 'bundled' };
+
+  return { license: null, source: null };
+}
+
+function matchesPolicy(node, entries) {
+  const { id } = node;
+  const family = familyOf(node);
+  return entries.some((entry) => {
+    if (LICENSE_FAMILIES.includes(entry)) return entry === family;
+    if (entry.endsWith('*')) return id.toLowerCase().startsWith(entry.slice(0, -1).toLowerCase());
+    return baseLicenseId(entry).toLowerCase() === baseLicenseId(id).toLowerCase();
+  });
+}
+
+function evaluateExpression(expression, predicate, mode) {
+  const node = parseExpression(tokenize(expression));
+  const visit = (current) => {
+    if (current.id) return predicate(current);
+    const results = current.operands.map(visit);
+    // A choice (OR) is denied only if every option is, but a combination (AND) if any part is.
+    if (mode === 'deny') return current.operator === 'OR' ? results.every(Boolean) : results.some(Boolean);
+    return current.operator === 'OR' ? results.some(Boolean) : results.every(Boolean);
+  };
+  return visit(node);
+}
+
+function familyOf(node) {
+  const family = FAMILY_BY_ID.get(baseLicenseId(node.id).toLowerCase()) || 'unknown';
+  // GPL with a linking exception (e.g. Classpath) behaves like a weak copyleft license.
+  return family === 'strong-copyleft' && node.exception ? 'weak-copyleft' : family;
+}
+
+function evaluateRank(node) {
+  if (node.id) return LICENSE_FAMILIES.indexOf(familyOf(node));
+
+  const ranks = node.operands.map(evaluateRank);
+  return node.operator === 'OR' ? Math.min(...ranks) : Math.max(...ranks);
+}
+
+function tokenize(expression) {
+  const text = String(expression).trim();
+  const alias = LICENSE_ALIASES.find(([pattern]) => pattern.test(text));
+  if (alias) return [alias[1]];
+
+  return text
+    .replace(/\s*\/\s*/g, ' OR ')
+    .replace(/([()])/g, ' $1 ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((token) => (/^(and|or|with)$/i.test(token) ? token.toUpperCase() : token));
+}
+
+function parseExpression(tokens) {
+  let index = 0;
+
+  const parseOperand = () => {
+    const token = tokens[index++];
+    if (token === '(') {
+      const node = parseOr();
+      if (tokens[index++] !== ')') throw new Error('Invalid license expression');
+      return node;
+    }
+    if (!token || ['AND', 'OR', 'WITH', ')'].includes(token)) {
+      throw new Error('Invalid license expression');
+    }
+    if (tokens[index] === 'WITH') {
+      index += 2;
+      return { id: normalizeLicenseId(token), exception: tokens[index - 1] };
+    }
+    return { id: normalizeLicenseId(token) };
+  };
+  const parseAnd = () => {
+    const operands = [parseOperand()];
+    while (tokens[index] === 'AND') {
+      index += 1;
+      operands.push(parseOperand());
+    }
+    return operands.length > 1 ? { operator: 'AND', operands } : operands[0];
+  };
+  const parseOr = () => {
+    const operands = [parseAnd()];
+    while (tokens[index] === 'OR') {
+      index += 1;
+      operands.push(parseAnd());
+    }
+    return operands.length > 1 ? { operator: 'OR', operands } : operands[0];
+  };
+
+  const node = parseOr();
+  if (index < tokens.length) {
+    throw new Error('Invalid license expression');
+  }
+  return node;
+}
+
+function normalizeLicenseId(id) {
+  const alias = LICENSE_ALIASES.find(([pattern]) => pattern.test(id.trim()));
+  return alias ? alias[1] : id.trim();
+}
+
+function baseLicenseId(id) {
+  return id.replace(/(-only|-or-later|\+)$/i, '');
+}
+
+function buildFinding(ruleId, severity, dependency, message) {
+  return {
+    ruleId,
+    severity,
+    type: 'compliance',
+    manifest: dependency.manifest,
+    package: dependency.name,
+    license: dependency.license,
+    message,
+  };
+}
@@ -0,0 +1,190 @@
+// SPDX licenses of widely used packages, consulted when lockfiles carry no license metadata.
+// Entries cover the latest major versions; `licenses.overrides` in .reposentinel.yml corrects or extends them.
+export const BUNDLED_LICENSES = {
+  npm: {
+    '@babel/core': 'MIT',
+    '@emotion/react': 'MIT',
+    '@mui/material': 'MIT',
+    '@nestjs/core': 'MIT',
+    '@prisma/client': 'Apache-2.0',
+    '@reduxjs/toolkit': 'MIT',
+    '@tanstack/react-query': 'MIT',
+    '@types/node': 'MIT',
+    '@types/react': 'MIT',
+    ajv: 'MIT',
+    angular: 'MIT',
+    axios: 'MIT',
+    'body-parser': 'MIT',
+    bootstrap: 'MIT',
+    chalk: 'MIT',
+    classnames: 'MIT',
+    commander: 'MIT',
+    cors: 'MIT',
+    'date-fns': 'MIT',
+    dayjs: 'MIT',
+    debug: 'MIT',
+    dotenv: 'BSD-2-Clause',
+    eslint: 'MIT',
+    express: 'MIT',
+    fastify: 'MIT',
+    'fs-extra': 'MIT',
+    glob: 'ISC',
+    graphql: 'MIT',
+    'groq-sdk': 'Apache-2.0',
+    helmet: 'MIT',
+    'highlight.js': 'BSD-3-Clause',
+    immer: 'MIT',
+    jest: 'MIT',
+    jquery: 'MIT',
+    'js-yaml': 'MIT',
+    jsonwebtoken: 'MIT',
+    koa: 'MIT',
+    lodash: 'MIT',
+    'lodash-es': 'MIT',
+    'lucide-react': 'ISC',
+    mobx: 'MIT',
+    moment: 'MIT',
+    mongoose: 'MIT',
+    mysql2: 'MIT',
+    next: 'MIT',
+    'node-fetch': 'MIT',
+    nodemon: 'MIT',
+    nuxt: 'MIT',
+    octokit: 'MIT',
+    pg: 'MIT',
+    prettier: 'MIT',
+    prisma: 'Apache-2.0',
+    react: 'MIT',
+    'react-dom': 'MIT',
+    'react-router-dom': 'MIT',
+    redux: 'MIT',
+    rimraf: 'ISC',
+    rxjs: 'Apache-2.0',
+    sass: 'MIT',
+    semver: 'ISC',
+    sequelize: 'MIT',
+    sharp: 'Apache-2.0',
+    'socket.io': 'MIT',
+    svelte: 'MIT',
+    tailwindcss: 'MIT',
+    typeorm: 'MIT',
+    typescript: 'Apache-2.0',
+    uuid: 'MIT',
+    vite: 'MIT',
+    vitest: 'MIT',
+    vue: 'MIT',
+    webpack: 'MIT',
+    ws: 'MIT',
+    yargs: 'MIT',
+    zod: 'MIT',
+  },
+  pypi: {
+    aiohttp: 'Apache-2.0',
+    alembic: 'MIT',
+    attrs: 'MIT',
+    beautifulsoup4: 'MIT',
+    black: 'MIT',
+    boto3: 'Apache-2.0',
+    celery: 'BSD-3-Clause',
+    certifi: 'MPL-2.0',
+    click: 'BSD-3-Clause',
+    cryptography: 'Apache-2.0 OR BSD-3-Clause',
+    django: 'BSD-3-Clause',
+    djangorestframework: 'BSD-3-Clause',
+    fastapi: 'MIT',
+    flask: 'BSD-3-Clause',
+    gunicorn: 'MIT',
+    httpx: 'BSD-3-Clause',
+    jinja2: 'BSD-3-Clause',
+    lxml: 'BSD-3-Clause',
+    matplotlib: 'PSF-2.0',
+    mypy: 'MIT',
+    mysqlclient: 'GPL-2.0-or-later',
+    numpy: 'BSD-3-Clause',
+    pandas: 'BSD-3-Clause',
+    paramiko: 'LGPL-2.1-or-later',
+    pillow: 'MIT-CMU',
+    psycopg2: 'LGPL-3.0-or-later',
+    'psycopg2-binary': 'LGPL-3.0-or-later',
+    pydantic: 'MIT',
+    pyqt5: 'GPL-3.0-only',
+    pytest: 'MIT',
+    'python-dateutil': 'Apache-2.0 OR BSD-3-Clause',
+    'python-dotenv': 'BSD-3-Clause',
+    pyyaml: 'MIT',
+    redis: 'MIT',
+    requests: 'Apache-2.0',
+    ruff: 'MIT',
+    'scikit-learn': 'BSD-3-Clause',
+    scipy: 'BSD-3-Clause',
+    six: 'MIT',
+    sqlalchemy: 'MIT',
+    starlette: 'BSD-3-Clause',
+    torch: 'BSD-3-Clause',
+    tqdm: 'MPL-2.0 AND MIT',
+    'typing-extensions': 'PSF-2.0',
+    urllib3: 'MIT',
+    uvicorn: 'BSD-3-Clause',
+  },
+  go: {
+    'github.com/gin-gonic/gin': 'MIT',
+    'github.com/go-chi/chi/v5': 'MIT',
+    'github.com/go-sql-driver/mysql': 'MPL-2.0',
+    'github.com/golang-jwt/jwt/v5': 'MIT',
+    'github.com/google/uuid': 'BSD-3-Clause',
+    'github.com/gorilla/mux': 'BSD-3-Clause',
+    'github.com/hashicorp/terraform': 'BUSL-1.1',
+    'github.com/jackc/pgx/v5': 'MIT',
+    'github.com/labstack/echo/v4': 'MIT',
+    'github.com/prometheus/client_golang': 'Apache-2.0',
+    'github.com/sirupsen/logrus': 'MIT',
+    'github.com/spf13/cobra': 'Apache-2.0',
+    'github.com/spf13/viper': 'MIT',
+    'github.com/stretchr/testify': 'MIT',
+    'go.uber.org/zap': 'MIT',
+    'golang.org/x/crypto': 'BSD-3-Clause',
+    'golang.org/x/net': 'BSD-3-Clause',
+    'golang.org/x/sync': 'BSD-3-Clause',
+    'google.golang.org/grpc': 'Apache-2.0',
+    'google.golang.org/protobuf': 'BSD-3-Clause',
+    'gopkg.in/yaml.v3': 'MIT AND Apache-2.0',
+    'gorm.io/gorm': 'MIT',
+  },
+  cargo: {
+    anyhow: 'MIT OR Apache-2.0',
+    axum: 'MIT',
+    chrono: 'MIT OR Apache-2.0',
+    clap: 'MIT OR Apache-2.0',
+    futures: 'MIT OR Apache-2.0',
+    hyper: 'MIT',
+    log: 'MIT OR Apache-2.0',
+    rand: 'MIT OR Apache-2.0',
+    regex: 'MIT OR Apache-2.0',
+    reqwest: 'MIT OR Apache-2.0',
+    serde: 'MIT OR Apache-2.0',
+    serde_json: 'MIT OR Apache-2.0',
+    sqlx: 'MIT OR Apache-2.0',
+    thiserror: 'MIT OR Apache-2.0',
+    tokio: 'MIT',
+    tracing: 'MIT',
+  },
+  maven: {
+    'ch.qos.logback:logback-classic': 'EPL-1.0 OR LGPL-2.1-only',
+    'com.fasterxml.jackson.core:jackson-databind': 'Apache-2.0',
+    'com.google.guava:guava': 'Apache-2.0',
+    'com.h2database:h2': 'MPL-2.0 OR EPL-1.0',
+    'com.mysql:mysql-connector-j': 'GPL-2.0-only WITH Universal-FOSS-exception-1.0',
+    'junit:junit': 'EPL-1.0',
+    'mysql:mysql-connector-java': 'GPL-2.0-only WITH Universal-FOSS-exception-1.0',
+    'org.apache.commons:commons-lang3': 'Apache-2.0',
+    'org.apache.logging.log4j:log4j-core': 'Apache-2.0',
+    'org.hibernate.orm:hibernate-core': 'LGPL-2.1-only',
+    'org.junit.jupiter:junit-jupiter': 'EPL-2.0',
+    'org.mockito:mockito-core': 'MIT',
+    'org.postgresql:postgresql': 'BSD-2-Clause',
+    'org.projectlombok:lombok': 'MIT',
+    'org.slf4j:slf4j-api': 'MIT',
+    'org.springframework.boot:spring-boot-starter-web': 'Apache-2.0',
+    'org.springframework:spring-core': 'Apache-2.0',
+  },
+};
@@ -1,3 +1,34 @@
+import { scoreActivity } from './activityAnalyzer.js';
+import {
+  analyzeScriptComplexity,
+  scoreStructuralComplexity,
+  selectWorstFunctions,
+} from './complexityAnalyzer.js';
+import {
+  analyzeDependencies,
+  dependencyPenalties,
+  summarizeDependencyFindings,
+} from './dependencyAnalyzer.js';
+import { countCommentLines, selectSource, tokenizeSource } from './sourceTokenizer.js';
+import { scanVulnerabilities } from './vulnerabilityAnalyzer.js';
+import { scoreHotspot } from './hotspotAnalyzer.js';
+import { analyzeInfrastructure } from './iacAnalyzer.js';
+import { detectDuplicates } from './duplicationAnalyzer.js';
+import { buildLineUrl } from './providers/index.js';
+import { analyzeLicenses } from './licenseAnalyzer.js';
+import { analyzeTests, scoreTesting } from './testAnalyzer.js';
+import { analyzeWorkflows } from './workflowAnalyzer.js';
+import { DEFAULT_CATEGORY_WEIGHTS, applyRuleSettings } from './repoConfig.js';
+import { BUILT_IN_RULES } from './ruleRegistry.js';
+import { redactSecrets } from './secretScanner.js';
+
+const HEATMAP_SIZE = 20;
+const MAX_OCCURRENCES = 10;
+const MAX_DUPLICATION_ISSUES = 5;
+const MAX_SNIPPET_LINES = 5;
+const MAX_SNIPPET_LINE_LENGTH = 160;
+const HOTSPOT_FIX_THRESHOLD = 45;
+
 const SEVERITY_ORDER = {
   Critical: 4,
   High: 3,
@@ -5,6 +36,60 @@ const SEVERITY_ORDER = {
   Low: 1,
 };
 
+const WORKFLOW_ISSUE_TITLES = {
+  'workflow-unpinned-action': 'Actions not pinned to a commit SHA',
+  'workflow-write-all': 'Workflow token has write-all permissions',
+  'workflow-missing-permissions': 'Workflow token permissions not declared',
+  'workflow-pr-target-checkout': 'pull_request_target checks out pull request code',
+  'workflow-script-injection': 'Script injection from event data',
+  'workflow-secret-echo': 'Secret printed to workflow logs',
+};
+
+const WORKFLOW_RECOMMENDATIONS = {
+  'workflow-unpinned-action': 'Pin each action to a full commit SHA and let Dependabot or Renovate bump it.',
+  'workflow-write-all': 'Grant only the scopes the job needs, e.g. `permissions: { contents: read }`.',
+  'workflow-missing-permissions': 'Add a top-level `permissions: { contents: read }` block and widen it per job where needed.',
+  'workflow-pr-target-checkout':
+    'Use the pull_request trigger for untrusted code, or split the build into a pull_request job and a privileged workflow_run job.',
+  'workflow-script-injection':
+    'Pass event fields through `env:` and reference them as shell variables instead of `${{ }}` expressions.',
+  'workflow-secret-echo': 'Stop printing secrets; pass them to tools via stdin or environment variables.',
+};
+
+const INFRASTRUCTURE_ISSUE_TITLES = {
+  'iac-latest-image': 'Container image not pinned',
+  'iac-root-user': 'Container runs as root',
+  'iac-add-url': 'Dockerfile ADD from a URL',
+  'iac-secret-env': 'Secret baked into the image',
+  'iac-privileged': 'Privileged container',
+  'iac-missing-limits': 'Container without resource limits',
+  'iac-public-bucket': 'Publicly accessible S3 bucket',
+  'iac-open-ingress': 'Ingress open to the internet',
+};
+
+const INFRASTRUCTURE_RECOMMENDATIONS = {
+  'iac-latest-image': 'Pin images to a version tag, ideally with an `@sha256:` digest.',
+  'iac-root-user': 'Create an unprivileged user and switch to it with `USER` or `runAsNonRoot: true`.',
+  'iac-add-url': 'Download with `curl` and verify a checksum, or use `ADD --checksum=sha256:...`.',
+  'iac-secret-env': 'Pass secrets at runtime or with BuildKit `--mount=type=secret`, then rotate the exposed value.',
+  'iac-privileged': 'Drop `privileged: true` and grant only the specific capabilities the workload needs.',
+  'iac-missing-limits': 'Set CPU and memory limits (and requests) for every container.',
+  'iac-public-bucket': 'Keep buckets private, enable the public access block and serve public files through a CDN.',
+  'iac-open-ingress': 'Restrict ingress to known CIDR ranges, a VPN or a load balancer security group.',
+};
+
+const TEST_ISSUE_TITLES = {
+  'test-focused': 'Focused test committed',
+  'test-skipped': 'Skipped tests',
+  'test-no-assertions': 'Tests without assertions',
+};
+
+const TEST_RECOMMENDATIONS = {
+  'test-focused': 'Remove `.only`/`fit` and add a lint rule such as jest/no-focused-tests to block it in CI.',
+  'test-skipped': 'Fix or delete skipped tests and track the remaining gaps as issues.',
+  'test-no-assertions': 'Assert on return values, side effects or thrown errors in every test.',
+};
+
 const COMPLEXITY_PATTERNS = [
   /\bif\s*\(/g,
   /\belse\s+if\s*\(/g,
@@ -17,71 +102,46 @@ const COMPLEXITY_PATTERNS = [
   /&&|\|\|/g,
 ];
 
-const ISSUE_PATTERNS = [
-  {
-    regex: /\beval\s*\(/g,
-    severity: 'Critical',
-    title: 'Dynamic code execution detected',
-    description:
-      'Using eval can execute untrusted input and creates severe security risk.',
-    recommendation: 'Remove eval and replace it with explicit parsing or whitelisted handlers.',
-    type: 'security',
-  },
-  {
-    regex: /\b(innerHTML|dangerouslySetInnerHTML)\b/g,
-    severity: 'High',
-    title: 'Unsafe HTML injection surface',
-    description:
-      'Direct HTML injection can expose cross-site scripting vulnerabilities if input is not sanitized.',
-    recommendation: 'Use safe rendering patterns and sanitize user-sourced content.',
-    type: 'security',
-  },
-  {
-    regex: /\b(console\.log|print\()|TODO|FIXME/gi,
-    severity: 'Low',
-    title: 'Debug residue found',
-    description: 'Debug statements and TODO markers indicate unfinished cleanup.',
-    recommendation: 'Remove debug traces and convert TODOs into tracked issues.',
-    type: 'quality',
-  },
-  {
-    regex: /\bany\b/g,
-    severity: 'Medium',
-    title: 'Loose typing hotspots',
-    description: 'Frequent use of any reduces type safety and increases runtime defect risk.',
-    recommendation: 'Replace any with stricter, explicit types for critical flows.',
-    type: 'reliability',
-  },
-  {
-    regex: /\btry\s*{[\s\S]{0,200}catch\s*\(\w*\)\s*{\s*}/g,
-    severity: 'Medium',
-    title: 'Silent exception handling',
-    description:
-      'Empty catch blocks suppress failures and make incidents hard to debug.',
-    recommendation: 'Log context, propagate recoverable errors, and return actionable failure states.',
-    type: 'reliability',
-  },
-  {
-    regex: /\b(password|secret|api[_-]?key|token)\b\s*[:=]\s*['"`][^'"`]{6,}['"`]/gi,
-    severity: 'Critical',
-    title: 'Potential hardcoded credential',
-    description:
-      'Credential-like literals were detected in source code and may leak sensitive access.',
-    recommendation: 'Move secrets to environment variables and rotate exposed keys.',
-    type: 'security',
-  },
-];
-
-export function buildLocalReport(snapshot) {
-  const analyses = snapshot.files.map((file) => analyzeFile(file));
+export function buildLocalReport(snapshot, { advisories = null, rules = BUILT_IN_RULES } = {}) {
+  const config = snapshot.config || null;
+  const analyses = snapshot.files.map((file) =>
+    analyzeFile(file, { rules: rules.rules, ruleSettings: config?.rules, project: snapshot.project }),
+  );
   const totalLoc = analyses.reduce((sum, file) => sum + file.loc, 0);
-  const allIssues = analyses.flatMap((file) =>
-    file.issues.map((issue) => ({
-      ...issue,
-      file: file.path,
-      complexityScore: file.complexityScore,
-    })),
+  const dependencyAnalysis = analyzeDependencies(snapshot.dependencyManifests);
+  const dependencies = buildDependencySection(dependencyAnalysis, config?.rules, advisories);
+  const licenses = buildLicenseSection(dependencyAnalysis, snapshot.project?.license, config);
+  const vulnerabilityIssues = (dependencies?.vulnerabilities?.findings || []).map(toVulnerabilityIssue);
+  const licenseIssues = (licenses?.findings || []).map(toLicenseIssue);
+  const workflows = buildWorkflowSection(snapshot.workflows, config?.rules);
+  const workflowIssues = (workflows?.findings || []).map(toWorkflowIssue);
+  const testing = buildTestingSection(snapshot, dependencyAnalysis, config?.rules);
+  const testIssues = (testing?.findings || []).map(toTestIssue);
+  const infrastructure = buildInfrastructureSection(snapshot.iacFiles, config?.rules);
+  const infrastructureIssues = (infrastructure?.findings || []).map(toInfrastructureIssue);
+  const duplication = buildDuplicationSection(snapshot.files, config?.rules, snapshot.project);
+  const duplicationIssues = (duplication?.findings || []).map(toDuplicationIssue);
+  const configSecretIssues = scanConfigSecrets(
+    [...(snapshot.workflows || []), ...(snapshot.iacFiles || []), ...(snapshot.envFiles || [])],
+    { rules: rules.rules, ruleSettings: config?.rules, project: snapshot.project },
   );
+  const allIssues = [
+    ...analyses.flatMap((file) =>
+      file.issues.map((issue) => ({
+        ...issue,
+        file: file.path,
+        complexityScore: file.complexityScore,
+        hotspotScore: file.hotspotScore ?? 0,
+      })),
+    ),
+    ...vulnerabilityIssues,
+    ...licenseIssues,
+    ...workflowIssues,
+    ...testIssues,
+    ...infrastructureIssues,
+    ...duplicationIssues,
+    ...configSecretIssues,
+  ];
 
   const issueCounts = {
     Critical: 0,
@@ -104,12 +164,14 @@ export function buildLocalReport(snapshot) {
       : 0;
 
   const largeFiles = analyses.filter((file) => file.loc > 320).length;
-  const lowCommentFiles = analyses.filter((file) => file.commentRatio < 0.03 && file.loc > 80)
-    .length;
+  const lowCommentFiles = analyses.filter(
+    (file) => file.commentRatio !== null && file.commentRatio < 0.03 && file.loc > 80,
+  ).length;
   const issueDensity = analyses.length > 0 ? allIssues.length / analyses.length : 0;
+  const duplicationPenalty = Math.min((duplication?.percentage ?? 0) * 0.8, 16);
   const categoryScores = {
     maintainability: clamp(
-      Math.round(96 - averageComplexity * 6 - issueDensity * 5 - largeFiles * 2),
+      Math.round(96 - averageComplexity * 6 - issueDensity * 5 - largeFiles * 2 - duplicationPenalty),
       20,
       98,
     ),
@@ -125,30 +187,29 @@ export function buildLocalReport(snapshot) {
       10,
       98,
     ),
-    documentation: clamp(
-      Math.round(
-        70 +
-          analyses.reduce((sum, file) => sum + file.commentRatio, 0) *
-            (analyses.length ? 180 / analyses.length : 0) -
-          lowCommentFiles * 5,
-      ),
-      20,
-      96,
-    ),
+    documentation: scoreDocumentation(analyses, lowCommentFiles, snapshot.community),
     architecture: scoreArchitecture(snapshot.files, largeFiles),
   };
+  if (dependencies) {
+    categoryScores.reliability = clamp(
+      categoryScores.reliability - dependencies.penalties.reliability,
+      15,
+      97,
+    );
+    categoryScores.security = clamp(
+      categoryScores.security - dependencies.penalties.security,
+      10,
+      98,
+    );
+  }
+  if (snapshot.activity) {
+    categoryScores.activity = scoreActivity(snapshot.activity);
+  }
+  if (testing) {
+    categoryScores.testing = testing.score;
+  }
 
-  const overallScore = clamp(
-    Math.round(
-      categoryScores.maintainability * 0.3 +
-        categoryScores.reliability * 0.25 +
-        categoryScores.security * 0.25 +
-        categoryScores.documentation * 0.1 +
-        categoryScores.architecture * 0.1,
-    ),
-    10,
-    99,
-  );
+  const overallScore = computeOverallScore(categoryScores, config?.weights);
 
   const riskScore = clamp(
     Math.round(
@@ -167,6 +228,15 @@ export function buildLocalReport(snapshot) {
     lowCommentFiles,
     largeFiles,
     averageComplexity,
+    activity: snapshot.activity,
+    activityScore: categoryScores.activity,
+    dependencies,
+    vulnerabilityIssues,
+    licenseIssues,
+    workflowIssues,
+    infrastructureIssues,
+    duplication,
+    testing,
   });
 
   const topIssues = allIssues
@@ -174,31 +244,35 @@ export function buildLocalReport(snapshot) {
       const severityDelta =
         SEVERITY_ORDER[b.severity] - SEVERITY_ORDER[a.severity];
       if (severityDelta !== 0) return severityDelta;
-      return b.complexityScore - a.complexityScore;
+      return b.hotspotScore - a.hotspotScore || b.complexityScore - a.complexityScore;
     })
     .slice(0, 12)
     .map((issue) => ({
+      ruleId: issue.ruleId,
       file: issue.file,
       title: issue.title,
       description: issue.description,
       severity: issue.severity,
       recommendation: issue.recommendation,
+      hotspotScore: issue.hotspotScore,
+      ...(issue.advisoryIds
+        ? { advisoryIds: issue.advisoryIds, fixedVersion: issue.fixedVersion }
+        : {}),
+      ...(issue.job ? { job: issue.job } : {}),
+      ...(issue.line ? { line: issue.line } : {}),
+      ...(issue.occurrences ? { occurrences: issue.occurrences } : {}),
     }));
 
-  const priorityFixes = topIssues.slice(0, 6).map((issue) => ({
-    file: issue.file,
-    suggestion: issue.recommendation,
-    impact: issue.severity === 'Critical' || issue.severity === 'High' ? 'High' : 'Medium',
-    effort: estimateEffort(issue),
-    rationale: issue.title,
-  }));
+  const priorityFixes = buildPriorityFixes(topIssues, analyses);
 
-  const quickWins = buildQuickWins(topIssues, lowCommentFiles, analyses.length);
+  const quickWins = buildQuickWins(topIssues, lowCommentFiles, dependencies, snapshot.community, testing);
   const strengths = buildStrengths({
     averageComplexity,
     securityFindings,
     issueCounts,
     categoryScores,
+    community: snapshot.community,
+    duplication,
   });
 
   return {
@@ -208,7 +282,12 @@ export function buildLocalReport(snapshot) {
     overallScore,
     grade: deriveGrade(overallScore),
     confidence: clamp(
-      Math.round(42 + Math.min(snapshot.files.length, 28) * 1.7 + Math.min(totalLoc, 9000) / 180),
+      Math.round(
+        42 +
+          Math.min(snapshot.files.length, 28) * 1.7 +
+          Math.min(totalLoc, 9000) / 180 -
+          (snapshot.stats?.treeTruncated ? 12 * (1 - (snapshot.stats.treeRecovery?.recoveredRatio ?? 0)) : 0),
+      ),
       45,
       96,
     ),
@@ -220,21 +299,30 @@ export function buildLocalReport(snapshot) {
       topIssues,
     }),
     categories: categoryScores,
+    activity: snapshot.activity || null,
+    dependencies,
+    licenses,
+    workflows,
+    community: snapshot.community || null,
+    testing,
+    infrastructure,
+    duplication,
     risk: {
       level: deriveRiskLevel(riskScore),
       score: riskScore,
       dominantRisks,
     },
-    heatmap: analyses
-      .sort((a, b) => b.complexityScore - a.complexityScore || b.loc - a.loc)
-      .slice(0, 20)
-      .map((file) => ({
-        file: file.path,
-        complexityScore: file.complexityScore,
-        issues: file.issues.length,
-        loc: file.loc,
-        risk: deriveRiskLevel(clamp(file.complexityScore * 10 + file.issues.length * 4, 5, 100)),
-      })),
+    heatmap: selectHeatmapFiles(analyses).map((file) => ({
+      file: file.path,
+      complexityScore: file.complexityScore,
+      hotspotScore: file.hotspotScore,
+      commits: file.commits,
+      authors: file.authors,
+      issues: file.issues.length,
+      loc: file.loc,
+      functions: file.functions,
+      risk: deriveRiskLevel(clamp(file.complexityScore * 10 + file.issues.length * 4, 5, 100)),
+    })),
     topIssues,
     priorityFixes,
     quickWins,
@@ -247,10 +335,31 @@ export function buildLocalReport(snapshot) {
       estimatedLoc: totalLoc,
       fallbackUsed: false,
       sampling: snapshot.stats,
+      config,
+      rulePacks: { packs: rules.packs, warnings: rules.warnings },
+      rateLimit: snapshot.rateLimit ?? null,
     },
   };
 }
 
+export function computeOverallScore(categories, weights = DEFAULT_CATEGORY_WEIGHTS) {
+  // Categories without data (e.g. activity for local sources) drop out and the rest are reweighted.
+  const scored = Object.entries(weights || DEFAULT_CATEGORY_WEIGHTS).filter(([category]) =>
+    Number.isFinite(categories[category]),
+  );
+  const totalWeight = scored.reduce((sum, [, weight]) => sum + weight, 0);
+  if (!totalWeight) return 10;
+
+  return clamp(
+    Math.round(
+      scored.reduce((sum, [category, weight]) => sum + categories[category] * weight, 0) /
+        totalWeight,
+    ),
+    10,
+    99,
+  );
+}
+
 export function deriveGrade(score) {
   if (score >= 90) return 'A+';
   if (score >= 82) return 'A';
@@ -267,72 +376,60 @@ export function deriveRiskLevel(score) {
   return 'Critical';
 }
 
-function analyzeFile(file) {
-  const lines = file.content.split('\n');
-  const loc = lines.length;
-  const commentLines = lines.filter((line) =>
-    /^\s*(\/\/|#|\*|\/\*|\*\/)/.test(line),
-  ).length;
-  const commentRatio = loc > 0 ? commentLines / loc : 0;
-
-  const complexitySignals = COMPLEXITY_PATTERNS.reduce(
-    (sum, regex) => sum + countMatches(file.content, regex),
-    0,
-  );
-
-  let complexityScore = clamp(
-    Math.round((complexitySignals / Math.max(loc, 1)) * 140 + (loc > 260 ? 2 : 0)),
-    1,
-    10,
-  );
+function analyzeFile(file, { rules, ruleSettings, project }) {
+  const loc = file.content.split('\n').length;
+  const locate = createLocator(file, project);
+  // File-level findings span the whole file; the link points at its first line instead of highlighting everything.
+  const wholeFile = () => [
+    { ...locate(0, file.content.length), snippet: null, url: buildLineUrl(project, file.path, 1) },
+  ];
+  const tokens = tokenizeSource(file.path, file.content);
+  const commentLines = countCommentLines(tokens);
+  // Markup and data files have no comments to count, so they stay out of the documentation score.
+  const commentRatio = commentLines === null ? null : loc > 0 ? commentLines / loc : 0;
 
-  if (loc > 500) {
-    complexityScore = clamp(complexityScore + 2, 1, 10);
-  } else if (loc > 320) {
-    complexityScore = clamp(complexityScore + 1, 1, 10);
-  }
+  // JavaScript and TypeScript are parsed for per-function metrics; other languages fall back to keyword counts.
+  const structure = analyzeScriptComplexity(file.path, file.content);
+  const complexityScore = structure
+    ? scoreStructuralComplexity(structure.functions, loc)
+    : estimateComplexity(selectSource(tokens, ['code']), loc);
 
-  const issues = [];
-  for (const definition of ISSUE_PATTERNS) {
-    const hits = countMatches(file.content, definition.regex);
-    if (!hits) continue;
-    issues.push({
-      severity: definition.severity,
-      title: definition.title,
-      description: `${definition.description} Found ${hits} indicator(s) in this file.`,
-      recommendation: definition.recommendation,
-      type: definition.type,
-    });
-  }
+  const issues = matchRules(file.path, tokens, { rules, ruleSettings, locate });
 
   if (loc > 600) {
     issues.push({
+      ruleId: 'oversized-file',
       severity: 'High',
       title: 'Oversized file complexity',
       description:
         'This file exceeds 600 lines, which raises maintenance cost and review latency.',
       recommendation: 'Refactor into focused modules with clearer ownership boundaries.',
       type: 'quality',
+      occurrences: wholeFile(),
     });
   } else if (loc > 380) {
     issues.push({
+      ruleId: 'large-file',
       severity: 'Medium',
       title: 'Large file needs decomposition',
       description:
         'The file is large enough to increase regression risk during changes.',
       recommendation: 'Split responsibilities by domain or layer to reduce cognitive load.',
       type: 'quality',
+      occurrences: wholeFile(),
     });
   }
 
-  if (commentRatio < 0.02 && loc > 120) {
+  if (commentRatio !== null && commentRatio < 0.02 && loc > 120) {
     issues.push({
+      ruleId: 'low-documentation',
       severity: 'Low',
       title: 'Low in-code documentation',
       description:
         'Complex sections appear under-documented, slowing onboarding and incident triage.',
       recommendation: 'Add concise comments around critical flows and assumptions.',
       type: 'documentation',
+      occurrences: wholeFile(),
     });
   }
 
@@ -341,10 +438,132 @@ function analyzeFile(file) {
     loc,
     commentRatio,
     complexityScore,
-    issues: dedupeIssues(issues),
+    functions: structure ? selectWorstFunctions(structure.functions) : null,
+    commits: file.history?.commits ?? null,
+    authors: file.history?.authors ?? null,
+    hotspotScore: scoreHotspot(complexityScore, file.history),
+    issues: dedupeIssues(applyRuleSettings(issues, ruleSettings)),
   };
 }
 
+function matchRules(path, tokens, { rules, ruleSettings, locate }) {
+  const source = {
+    path,
+    language: tokens.language,
+    select: (scopes) => selectSource(tokens, scopes),
+  };
+  const issues = [];
+  for (const rule of rules) {
+    if (ruleSettings?.[rule.id]?.enabled === false) continue;
+    if (rule.languages && !rule.languages.includes(tokens.language ?? 'text')) continue;
+    const matches = rule.match(source);
+    if (!matches.length) continue;
+    const occurrences = matches
+      .slice(0, MAX_OCCURRENCES)
+      .map((match) => locate(match.index, match.index + match.length));
+    issues.push({
+      ruleId: rule.id,
+      severity: rule.severity,
+      title: rule.title,
+      description: `${rule.description} Found ${matches.length} occurrence(s) in this file.`.trim(),
+      recommendation: rule.recommendation,
+      type: rule.type,
+      line: occurrences[0].line,
+      occurrences,
+    });
+  }
+  return issues;
+}
+
+function scanConfigSecrets(files, { rules, ruleSettings, project }) {
+  // Workflow, IaC and .env files skip the source rules, but they are where provider credentials most often end up.
+  const secretRules = rules.filter((rule) => rule.pack === 'secrets');
+  return files
+    .filter((file) => typeof file.content === 'string')
+    .flatMap((file) => {
+      const tokens = tokenizeSource(file.path, file.content);
+      const issues = matchRules(file.path, tokens, { rules: secretRules, ruleSettings, locate: createLocator(file, project) });
+      return dedupeIssues(applyRuleSettings(issues, ruleSettings)).map((issue) => ({
+        ...issue,
+        file: file.path,
+        complexityScore: 0,
+        hotspotScore: 0,
+      }));
+    });
+}
+
+function createLocator(file, project) {
+  const lineStarts = indexLineStarts(file.content.split('\n'));
+  // Snippets come from a masked copy so no finding, whatever its rule, echoes a secret back.
+  const snippetLines = redactSecrets(file.content).split('\n');
+  return (start, end) => buildOccurrence(file.path, snippetLines, lineStarts, start, end, project);
+}
+
+function indexLineStarts(lines) {
+  const starts = [];
+  let offset = 0;
+  for (const line of lines) {
+    starts.push(offset);
+    offset += line.length + 1;
+  }
+  return starts;
+}
+
+function buildOccurrence(path, lines, lineStarts, start, end, project) {
+  const from = locateOffset(lineStarts, start);
+  // The end offset is exclusive; step back one character so a match ending in a newline stays on its line.
+  const to = locateOffset(lineStarts, Math.max(start, end - 1));
+  const snippetStart = Math.max(0, from.line - 2);
+  let snippetEnd = Math.min(lines.length, to.line + 1, snippetStart + MAX_SNIPPET_LINES);
+  while (snippetEnd > to.line && !lines[snippetEnd - 1].trim()) snippetEnd -= 1;
+
+  return {
+    line: from.line,
+    column: from.column,
+    endLine: to.line,
+    endColumn: to.column + 1,
+    snippet: {
+      startLine: snippetStart + 1,
+      text: lines
+        .slice(snippetStart, snippetEnd)
+        .map((line) => line.replace(/\r$/, '').slice(0, MAX_SNIPPET_LINE_LENGTH))
+        .join('\n'),
+    },
+    url: buildLineUrl(project, path, from.line, to.line),
+  };
+}
+
+function locateOffset(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (lineStarts[middle] <= offset) low = middle;
+    else high = middle - 1;
+  }
+  return { line: low + 1, column: offset - lineStarts[low] + 1 };
+}
+
+function estimateComplexity(content, loc) {
+  const complexitySignals = COMPLEXITY_PATTERNS.reduce(
+    (sum, regex) => sum + countMatches(content, regex),
+    0,
+  );
+
+  let complexityScore = clamp(
+    Math.round((complexitySignals / Math.max(loc, 1)) * 140 + (loc > 260 ? 2 : 0)),
+    1,
+    10,
+  );
+
+  if (loc > 500) {
+    complexityScore = clamp(complexityScore + 2, 1, 10);
+  } else if (loc > 320) {
+    complexityScore = clamp(complexityScore + 1, 1, 10);
+  }
+  return complexityScore;
+}
+
 function dedupeIssues(issues) {
   const seen = new Set();
   const result = [];
@@ -359,6 +578,18 @@ function dedupeIssues(issues) {
   return result;
 }
 
+function scoreDocumentation(analyses, lowCommentFiles, community) {
+  const codeFiles = analyses.filter((file) => file.commentRatio !== null);
+  const inCode =
+    70 +
+    codeFiles.reduce((sum, file) => sum + file.commentRatio, 0) *
+      (codeFiles.length ? 180 / codeFiles.length : 0) -
+    lowCommentFiles * 5;
+  // Repository-level docs (README, CONTRIBUTING, SECURITY.md, ...) weigh in next to in-code comments.
+  const combined = community ? inCode * 0.6 + community.score * 0.4 : inCode;
+  return clamp(Math.round(combined), 20, 96);
+}
+
 function scoreArchitecture(files, largeFiles) {
   if (!files.length) return 40;
 
@@ -388,18 +619,92 @@ function buildDominantRisks({
   lowCommentFiles,
   largeFiles,
   averageComplexity,
+  activity,
+  activityScore,
+  dependencies,
+  vulnerabilityIssues,
+  licenseIssues,
+  workflowIssues,
+  infrastructureIssues,
+  duplication,
+  testing,
 }) {
   const risks = [];
 
+  if (vulnerabilityIssues.length) {
+    const allIds = [...new Set(vulnerabilityIssues.flatMap((issue) => issue.advisoryIds))];
+    const cves = allIds.filter((id) => id.startsWith('CVE-'));
+    const ids = cves.length ? cves : allIds;
+    risks.push(
+      `${vulnerabilityIssues.length} dependency version(s) with known vulnerabilities (${ids
+        .slice(0, 3)
+        .join(', ')}${ids.length > 3 ? ', ...' : ''})`,
+    );
+  }
+
+  const exploitableWorkflows = workflowIssues.filter((issue) =>
+    ['workflow-pr-target-checkout', 'workflow-script-injection', 'workflow-secret-echo'].includes(issue.ruleId),
+  );
+  if (exploitableWorkflows.length) {
+    risks.push(
+      `CI workflows expose secrets or run untrusted input (${[
+        ...new Set(exploitableWorkflows.map((issue) => issue.file)),
+      ]
+        .slice(0, 2)
+        .join(', ')})`,
+    );
+  }
+
+  const exposedInfrastructure = infrastructureIssues.filter((issue) => issue.severity === 'High');
+  if (exposedInfrastructure.length) {
+    risks.push(
+      `${exposedInfrastructure.length} high-risk infrastructure setting(s) such as public buckets, open ingress or privileged containers (${[
+        ...new Set(exposedInfrastructure.map((issue) => issue.file)),
+      ]
+        .slice(0, 2)
+        .join(', ')})`,
+    );
+  }
+
+  const deniedLicenses = licenseIssues.filter((issue) => issue.ruleId === 'license-denied');
+  if (deniedLicenses.length) {
+    risks.push(
+      `${deniedLicenses.length} dependency(ies) under licenses the policy denies (${[
+        ...new Set(deniedLicenses.map((issue) => issue.license)),
+      ]
+        .slice(0, 3)
+        .join(', ')})`,
+    );
+  }
+
+  if (testing && !testing.testFiles) {
+    risks.push(`No automated tests were found for ${testing.sourceFiles} source file(s)`);
+  }
+
+  if (activityScore !== undefined && activityScore < 45) {
+    risks.push('Little recent maintenance activity; fixes and releases may stall');
+  }
+  if (activity?.busFactor?.topAuthorShare >= 0.8 && activity.commits >= 5) {
+    risks.push('Bus factor of one: most recent commits come from a single author');
+  }
+
   if (securityFindings > 0 || issueCounts.Critical > 0) {
     risks.push('Security hardening required in critical paths');
   }
+  if (dependencies?.counts.High > 0) {
+    risks.push('Wildcard ranges or missing lockfiles make dependency installs unreproducible');
+  }
   if (averageComplexity >= 6) {
     risks.push('High branching complexity in core files');
   }
   if (largeFiles > 2) {
     risks.push('Large file surfaces increase regression probability');
   }
+  if (duplication?.percentage >= 10) {
+    risks.push(
+      `${duplication.percentage}% of sampled source lines are copy-pasted across ${duplication.groupCount} duplicated block(s)`,
+    );
+  }
   if (lowCommentFiles > 0) {
     risks.push('Sparse documentation around implementation details');
   }
@@ -410,6 +715,220 @@ function buildDominantRisks({
   return risks.slice(0, 4);
 }
 
+function buildDependencySection(analysis, ruleSettings, advisories) {
+  if (!analysis) return null;
+
+  // Resolved versions and license inputs feed the advisory and license scans and stay out of the report.
+  const { ecosystems, manifests, lockfiles, parseErrors, resolved } = analysis;
+  const findings = applyRuleSettings(analysis.findings, ruleSettings);
+  const scan = advisories ? scanVulnerabilities(resolved, advisories) : null;
+
+  return {
+    ecosystems,
+    manifests,
+    lockfiles,
+    parseErrors,
+    ...summarizeDependencyFindings(findings),
+    penalties: dependencyPenalties(findings),
+    vulnerabilities: scan ? { ...scan, findings: applyRuleSettings(scan.findings, ruleSettings) } : null,
+  };
+}
+
+function toVulnerabilityIssue(finding) {
+  return {
+    ruleId: finding.ruleId,
+    type: finding.type,
+    severity: finding.severity,
+    file: finding.manifest,
+    title: `Vulnerable dependency: ${finding.package}@${finding.version}`,
+    description: finding.message,
+    recommendation: finding.fixedVersion
+      ? `Upgrade ${finding.package} to ${finding.fixedVersion} or later.`
+      : 'No fixed release is listed; replace the package or isolate the affected code path.',
+    advisoryIds: finding.advisories.flatMap((advisory) => advisory.ids),
+    fixedVersion: finding.fixedVersion,
+    complexityScore: 0,
+    hotspotScore: 0,
+  };
+}
+
+function buildLicenseSection(analysis, projectLicense, config) {
+  if (!analysis) return null;
+
+  const section = analyzeLicenses(analysis, projectLicense, config?.licenses);
+  return { ...section, findings: applyRuleSettings(section.findings, config?.rules) };
+}
+
+function toLicenseIssue(finding) {
+  const recommendations = {
+    'license-denied': `Replace ${finding.package} with a compatibly licensed alternative or obtain a commercial license.`,
+    'license-not-allowed': `Review ${finding.package} with legal and add its license to "licenses.allow" if it is acceptable.`,
+    'license-unknown': 'Confirm the licenses manually and record them under "licenses.overrides" in .reposentinel.yml.',
+  };
+
+  return {
+    ruleId: finding.ruleId,
+    type: finding.type,
+    severity: finding.severity,
+    file: finding.manifest,
+    title: finding.package
+      ? `License policy: ${finding.package} (${finding.license || 'unknown'})`
+      : 'License policy: dependencies without a known license',
+    description: finding.message,
+    recommendation: recommendations[finding.ruleId],
+    license: finding.license,
+    complexityScore: 0,
+    hotspotScore: 0,
+  };
+}
+
+function buildWorkflowSection(files, ruleSettings) {
+  const analysis = analyzeWorkflows(files);
+  if (!analysis) return null;
+
+  const findings = applyRuleSettings(analysis.findings, ruleSettings);
+  const counts = { Critical: 0, High: 0, Medium: 0, Low: 0 };
+  findings.forEach((finding) => {
+    counts[finding.severity] += 1;
+  });
+  return { ...analysis, counts, findings };
+}
+
+function toWorkflowIssue(finding) {
+  return {
+    ruleId: finding.ruleId,
+    type: finding.type,
+    severity: finding.severity,
+    file: finding.workflow,
+    job: finding.job,
+    title: `${WORKFLOW_ISSUE_TITLES[finding.ruleId]}${finding.job ? ` in job ${finding.job}` : ''}`,
+    description: finding.message,
+    recommendation: WORKFLOW_RECOMMENDATIONS[finding.ruleId],
+    complexityScore: 0,
+    hotspotScore: 0,
+  };
+}
+
+function buildTestingSection(snapshot, dependencyAnalysis, ruleSettings) {
+  const analysis = analyzeTests({
+    paths: snapshot.paths,
+    testFiles: snapshot.testFiles,
+    dependencies: dependencyAnalysis?.declared,
+  });
+  if (!analysis) return null;
+
+  const findings = applyRuleSettings(analysis.findings, ruleSettings);
+  return { ...analysis, findings, score: scoreTesting(analysis, findings) };
+}
+
+function toTestIssue(finding) {
+  return {
+    ruleId: finding.ruleId,
+    type: finding.type,
+    severity: finding.severity,
+    file: finding.file,
+    line: finding.line,
+    title: TEST_ISSUE_TITLES[finding.ruleId],
+    description: finding.message,
+    recommendation: TEST_RECOMMENDATIONS[finding.ruleId],
+    complexityScore: 0,
+    hotspotScore: 0,
+  };
+}
+
+function buildInfrastructureSection(files, ruleSettings) {
+  const analysis = analyzeInfrastructure(files);
+  if (!analysis) return null;
+
+  const findings = applyRuleSettings(analysis.findings, ruleSettings);
+  const counts = { Critical: 0, High: 0, Medium: 0, Low: 0 };
+  findings.forEach((finding) => {
+    counts[finding.severity] += 1;
+  });
+  return { ...analysis, counts, findings };
+}
+
+function toInfrastructureIssue(finding) {
+  return {
+    ruleId: finding.ruleId,
+    type: finding.type,
+    severity: finding.severity,
+    file: finding.file,
+    line: finding.line,
+    title: INFRASTRUCTURE_ISSUE_TITLES[finding.ruleId],
+    description: finding.message,
+    recommendation: INFRASTRUCTURE_RECOMMENDATIONS[finding.ruleId],
+    complexityScore: 0,
+    hotspotScore: 0,
+  };
+}
+
+function buildDuplicationSection(files, ruleSettings, project) {
+  const analysis = detectDuplicates(files);
+  if (!analysis) return null;
+
+  const contents = new Map(files.map((file) => [file.path, file.content]));
+  const locators = new Map();
+  // Snippets come from masked copies, like source rule findings, and are built only for the listed files.
+  const locate = (instance) => {
+    if (!locators.has(instance.file)) {
+      const content = contents.get(instance.file);
+      const lines = redactSecrets(content).split('\n');
+      locators.set(instance.file, { lines, lineStarts: indexLineStarts(content.split('\n')) });
+    }
+    const { lines, lineStarts } = locators.get(instance.file);
+    return {
+      file: instance.file,
+      ...buildOccurrence(instance.file, lines, lineStarts, instance.start, instance.end, project),
+    };
+  };
+
+  const groups = analysis.groups.map((group) => ({
+    tokens: group.tokens,
+    lines: group.lines,
+    instances: group.instances.map((instance) => ({
+      file: instance.file,
+      startLine: instance.startLine,
+      endLine: instance.endLine,
+      url: buildLineUrl(project, instance.file, instance.startLine, instance.endLine),
+    })),
+  }));
+  const findings = applyRuleSettings(
+    analysis.groups.slice(0, MAX_DUPLICATION_ISSUES).map((group) => {
+      const fileCount = new Set(group.instances.map((instance) => instance.file)).size;
+      const occurrences = group.instances.slice(0, MAX_OCCURRENCES).map(locate);
+      return {
+        ruleId: 'duplicate-code',
+        type: 'quality',
+        severity: group.lines >= 40 || group.instances.length >= 4 ? 'Medium' : 'Low',
+        file: occurrences[0].file,
+        line: occurrences[0].line,
+        message: `A ${group.lines}-line block (${group.tokens} tokens) appears ${group.instances.length} times across ${fileCount} file(s).`,
+        occurrences,
+      };
+    }),
+    ruleSettings,
+  );
+
+  return { ...analysis, groups, findings };
+}
+
+function toDuplicationIssue(finding) {
+  return {
+    ruleId: finding.ruleId,
+    type: finding.type,
+    severity: finding.severity,
+    file: finding.file,
+    line: finding.line,
+    title: 'Duplicated code block',
+    description: finding.message,
+    recommendation: 'Extract the shared logic into one function or module and call it from each copy.',
+    occurrences: finding.occurrences,
+    complexityScore: 0,
+    hotspotScore: 0,
+  };
+}
+
 function buildSummary({
   overallScore,
   riskScore,
@@ -429,8 +948,11 @@ function buildSummary({
   )}/10; highest-priority concern is "${keyIssue.title}" (${keyIssue.severity}). Issue distribution: ${issueCounts.Critical} critical, ${issueCounts.High} high, ${issueCounts.Medium} medium.`;
 }
 
-function buildQuickWins(topIssues, lowCommentFiles, fileCount) {
+function buildQuickWins(topIssues, lowCommentFiles, dependencies, community, testing) {
   const wins = [];
+  const missingCommunityFiles = (community?.items || [])
+    .filter((item) => !item.present)
+    .sort((a, b) => b.weight - a.weight);
 
   if (topIssues.some((issue) => issue.title.includes('Debug residue'))) {
     wins.push('Remove debug logs/TODO markers from production code paths.');
@@ -438,11 +960,19 @@ function buildQuickWins(topIssues, lowCommentFiles, fileCount) {
   if (topIssues.some((issue) => issue.title.includes('Loose typing'))) {
     wins.push('Replace high-traffic `any` types with explicit interfaces.');
   }
-  if (lowCommentFiles > 0) {
-    wins.push(`Add concise comments to ${lowCommentFiles} low-context file(s).`);
+  if (testing?.findings.some((finding) => finding.ruleId === 'test-focused')) {
+    wins.push('Remove committed `.only` calls so the whole test suite runs in CI.');
+  } else if (testing && !testing.testFiles) {
+    wins.push(`Set up ${testing.frameworks[0] || 'a test runner'} and cover the most-changed module with a first test.`);
+  } else if (testing?.untested.length) {
+    wins.push(`Add a test for ${testing.untested[0]}, one of ${testing.untestedModules} module(s) without a matching test.`);
+  }
+  if (dependencies?.findings.some((finding) => finding.ruleId === 'dependency-missing-lockfile')) {
+    wins.push('Commit the package manager lockfile so installs resolve identical versions.');
   }
-  if (fileCount > 20) {
-    wins.push('Create ownership tags for key modules to improve review velocity.');
+  missingCommunityFiles.slice(0, 3).forEach((item) => wins.push(item.quickWin));
+  if (lowCommentFiles > 0 && !missingCommunityFiles.length) {
+    wins.push(`Add concise comments to ${lowCommentFiles} low-context file(s).`);
   }
 
   if (!wins.length) {
@@ -457,6 +987,8 @@ function buildStrengths({
   securityFindings,
   issueCounts,
   categoryScores,
+  community,
+  duplication,
 }) {
   const strengths = [];
 
@@ -469,9 +1001,18 @@ function buildStrengths({
   if (issueCounts.Critical === 0 && issueCounts.High <= 1) {
     strengths.push('High-severity defect density is currently low.');
   }
+  if (duplication && duplication.percentage < 3) {
+    strengths.push('Little copy-pasted code across the sampled files.');
+  }
   if (categoryScores.architecture >= 75) {
     strengths.push('File distribution suggests healthy modular boundaries.');
   }
+  if (categoryScores.testing >= 80) {
+    strengths.push('Most source modules have a matching automated test.');
+  }
+  if (community && community.present === community.items.length) {
+    strengths.push('All community health files are in place for new contributors.');
+  }
 
   if (!strengths.length) {
     strengths.push('Core repository structure is analyzable and remediation-ready.');
@@ -495,6 +1036,12 @@ function buildMilestones(categories) {
   if (categories.reliability < 75) {
     milestones.push('Add failure-path observability and stronger error handling contracts.');
   }
+  if (categories.testing < 60) {
+    milestones.push('Build a test safety net around core modules and run it on every pull request.');
+  }
+  if (categories.activity < 60) {
+    milestones.push('Re-establish a maintenance cadence: triage open issues and cut a release.');
+  }
   if (!milestones.length) {
     milestones.push('Automate weekly trend reporting to keep quality improvements visible.');
   }
@@ -502,6 +1049,50 @@ function buildMilestones(categories) {
   return milestones.slice(0, 4);
 }
 
+function selectHeatmapFiles(analyses) {
+  // Keep the top files of both views so the heatmap can switch between complexity and hotspots.
+  const byComplexity = [...analyses]
+    .sort((a, b) => b.complexityScore - a.complexityScore || b.loc - a.loc)
+    .slice(0, HEATMAP_SIZE);
+  const byHotspot = analyses
+    .filter((file) => file.hotspotScore !== null)
+    .sort((a, b) => b.hotspotScore - a.hotspotScore || b.commits - a.commits)
+    .slice(0, HEATMAP_SIZE);
+
+  return [...new Set([...byComplexity, ...byHotspot])];
+}
+
+function buildPriorityFixes(topIssues, analyses) {
+  const hotspotFixes = analyses
+    .filter((file) => file.hotspotScore >= HOTSPOT_FIX_THRESHOLD)
+    .sort((a, b) => b.hotspotScore - a.hotspotScore)
+    .slice(0, 2)
+    .map((file) => ({
+      file: file.path,
+      suggestion: 'Break this hotspot into smaller, well-tested units before its next change.',
+      impact: 'High',
+      effort: file.loc > 320 ? 'High' : 'Medium',
+      rationale: `Changed ${file.commits} time(s) by ${file.authors} author(s) in the last year at complexity ${file.complexityScore}/10.`,
+    }));
+
+  // A hot file lifts its issues by roughly one severity level.
+  const issueFixes = [...topIssues]
+    .sort(
+      (a, b) =>
+        SEVERITY_ORDER[b.severity] * 20 + b.hotspotScore * 0.25 -
+        (SEVERITY_ORDER[a.severity] * 20 + a.hotspotScore * 0.25),
+    )
+    .map((issue) => ({
+      file: issue.file,
+      suggestion: issue.recommendation,
+      impact: issue.severity === 'Critical' || issue.severity === 'High' ? 'High' : 'Medium',
+      effort: estimateEffort(issue),
+      rationale: issue.title,
+    }));
+
+  return [...hotspotFixes, ...issueFixes].slice(0, 6);
+}
+
 function estimateEffort(issue) {
   if (issue.severity === 'Critical') return 'Medium';
   if (issue.title.includes('Oversized file')) return 'High';
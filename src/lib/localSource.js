@@ -0,0 +1,205 @@
+import { readFile, readdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { readArchiveEntries } from './archive.js';
+import { checkCommunityStandards } from './communityAnalyzer.js';
+import { isDependencyManifest, planManifestReads } from './dependencyAnalyzer.js';
+import { filterExcludedEntries, filterGeneratedFiles, summarizeExclusions } from './exclusions.js';
+import {
+  buildCoverageReport,
+  isIgnoredPath,
+  resolveLimits,
+  sanitizeFileContent,
+  selectCandidates,
+} from './fileSelection.js';
+import { isIacFile, planIacReads } from './iacAnalyzer.js';
+import { filterByConfigGlobs, loadRepoConfig } from './repoConfig.js';
+import { planEnvReads } from './secretScanner.js';
+import { planTestReads } from './testAnalyzer.js';
+import { isWorkflowFile, planWorkflowReads } from './workflowAnalyzer.js';
+
+export async function loadLocalSnapshot(directory, options = {}) {
+  const root = path.resolve(directory);
+  const info = await stat(root).catch(() => null);
+  if (!info?.isDirectory()) {
+    throw new Error(`Local directory was not found: ${directory}`);
+  }
+
+  const entries = await walkDirectory(root);
+  const revision = await readGitRevision(root);
+
+  return buildSnapshot({
+    entries,
+    limitOverrides: options.limits,
+    project: buildProject({
+      name: path.basename(root),
+      source: 'local',
+      revision,
+      updatedAt: info.mtime.toISOString(),
+    }),
+  });
+}
+
+export async function loadArchiveSnapshot(buffer, options = {}) {
+  const filename = options.filename || 'upload';
+  const entries = readArchiveEntries(buffer, filename);
+
+  return buildSnapshot({
+    entries,
+    limitOverrides: options.limits,
+    project: buildProject({
+      name: filename.replace(/\.(zip|tar\.gz|tgz|tar)$/i, ''),
+      source: 'archive',
+      revision: null,
+      updatedAt: null,
+    }),
+  });
+}
+
+async function buildSnapshot({ entries, limitOverrides, project }) {
+  const readText = async (entry) => (await entry.read()).toString('utf8');
+  const config = await loadRepoConfig(entries, readText);
+  const limits = resolveLimits({ ...config.sampling, ...limitOverrides });
+  const exclusion = await filterExcludedEntries(entries, { readText, limits });
+  const scoped = filterByConfigGlobs(exclusion.entries, config);
+  const sourceEntries = scoped.entries.filter(
+    (entry) => !isDependencyManifest(entry.path) && !isWorkflowFile(entry.path) && !isIacFile(entry.path),
+  );
+  const candidates = selectCandidates(sourceEntries, limits);
+
+  const resolved = await Promise.allSettled(
+    candidates.map(async (file) => ({
+      path: file.path,
+      content: sanitizeFileContent((await file.read()).toString('utf8')),
+    })),
+  );
+
+  const generated = filterGeneratedFiles(
+    resolved
+      .filter((result) => result.status === 'fulfilled')
+      .map((result) => result.value)
+      .filter((file) => file.content.trim().length > 0),
+  );
+  const files = generated.files;
+
+  if (!files.length) {
+    throw new Error('No analyzable source files found in this repository.');
+  }
+
+  const readPlan = (plan) =>
+    Promise.all(
+      plan.map(async ({ entry, read }) => ({
+        path: entry.path,
+        content: read ? await readText(entry).catch(() => null) : null,
+      })),
+    );
+  const dependencyManifests = await readPlan(planManifestReads(entries));
+  const workflows = await readPlan(planWorkflowReads(entries));
+  const testFiles = await readPlan(planTestReads(scoped.entries));
+  const iacFiles = await readPlan(planIacReads(scoped.entries));
+  const envFiles = await readPlan(planEnvReads(scoped.entries));
+
+  return {
+    project,
+    files,
+    dependencyManifests,
+    workflows,
+    community: checkCommunityStandards(entries.map((entry) => entry.path)),
+    paths: scoped.entries.map((entry) => entry.path),
+    testFiles,
+    iacFiles,
+    envFiles,
+    config,
+    stats: {
+      totalFilesInTree: entries.length,
+      candidateFiles: candidates.length,
+      loadedFiles: files.length,
+      maxFiles: limits.maxFiles,
+      maxFileSize: limits.maxFileSize,
+      samplingStrategy: limits.sampling,
+      coverage: buildCoverageReport(sourceEntries, files, limits),
+      exclusions: summarizeExclusions(
+        [...exclusion.excluded, ...scoped.excluded, ...generated.excluded],
+        exclusion.manifests,
+      ),
+    },
+  };
+}
+
+function buildProject({ name, source, revision, updatedAt }) {
+  return {
+    owner: null,
+    repo: name,
+    fullName: name,
+    description: '',
+    defaultBranch: null,
+    ref: revision?.name || null,
+    refType: revision?.type || source,
+    commitSha: revision?.sha || null,
+    stars: 0,
+    forks: 0,
+    openIssues: 0,
+    watchers: 0,
+    primaryLanguage: 'Unknown',
+    license: 'Unknown',
+    visibility: source,
+    url: null,
+    updatedAt,
+    pushedAt: null,
+    source,
+  };
+}
+
+async function walkDirectory(root) {
+  const entries = [];
+  const pending = [''];
+
+  while (pending.length) {
+    const relative = pending.pop();
+    const children = await readdir(path.join(root, relative), { withFileTypes: true });
+
+    for (const child of children) {
+      const childPath = relative ? `${relative}/${child.name}` : child.name;
+
+      if (child.isDirectory()) {
+        if (!isIgnoredPath(`${childPath}/`)) {
+          pending.push(childPath);
+        }
+        continue;
+      }
+
+      if (!child.isFile()) {
+        continue;
+      }
+
+      const absolute = path.join(root, childPath);
+      const { size } = await stat(absolute);
+      entries.push({ path: childPath, size, read: () => readFile(absolute) });
+    }
+  }
+
+  return entries;
+}
+
+async function readGitRevision(root) {
+  const gitDir = path.join(root, '.git');
+  const head = await readFile(path.join(gitDir, 'HEAD'), 'utf8').catch(() => null);
+  if (!head) {
+    return null;
+  }
+
+  const symbolic = head.trim().match(/^ref:\s*(.+)$/);
+  if (!symbolic) {
+    return { type: 'commit', name: head.trim(), sha: head.trim() };
+  }
+
+  const refName = symbolic[1];
+  const branch = refName.replace(/^refs\/heads\//, '');
+  const loose = await readFile(path.join(gitDir, refName), 'utf8').catch(() => null);
+  if (loose) {
+    return { type: 'branch', name: branch, sha: loose.trim() };
+  }
+
+  const packed = await readFile(path.join(gitDir, 'packed-refs'), 'utf8').catch(() => '');
+  const line = packed.split('\n').find((entry) => entry.endsWith(` ${refName}`));
+  return line ? { type: 'branch', name: branch, sha: line.split(' ')[0] } : null;
+}
@@ -0,0 +1,161 @@
+import { buildRefCandidates, encodePath, requestJson, requestStream, requestText } from './shared.js';
+
+const API_BASE = 'https://api.bitbucket.org/2.0';
+const WEB_BASE = 'https://bitbucket.org';
+const TREE_PAGE_SIZE = 100;
+const MAX_TREE_PAGES = 100;
+const MAX_DIRECTORY_PAGES = 10;
+
+export function createBitbucketProvider() {
+  const options = { headers: buildAuthHeaders(), label: 'Bitbucket' };
+  const repoUrl = (owner, repo) =>
+    `${API_BASE}/repositories/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+  const resolveCommit = async (owner, repo, ref) => {
+    const { data: commit } = await requestJson(
+      `${repoUrl(owner, repo)}/commit/${encodeURIComponent(ref)}`,
+      options,
+    );
+    return commit.hash;
+  };
+
+  return {
+    kind: 'bitbucket',
+    label: 'Bitbucket',
+    usesHostToken: Boolean(options.headers.Authorization),
+    parseLocation,
+    resolveCommit,
+
+    async getRepository(owner, repo) {
+      const { data: repository } = await requestJson(repoUrl(owner, repo), options);
+
+      return {
+        fullName: repository.full_name,
+        description: repository.description || '',
+        defaultBranch: repository.mainbranch?.name || 'main',
+        stars: 0,
+        forks: 0,
+        openIssues: 0,
+        watchers: 0,
+        primaryLanguage: repository.language || 'Unknown',
+        license: 'None',
+        visibility: repository.is_private ? 'private' : 'public',
+        updatedAt: repository.updated_on,
+        pushedAt: repository.updated_on,
+      };
+    },
+
+    async resolvePull(owner, repo, number) {
+      const { data: pull } = await requestJson(
+        `${repoUrl(owner, repo)}/pullrequests/${number}`,
+        options,
+      );
+      // Pull request payloads only carry the abbreviated source hash.
+      return { name: `#${number}`, sha: await resolveCommit(owner, repo, pull.source.commit.hash) };
+    },
+
+    async listTree(owner, repo, sha) {
+      const entries = [];
+      let next = `${repoUrl(owner, repo)}/src/${sha}/?max_depth=50&pagelen=${TREE_PAGE_SIZE}`;
+      let pages = 0;
+
+      while (next && pages < MAX_TREE_PAGES) {
+        const { data } = await requestJson(next, options);
+        (data.values || [])
+          .filter((item) => item.type === 'commit_file')
+          .forEach((item) => entries.push({ path: item.path, size: item.size ?? 0, sha: null }));
+        next = data.next || null;
+        pages += 1;
+      }
+
+      return { entries, truncated: Boolean(next) };
+    },
+
+    async listDirectory(owner, repo, revisionSha, directory) {
+      const entries = [];
+      let next = `${repoUrl(owner, repo)}/src/${revisionSha}/${encodePath(directory.path)}${directory.path ? '/' : ''}?pagelen=${TREE_PAGE_SIZE}`;
+      let pages = 0;
+
+      while (next && pages < MAX_DIRECTORY_PAGES) {
+        const { data } = await requestJson(next, options);
+        (data.values || [])
+          .filter((item) => item.type === 'commit_file' || item.type === 'commit_directory')
+          .forEach((item) =>
+            entries.push({
+              path: item.path,
+              type: item.type === 'commit_directory' ? 'tree' : 'blob',
+              size: item.size ?? 0,
+              sha: null,
+            }),
+          );
+        next = data.next || null;
+        pages += 1;
+      }
+
+      return entries;
+    },
+
+    readFile(owner, repo, path, ref) {
+      return requestText(`${repoUrl(owner, repo)}/src/${ref}/${encodePath(path)}`, options);
+    },
+
+    openArchive(owner, repo, sha) {
+      return requestStream(
+        `${WEB_BASE}/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/get/${sha}.tar.gz`,
+        options,
+      );
+    },
+  };
+}
+
+function buildAuthHeaders() {
+  if (process.env.BITBUCKET_TOKEN) {
+    return { Authorization: `Bearer ${process.env.BITBUCKET_TOKEN}` };
+  }
+
+  if (process.env.BITBUCKET_USERNAME && process.env.BITBUCKET_APP_PASSWORD) {
+    const credentials = Buffer.from(
+      `${process.env.BITBUCKET_USERNAME}:${process.env.BITBUCKET_APP_PASSWORD}`,
+    ).toString('base64');
+    return { Authorization: `Basic ${credentials}` };
+  }
+
+  return {};
+}
+
+function parseLocation(segments) {
+  if (segments.length < 2) {
+    return null;
+  }
+
+  return {
+    owner: segments[0],
+    repo: segments[1],
+    ref: parseRefSegments(segments.slice(2)),
+  };
+}
+
+function parseRefSegments(segments) {
+  const [kind, ...rest] = segments;
+  if (!kind || !rest.length) {
+    return null;
+  }
+
+  if (kind === 'pull-requests' && /^\d+$/.test(rest[0])) {
+    return { type: 'pull', number: Number(rest[0]) };
+  }
+
+  if (kind === 'commits') {
+    return { type: 'commit', candidates: [rest[0]] };
+  }
+
+  if (kind === 'branch') {
+    return { type: 'branch', candidates: [rest.join('/')] };
+  }
+
+  if (kind === 'src') {
+    return { type: 'ref', candidates: buildRefCandidates(rest) };
+  }
+
+  return null;
+}
@@ -0,0 +1,148 @@
+import { buildRefCandidates, encodePath, requestJson, requestStream, requestText } from './shared.js';
+
+const TREE_PAGE_SIZE = 1000;
+const MAX_TREE_PAGES = 20;
+
+export function createGiteaProvider(host) {
+  const apiBase = `${host.baseUrl}/api/v1`;
+  const headers = process.env.GITEA_TOKEN ? { Authorization: `token ${process.env.GITEA_TOKEN}` } : {};
+  const options = { headers, label: 'Gitea' };
+  const repoUrl = (owner, repo) =>
+    `${apiBase}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+  return {
+    kind: 'gitea',
+    label: 'Gitea',
+    usesHostToken: Boolean(process.env.GITEA_TOKEN),
+    parseLocation,
+
+    async getRepository(owner, repo) {
+      const { data: repository } = await requestJson(repoUrl(owner, repo), options);
+
+      return {
+        fullName: repository.full_name,
+        description: repository.description || '',
+        defaultBranch: repository.default_branch,
+        stars: repository.stars_count ?? 0,
+        forks: repository.forks_count ?? 0,
+        openIssues: repository.open_issues_count ?? 0,
+        watchers: repository.watchers_count ?? 0,
+        primaryLanguage: repository.language || 'Unknown',
+        license: repository.licenses?.[0] || 'None',
+        visibility: repository.private ? 'private' : 'public',
+        updatedAt: repository.updated_at,
+        pushedAt: repository.updated_at,
+      };
+    },
+
+    async resolveCommit(owner, repo, ref) {
+      const { data: commits } = await requestJson(
+        `${repoUrl(owner, repo)}/commits?sha=${encodeURIComponent(ref)}&limit=1&stat=false`,
+        options,
+      );
+      if (!commits.length) {
+        const error = new Error(`Gitea ref ${ref} was not found.`);
+        error.status = 404;
+        throw error;
+      }
+      return commits[0].sha;
+    },
+
+    async resolvePull(owner, repo, number) {
+      const { data: pull } = await requestJson(`${repoUrl(owner, repo)}/pulls/${number}`, options);
+      return { name: `#${number}`, sha: pull.head.sha };
+    },
+
+    async listTree(owner, repo, sha) {
+      const entries = [];
+      let page = 1;
+      let truncated = false;
+
+      while (page <= MAX_TREE_PAGES) {
+        const { data: tree } = await requestJson(
+          `${repoUrl(owner, repo)}/git/trees/${sha}?recursive=true&per_page=${TREE_PAGE_SIZE}&page=${page}`,
+          options,
+        );
+
+        (tree.tree || [])
+          .filter((item) => item.type === 'blob')
+          .forEach((item) => entries.push({ path: item.path, size: item.size ?? 0, sha: item.sha }));
+
+        truncated = Boolean(tree.truncated);
+        if (!truncated) break;
+        page += 1;
+      }
+
+      return { entries, truncated };
+    },
+
+    async listDirectory(owner, repo, revisionSha, directory) {
+      const { data: tree } = await requestJson(
+        `${repoUrl(owner, repo)}/git/trees/${directory.sha || revisionSha}?per_page=${TREE_PAGE_SIZE}`,
+        options,
+      );
+
+      return (tree.tree || [])
+        .filter((item) => item.type === 'blob' || item.type === 'tree')
+        .map((item) => ({
+          path: directory.path ? `${directory.path}/${item.path}` : item.path,
+          type: item.type,
+          size: item.size ?? 0,
+          sha: item.sha,
+        }));
+    },
+
+    readFile(owner, repo, path, ref) {
+      return requestText(`${repoUrl(owner, repo)}/raw/${encodePath(path)}?ref=${ref}`, options);
+    },
+
+    async readBlob(owner, repo, sha) {
+      const { data: blob } = await requestJson(`${repoUrl(owner, repo)}/git/blobs/${sha}`, options);
+      return Buffer.from(blob.content, blob.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+    },
+
+    openArchive(owner, repo, sha) {
+      return requestStream(`${repoUrl(owner, repo)}/archive/${sha}.tar.gz`, options);
+    },
+  };
+}
+
+function parseLocation(segments) {
+  if (segments.length < 2) {
+    return null;
+  }
+
+  return {
+    owner: segments[0],
+    repo: segments[1],
+    ref: parseRefSegments(segments.slice(2)),
+  };
+}
+
+function parseRefSegments(segments) {
+  const [kind, ...rest] = segments;
+  if (!kind || !rest.length) {
+    return null;
+  }
+
+  if (kind === 'pulls' && /^\d+$/.test(rest[0])) {
+    return { type: 'pull', number: Number(rest[0]) };
+  }
+
+  if (kind === 'commit') {
+    return { type: 'commit', candidates: [rest[0]] };
+  }
+
+  if (kind === 'releases' && rest[0] === 'tag' && rest.length > 1) {
+    return { type: 'tag', candidates: [rest.slice(1).join('/')] };
+  }
+
+  if (kind === 'src' && rest.length > 1) {
+    const [refKind, ...refSegments] = rest;
+    if (refKind === 'commit') return { type: 'commit', candidates: [refSegments[0]] };
+    if (refKind === 'tag') return { type: 'tag', candidates: buildRefCandidates(refSegments) };
+    if (refKind === 'branch') return { type: 'branch', candidates: buildRefCandidates(refSegments) };
+  }
+
+  return null;
+}
@@ -0,0 +1,531 @@
+import { Octokit } from 'octokit';
+import { buildRefCandidates, readRateLimit } from './shared.js';
+
+const MAX_RATE_LIMIT_WAIT_SECONDS = 20;
+const MAX_SECONDARY_LIMIT_WAIT_SECONDS = 60;
+const MAX_SECONDARY_LIMIT_RETRIES = 2;
+const MAX_SERVER_ERROR_RETRIES = 2;
+// Cached bodies from every client share one budget, so memory stays bounded however many tokens are in use.
+const ETAG_CACHE_BYTES = 32 * 1024 * 1024;
+// A single huge tree or listing would push everything else out, and is rarely requested twice.
+const MAX_CACHED_RESPONSE_BYTES = 2 * 1024 * 1024;
+
+const MAX_CACHED_CLIENTS = 50;
+const MAX_ACTIVITY_COMMIT_PAGES = 3;
+const MAX_RESPONSE_THREADS = 12;
+const MAX_RELEASES = 20;
+const HISTORY_PATHS_PER_QUERY = 25;
+const HISTORY_COMMITS_PER_PATH = 100;
+const MAX_REST_HISTORY_PATHS = 30;
+
+const clients = new Map();
+const etagCache = new Map();
+let etagCacheBytes = 0;
+let nextClientId = 1;
+
+export function createGitHubProvider(_host, { token } = {}) {
+  const client = getClient(token || process.env.GITHUB_TOKEN);
+
+  return {
+    kind: 'github',
+    label: 'GitHub',
+    supportsUserAuth: true,
+    parseLocation,
+    getRepository: getRepository.bind(null, client),
+    resolveCommit: resolveCommit.bind(null, client),
+    resolvePull: resolvePull.bind(null, client),
+    listTree: listTree.bind(null, client),
+    listDirectory: listDirectory.bind(null, client),
+    readFile: readFile.bind(null, client),
+    readBlob: readBlob.bind(null, client),
+    openArchive: openArchive.bind(null, client),
+    getActivity: getActivity.bind(null, client),
+    getFileHistory: getFileHistory.bind(null, client),
+    getRateLimit: () => client.rateLimit,
+  };
+}
+
+export async function getAuthenticatedUser(token) {
+  const { octokit } = getClient(token);
+  const { data: user } = await octokit.request('GET /user');
+  return { id: user.id, login: user.login, name: user.name || user.login, avatarUrl: user.avatar_url };
+}
+
+function getClient(token) {
+  // Each token gets its own client, and cache entries carry its ID, so cached responses and quota tracking never cross users.
+  const key = token || '';
+  const existing = clients.get(key);
+  if (existing) {
+    clients.delete(key);
+    clients.set(key, existing);
+    return existing;
+  }
+
+  const client = createClient(token);
+  clients.set(key, client);
+  if (clients.size > MAX_CACHED_CLIENTS) {
+    const [evictedKey, evicted] = clients.entries().next().value;
+    clients.delete(evictedKey);
+    forgetClientResponses(evicted);
+  }
+  return client;
+}
+
+function createClient(token) {
+  const octokit = new Octokit({
+    auth: token,
+    throttle: {
+      // Waiting out an exhausted hourly quota would hang the request, so only short resets are retried.
+      onRateLimit: (retryAfter, _options, _octokit, retryCount) =>
+        retryCount === 0 && retryAfter <= MAX_RATE_LIMIT_WAIT_SECONDS,
+      onSecondaryRateLimit: (retryAfter, _options, _octokit, retryCount) =>
+        retryCount < MAX_SECONDARY_LIMIT_RETRIES && retryAfter <= MAX_SECONDARY_LIMIT_WAIT_SECONDS,
+    },
+    retry: {
+      retries: MAX_SERVER_ERROR_RETRIES,
+    },
+  });
+  const client = { id: nextClientId++, octokit, authenticated: Boolean(token), rateLimit: null };
+
+  octokit.hook.wrap('request', async (request, options) => {
+    const cacheKey = getCacheKey(client, options);
+    const cached = cacheKey ? etagCache.get(cacheKey) : null;
+    if (cached) {
+      options.headers = { ...options.headers, 'if-none-match': cached.etag };
+    }
+
+    try {
+      const response = await request(options);
+      recordRateLimit(client, response.headers);
+      if (cacheKey && response.headers.etag) {
+        rememberResponse(cacheKey, response);
+      }
+      return response;
+    } catch (error) {
+      const headers = error?.response?.headers;
+      recordRateLimit(client, headers);
+
+      // Conditional requests answered with 304 do not count against the quota.
+      if (error?.status === 304 && cached) {
+        rememberResponse(cacheKey, cached.response, cached.size);
+        return cached.response;
+      }
+
+      if (isRateLimitResponse(error)) {
+        error.rateLimit = readRateLimit(headers);
+      }
+      throw error;
+    }
+  });
+
+  return client;
+}
+
+function parseLocation(segments) {
+  if (segments.length < 2) {
+    return null;
+  }
+
+  return {
+    owner: segments[0],
+    repo: segments[1],
+    ref: parseRefSegments(segments.slice(2)),
+  };
+}
+
+async function getRepository({ octokit }, owner, repo) {
+  const { data: repository } = await octokit.request('GET /repos/{owner}/{repo}', {
+    owner,
+    repo,
+  });
+
+  return {
+    fullName: repository.full_name,
+    description: repository.description || '',
+    defaultBranch: repository.default_branch,
+    stars: repository.stargazers_count ?? 0,
+    forks: repository.forks_count ?? 0,
+    openIssues: repository.open_issues_count ?? 0,
+    watchers: repository.subscribers_count ?? 0,
+    primaryLanguage: repository.language || 'Unknown',
+    license: repository.license?.spdx_id || 'None',
+    visibility: repository.visibility || (repository.private ? 'private' : 'public'),
+    updatedAt: repository.updated_at,
+    pushedAt: repository.pushed_at,
+  };
+}
+
+async function resolveCommit({ octokit }, owner, repo, ref) {
+  const { data: commit } = await octokit.request('GET /repos/{owner}/{repo}/commits/{ref}', {
+    owner,
+    repo,
+    ref,
+  });
+  return commit.sha;
+}
+
+async function resolvePull({ octokit }, owner, repo, number) {
+  const { data: pull } = await octokit.request('GET /repos/{owner}/{repo}/pulls/{pull_number}', {
+    owner,
+    repo,
+    pull_number: number,
+  });
+  return { name: `#${number}`, sha: pull.head.sha };
+}
+
+async function listTree({ octokit }, owner, repo, sha) {
+  const { data: tree } = await octokit.request(
+    'GET /repos/{owner}/{repo}/git/trees/{tree_sha}?recursive=1',
+    {
+      owner,
+      repo,
+      tree_sha: sha,
+    },
+  );
+
+  return {
+    entries: tree.tree
+      .filter((item) => item.type === 'blob')
+      .map((item) => ({ path: item.path, size: item.size ?? 0, sha: item.sha })),
+    truncated: Boolean(tree.truncated),
+  };
+}
+
+async function listDirectory({ octokit }, owner, repo, revisionSha, directory) {
+  const { data: tree } = await octokit.request('GET /repos/{owner}/{repo}/git/trees/{tree_sha}', {
+    owner,
+    repo,
+    tree_sha: directory.sha || revisionSha,
+  });
+
+  return tree.tree
+    .filter((item) => item.type === 'blob' || item.type === 'tree')
+    .map((item) => ({
+      path: directory.path ? `${directory.path}/${item.path}` : item.path,
+      type: item.type,
+      size: item.size ?? 0,
+      sha: item.sha,
+    }));
+}
+
+async function readFile({ octokit }, owner, repo, path, ref) {
+  const response = await octokit.request('GET /repos/{owner}/{repo}/contents/{path}', {
+    owner,
+    repo,
+    path,
+    ref,
+  });
+
+  const data = response.data;
+  if (!data || Array.isArray(data) || data.encoding !== 'base64') {
+    throw new Error(`Unsupported file payload for ${path}`);
+  }
+
+  return Buffer.from(data.content, 'base64').toString('utf8');
+}
+
+async function readBlob({ octokit }, owner, repo, sha) {
+  const { data } = await octokit.request('GET /repos/{owner}/{repo}/git/blobs/{file_sha}', {
+    owner,
+    repo,
+    file_sha: sha,
+  });
+
+  return Buffer.from(data.content, data.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+}
+
+async function openArchive({ octokit }, owner, repo, sha) {
+  const { data } = await octokit.request('GET /repos/{owner}/{repo}/tarball/{ref}', {
+    owner,
+    repo,
+    ref: sha,
+    request: { parseSuccessResponseBody: false },
+  });
+  return data;
+}
+
+function recordRateLimit(client, headers) {
+  const rateLimit = headers ? readRateLimit(headers) : null;
+  if (rateLimit?.limit !== null && rateLimit?.resource === 'core') {
+    client.rateLimit = rateLimit;
+  }
+}
+
+function isRateLimitResponse(error) {
+  if (error?.status === 429) return true;
+  return (
+    error?.status === 403 &&
+    (error.response?.headers?.['x-ratelimit-remaining'] === '0' || /rate limit/i.test(error.message))
+  );
+}
+
+function getCacheKey(client, options) {
+  // Blobs and tarballs are immutable and large, so they are never revalidated.
+  if (options.method !== 'GET' || options.request?.parseSuccessResponseBody === false) {
+    return null;
+  }
+
+  const { url } = client.octokit.request.endpoint.parse(options);
+  // Entries are scoped to the client so one user's cached responses are never served to another.
+  return url.includes('/git/blobs/') ? null : `${client.id} ${url}`;
+}
+
+function rememberResponse(cacheKey, response, size = estimateSize(response.data)) {
+  forgetResponse(cacheKey);
+  if (size > MAX_CACHED_RESPONSE_BYTES) return;
+
+  etagCache.set(cacheKey, { etag: response.headers.etag, response, size });
+  etagCacheBytes += size;
+  while (etagCacheBytes > ETAG_CACHE_BYTES) {
+    forgetResponse(etagCache.keys().next().value);
+  }
+}
+
+function forgetResponse(cacheKey) {
+  const entry = etagCache.get(cacheKey);
+  if (!entry) return;
+  etagCache.delete(cacheKey);
+  etagCacheBytes -= entry.size;
+}
+
+function forgetClientResponses(client) {
+  const prefix = `${client.id} `;
+  for (const cacheKey of [...etagCache.keys()]) {
+    if (cacheKey.startsWith(prefix)) forgetResponse(cacheKey);
+  }
+}
+
+function estimateSize(data) {
+  // UTF-16 code units undercount multi-byte text, but the budget only needs to be in the right range.
+  if (typeof data === 'string') return data.length;
+  return data === undefined ? 0 : JSON.stringify(data).length;
+}
+
+async function getActivity({ octokit }, owner, repo, { since }) {
+  const [commits, contributorCount, threads, releases] = await Promise.allSettled([
+    listRecentCommits(octokit, owner, repo, since),
+    countContributors(octokit, owner, repo),
+    listRecentThreads(octokit, owner, repo),
+    listReleases(octokit, owner, repo),
+  ]);
+
+  if (commits.status === 'rejected') {
+    throw commits.reason;
+  }
+
+  return {
+    commits: commits.value.commits,
+    commitsCapped: commits.value.capped,
+    contributorCount: contributorCount.status === 'fulfilled' ? contributorCount.value : null,
+    threads: threads.status === 'fulfilled' ? threads.value : [],
+    releases: releases.status === 'fulfilled' ? releases.value : [],
+  };
+}
+
+async function listRecentCommits(octokit, owner, repo, since) {
+  const commits = [];
+  let pages = 0;
+
+  for await (const { data } of octokit.paginate.iterator('GET /repos/{owner}/{repo}/commits', {
+    owner,
+    repo,
+    since,
+    per_page: 100,
+  })) {
+    pages += 1;
+    commits.push(
+      ...data.map((commit) => ({
+        author: commit.author?.login || commit.commit?.author?.email || 'unknown',
+        date: commit.commit?.author?.date || null,
+      })),
+    );
+    if (pages >= MAX_ACTIVITY_COMMIT_PAGES) {
+      return { commits, capped: data.length === 100 };
+    }
+  }
+
+  return { commits, capped: false };
+}
+
+async function countContributors(octokit, owner, repo) {
+  const response = await octokit.request('GET /repos/{owner}/{repo}/contributors', {
+    owner,
+    repo,
+    per_page: 1,
+    anon: 'true',
+  });
+
+  // With one contributor per page, the last page number is the contributor count.
+  const lastPage = response.headers.link?.match(/[?&]page=(\d+)>;\s*rel="last"/);
+  return lastPage ? Number(lastPage[1]) : response.data.length;
+}
+
+async function listRecentThreads(octokit, owner, repo) {
+  const { data: items } = await octokit.request('GET /repos/{owner}/{repo}/issues', {
+    owner,
+    repo,
+    state: 'all',
+    sort: 'created',
+    direction: 'desc',
+    per_page: MAX_RESPONSE_THREADS,
+  });
+
+  return Promise.all(
+    items.map(async (item) => ({
+      isPullRequest: Boolean(item.pull_request),
+      createdAt: item.created_at,
+      firstResponseAt: await findFirstResponse(octokit, owner, repo, item),
+    })),
+  );
+}
+
+async function findFirstResponse(octokit, owner, repo, item) {
+  const author = item.user?.login;
+  const requests = [];
+
+  if (item.comments > 0) {
+    requests.push(
+      octokit
+        .request('GET /repos/{owner}/{repo}/issues/{issue_number}/comments', {
+          owner,
+          repo,
+          issue_number: item.number,
+          per_page: 10,
+        })
+        .then(({ data }) => data.map((comment) => ({ user: comment.user, at: comment.created_at }))),
+    );
+  }
+  if (item.pull_request) {
+    requests.push(
+      octokit
+        .request('GET /repos/{owner}/{repo}/pulls/{pull_number}/reviews', {
+          owner,
+          repo,
+          pull_number: item.number,
+          per_page: 10,
+        })
+        .then(({ data }) => data.map((review) => ({ user: review.user, at: review.submitted_at }))),
+    );
+  }
+
+  const responses = (await Promise.allSettled(requests))
+    .filter((result) => result.status === 'fulfilled')
+    .flatMap((result) => result.value)
+    .filter((event) => event.at && event.user?.login !== author && event.user?.type !== 'Bot')
+    .map((event) => event.at)
+    .sort();
+
+  return responses[0] || null;
+}
+
+async function listReleases(octokit, owner, repo) {
+  const { data } = await octokit.request('GET /repos/{owner}/{repo}/releases', {
+    owner,
+    repo,
+    per_page: MAX_RELEASES,
+  });
+
+  return data
+    .filter((release) => !release.draft)
+    .map((release) => ({ tag: release.tag_name, publishedAt: release.published_at }));
+}
+
+async function getFileHistory(client, owner, repo, sha, paths, { since }) {
+  // GraphQL answers many paths per request but requires a token; anonymous use falls back to REST.
+  if (client.authenticated) {
+    return getFileHistoryGraphql(client.octokit, owner, repo, sha, paths, since);
+  }
+  return getFileHistoryRest(client.octokit, owner, repo, sha, paths.slice(0, MAX_REST_HISTORY_PATHS), since);
+}
+
+async function getFileHistoryGraphql(octokit, owner, repo, sha, paths, since) {
+  const history = new Map();
+
+  for (let start = 0; start < paths.length; start += HISTORY_PATHS_PER_QUERY) {
+    const batch = paths.slice(start, start + HISTORY_PATHS_PER_QUERY);
+    const fields = batch
+      .map(
+        (path, index) => `f${index}: history(path: ${JSON.stringify(path)}, since: $since, first: ${HISTORY_COMMITS_PER_PATH}) {
+          totalCount
+          nodes { author { email user { login } } }
+        }`,
+      )
+      .join('\n');
+
+    const result = await octokit.graphql(
+      `query($owner: String!, $repo: String!, $sha: GitObjectID!, $since: GitTimestamp!) {
+        repository(owner: $owner, name: $repo) {
+          object(oid: $sha) { ... on Commit { ${fields} } }
+        }
+      }`,
+      { owner, repo, sha, since },
+    );
+
+    const commit = result.repository?.object || {};
+    batch.forEach((path, index) => {
+      const entry = commit[`f${index}`];
+      if (!entry) return;
+      history.set(path, {
+        commits: entry.totalCount,
+        authors: countAuthors(entry.nodes.map((node) => node.author?.user?.login || node.author?.email)),
+      });
+    });
+  }
+
+  return history;
+}
+
+async function getFileHistoryRest(octokit, owner, repo, sha, paths, since) {
+  const results = await Promise.allSettled(
+    paths.map(async (path) => {
+      const { data } = await octokit.request('GET /repos/{owner}/{repo}/commits', {
+        owner,
+        repo,
+        sha,
+        path,
+        since,
+        per_page: HISTORY_COMMITS_PER_PATH,
+      });
+      return [
+        path,
+        {
+          commits: data.length,
+          authors: countAuthors(data.map((commit) => commit.author?.login || commit.commit?.author?.email)),
+        },
+      ];
+    }),
+  );
+
+  return new Map(
+    results.filter((result) => result.status === 'fulfilled').map((result) => result.value),
+  );
+}
+
+function countAuthors(authors) {
+  return new Set(authors.filter(Boolean)).size;
+}
+
+function parseRefSegments(segments) {
+  const [kind, ...rest] = segments;
+  if (!kind || !rest.length) {
+    return null;
+  }
+
+  if (kind === 'pull' && /^\d+$/.test(rest[0])) {
+    return { type: 'pull', number: Number(rest[0]) };
+  }
+
+  if (kind === 'commit') {
+    return { type: 'commit', candidates: [rest[0]] };
+  }
+
+  if (kind === 'releases' && rest[0] === 'tag' && rest.length > 1) {
+    return { type: 'tag', candidates: [rest.slice(1).join('/')] };
+  }
+
+  if (kind === 'tree' || kind === 'blob') {
+    return { type: 'ref', candidates: buildRefCandidates(rest) };
+  }
+
+  return null;
+}
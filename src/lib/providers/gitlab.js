@@ -0,0 +1,155 @@
+import { buildRefCandidates, requestJson, requestStream, requestText } from './shared.js';
+
+const TREE_PAGE_SIZE = 100;
+const MAX_TREE_PAGES = 100;
+const MAX_DIRECTORY_PAGES = 10;
+
+export function createGitLabProvider(host) {
+  const apiBase = `${host.baseUrl}/api/v4`;
+  const headers = process.env.GITLAB_TOKEN ? { 'PRIVATE-TOKEN': process.env.GITLAB_TOKEN } : {};
+  const options = { headers, label: 'GitLab' };
+  const projectUrl = (owner, repo) => `${apiBase}/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+
+  return {
+    kind: 'gitlab',
+    label: 'GitLab',
+    usesHostToken: Boolean(process.env.GITLAB_TOKEN),
+    parseLocation,
+
+    async getRepository(owner, repo) {
+      const { data: project } = await requestJson(`${projectUrl(owner, repo)}?license=true`, options);
+      const languages = await requestJson(`${projectUrl(owner, repo)}/languages`, options)
+        .then((response) => response.data)
+        .catch(() => ({}));
+      const [primaryLanguage] = Object.entries(languages).sort((a, b) => b[1] - a[1])[0] || [];
+
+      return {
+        fullName: project.path_with_namespace,
+        description: project.description || '',
+        defaultBranch: project.default_branch,
+        stars: project.star_count ?? 0,
+        forks: project.forks_count ?? 0,
+        openIssues: project.open_issues_count ?? 0,
+        watchers: 0,
+        primaryLanguage: primaryLanguage || 'Unknown',
+        license: project.license?.nickname || project.license?.name || 'None',
+        visibility: project.visibility === 'public' ? 'public' : 'private',
+        updatedAt: project.updated_at || project.last_activity_at,
+        pushedAt: project.last_activity_at,
+      };
+    },
+
+    async resolveCommit(owner, repo, ref) {
+      const { data: commit } = await requestJson(
+        `${projectUrl(owner, repo)}/repository/commits/${encodeURIComponent(ref)}`,
+        options,
+      );
+      return commit.id;
+    },
+
+    async resolvePull(owner, repo, number) {
+      const { data: mergeRequest } = await requestJson(
+        `${projectUrl(owner, repo)}/merge_requests/${number}`,
+        options,
+      );
+      return { name: `!${number}`, sha: mergeRequest.sha };
+    },
+
+    async listTree(owner, repo, sha) {
+      const entries = [];
+      let page = 1;
+      let pages = 0;
+
+      while (page && pages < MAX_TREE_PAGES) {
+        const { data, headers: responseHeaders } = await requestJson(
+          `${projectUrl(owner, repo)}/repository/tree?recursive=true&ref=${sha}&per_page=${TREE_PAGE_SIZE}&page=${page}`,
+          options,
+        );
+
+        data
+          .filter((item) => item.type === 'blob')
+          .forEach((item) => entries.push({ path: item.path, size: null, sha: item.id }));
+        page = Number(responseHeaders.get('x-next-page')) || 0;
+        pages += 1;
+      }
+
+      return { entries, truncated: Boolean(page) };
+    },
+
+    async listDirectory(owner, repo, revisionSha, directory) {
+      const pathQuery = directory.path ? `&path=${encodeURIComponent(directory.path)}` : '';
+      const entries = [];
+      let page = 1;
+      let pages = 0;
+
+      while (page && pages < MAX_DIRECTORY_PAGES) {
+        const { data, headers: responseHeaders } = await requestJson(
+          `${projectUrl(owner, repo)}/repository/tree?ref=${revisionSha}${pathQuery}&per_page=${TREE_PAGE_SIZE}&page=${page}`,
+          options,
+        );
+
+        data
+          .filter((item) => item.type === 'blob' || item.type === 'tree')
+          .forEach((item) => entries.push({ path: item.path, type: item.type, size: null, sha: item.id }));
+        page = Number(responseHeaders.get('x-next-page')) || 0;
+        pages += 1;
+      }
+
+      return entries;
+    },
+
+    readFile(owner, repo, path, ref) {
+      return requestText(
+        `${projectUrl(owner, repo)}/repository/files/${encodeURIComponent(path)}/raw?ref=${ref}`,
+        options,
+      );
+    },
+
+    readBlob(owner, repo, sha) {
+      return requestText(`${projectUrl(owner, repo)}/repository/blobs/${sha}/raw`, options);
+    },
+
+    openArchive(owner, repo, sha) {
+      return requestStream(`${projectUrl(owner, repo)}/repository/archive.tar.gz?sha=${sha}`, options);
+    },
+  };
+}
+
+function parseLocation(segments) {
+  const separator = segments.indexOf('-');
+  const projectPath = separator >= 0 ? segments.slice(0, separator) : segments;
+  if (projectPath.length < 2) {
+    return null;
+  }
+
+  return {
+    owner: projectPath.slice(0, -1).join('/'),
+    repo: projectPath[projectPath.length - 1],
+    ref: separator >= 0 ? parseRefSegments(segments.slice(separator + 1)) : null,
+  };
+}
+
+function parseRefSegments(segments) {
+  const [kind, ...rest] = segments;
+  if (!kind || !rest.length) {
+    return null;
+  }
+
+  if (kind === 'merge_requests' && /^\d+$/.test(rest[0])) {
+    return { type: 'pull', number: Number(rest[0]) };
+  }
+
+  if (kind === 'commit') {
+    return { type: 'commit', candidates: [rest[0]] };
+  }
+
+  if (kind === 'tags') {
+    return { type: 'tag', candidates: [rest.join('/')] };
+  }
+
+  if (kind === 'tree' || kind === 'blob') {
+    return { type: 'ref', candidates: buildRefCandidates(rest) };
+  }
+
+  return null;
+}
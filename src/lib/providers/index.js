@@ -0,0 +1,77 @@
+import { createBitbucketProvider } from './bitbucket.js';
+import { createGiteaProvider } from './gitea.js';
+import { createGitHubProvider } from './github.js';
+import { createGitLabProvider } from './gitlab.js';
+import { encodePath } from './shared.js';
+
+const PROVIDER_FACTORIES = {
+  github: createGitHubProvider,
+  gitlab: createGitLabProvider,
+  gitea: createGiteaProvider,
+  bitbucket: createBitbucketProvider,
+};
+
+const HOSTED_SERVICES = [
+  { kind: 'github', baseUrl: 'https://github.com' },
+  { kind: 'gitlab', baseUrl: 'https://gitlab.com' },
+  { kind: 'bitbucket', baseUrl: 'https://bitbucket.org' },
+  { kind: 'gitea', baseUrl: 'https://gitea.com' },
+  { kind: 'gitea', baseUrl: 'https://codeberg.org' },
+];
+
+// Web links to a line range of a file at a fixed commit, by provider kind.
+const LINE_URL_FORMATS = {
+  github: (base, sha, path, start, end) => `${base}/blob/${sha}/${path}#L${start}${end > start ? `-L${end}` : ''}`,
+  gitlab: (base, sha, path, start, end) => `${base}/-/blob/${sha}/${path}#L${start}${end > start ? `-${end}` : ''}`,
+  gitea: (base, sha, path, start, end) => `${base}/src/commit/${sha}/${path}#L${start}${end > start ? `-L${end}` : ''}`,
+  bitbucket: (base, sha, path, start, end) => `${base}/src/${sha}/${path}#lines-${start}${end > start ? `:${end}` : ''}`,
+};
+
+export const DEFAULT_HOST = HOSTED_SERVICES[0];
+
+export function resolveHost(url) {
+  const hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+  const pathname = `${url.pathname.replace(/\/+$/, '')}/`;
+
+  for (const host of [...readSelfHostedHosts(), ...HOSTED_SERVICES]) {
+    const base = new URL(host.baseUrl);
+    const basePath = `${base.pathname.replace(/\/+$/, '')}/`;
+    if (base.hostname.toLowerCase() === hostname && pathname.startsWith(basePath)) {
+      return { ...host, pathPrefix: basePath.slice(0, -1) };
+    }
+  }
+
+  return null;
+}
+
+export function createProvider(host, credentials = {}) {
+  return PROVIDER_FACTORIES[host.kind](host, credentials);
+}
+
+export function buildLineUrl(project, path, startLine, endLine = startLine) {
+  const format = LINE_URL_FORMATS[project?.source];
+  if (!format || !project.url || !project.commitSha) return null;
+  return format(project.url, project.commitSha, encodePath(path), startLine, endLine);
+}
+
+function readSelfHostedHosts() {
+  return [
+    ...parseBaseUrls(process.env.GITLAB_BASE_URLS).map((baseUrl) => ({ kind: 'gitlab', baseUrl })),
+    ...parseBaseUrls(process.env.GITEA_BASE_URLS).map((baseUrl) => ({ kind: 'gitea', baseUrl })),
+  ];
+}
+
+function parseBaseUrls(raw) {
+  if (!raw) return [];
+
+  return raw
+    .split(',')
+    .map((value) => value.trim().replace(/\/+$/, ''))
+    .filter((value) => {
+      try {
+        return Boolean(new URL(value));
+      } catch {
+        return false;
+      }
+    });
+}
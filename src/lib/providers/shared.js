@@ -0,0 +1,92 @@
+export async function requestJson(url, { headers = {}, label = 'Repository host' } = {}) {
+  const response = await fetch(url, {
+    headers: {
+      Accept: 'application/json',
+      ...headers,
+    },
+  });
+
+  if (!response.ok) {
+    throw await buildRequestError(response, label);
+  }
+
+  return { data: await response.json(), headers: response.headers };
+}
+
+export async function requestText(url, { headers = {}, label = 'Repository host' } = {}) {
+  const response = await fetch(url, { headers });
+
+  if (!response.ok) {
+    throw await buildRequestError(response, label);
+  }
+
+  return response.text();
+}
+
+export async function requestStream(url, { headers = {}, label = 'Repository host' } = {}) {
+  const response = await fetch(url, { headers });
+
+  if (!response.ok || !response.body) {
+    throw await buildRequestError(response, label);
+  }
+
+  return response.body;
+}
+
+export function buildRefCandidates(segments) {
+  // Branch names may contain slashes, so try the longest prefix first.
+  return segments.map((_, index) => segments.slice(0, segments.length - index).join('/'));
+}
+
+export function encodePath(path) {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
+
+export function readRateLimit(headers) {
+  const read = (name) =>
+    (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]) ?? null;
+  const toNumber = (value) => (value === null || value === '' ? null : Number(value));
+
+  // GitHub and Gitea send X-RateLimit-*; GitLab sends the unprefixed RateLimit-* variants.
+  const limit = toNumber(read('x-ratelimit-limit') ?? read('ratelimit-limit'));
+  const remaining = toNumber(read('x-ratelimit-remaining') ?? read('ratelimit-remaining'));
+  const reset = toNumber(read('x-ratelimit-reset') ?? read('ratelimit-reset'));
+  const retryAfterSeconds = toNumber(read('retry-after'));
+
+  let resetAt = null;
+  if (Number.isFinite(reset)) {
+    resetAt = new Date(reset * 1000).toISOString();
+  } else if (Number.isFinite(retryAfterSeconds)) {
+    resetAt = new Date(Date.now() + retryAfterSeconds * 1000).toISOString();
+  }
+
+  return {
+    resource: read('x-ratelimit-resource'),
+    limit,
+    remaining,
+    resetAt,
+    retryAfterSeconds,
+  };
+}
+
+export function isRateLimitError(error) {
+  return Boolean(error?.rateLimit);
+}
+
+async function buildRequestError(response, label) {
+  const body = await response.text().catch(() => '');
+  let message = `${label} request failed (${response.status}): ${body.slice(0, 200)}`;
+
+  if (response.status === 404) {
+    message = `${label} resource was not found.`;
+  } else if (response.status === 429) {
+    message = `${label} API rate limit exceeded. Try again later.`;
+  }
+
+  const error = new Error(message);
+  error.status = response.status;
+  if (response.status === 429) {
+    error.rateLimit = readRateLimit(response.headers);
+  }
+  return error;
+}
@@ -0,0 +1,261 @@
+import yaml from 'js-yaml';
+import { compileGitPattern, matchesGitPattern } from './glob.js';
+
+export const CONFIG_FILENAMES = ['.reposentinel.yml', '.reposentinel.yaml'];
+
+export const DEFAULT_CATEGORY_WEIGHTS = {
+  maintainability: 0.2,
+  reliability: 0.2,
+  security: 0.2,
+  documentation: 0.1,
+  architecture: 0.1,
+  activity: 0.1,
+  testing: 0.1,
+};
+
+const CONFIG_KEYS = ['include', 'exclude', 'rules', 'weights', 'sampling', 'licenses'];
+const SEVERITIES = ['Critical', 'High', 'Medium', 'Low'];
+const LICENSE_POLICY_KEYS = ['allow', 'deny', 'unknown', 'includeDev', 'overrides'];
+const UNKNOWN_LICENSE_MODES = ['allow', 'warn', 'deny'];
+const SAMPLING_KEYS = {
+  maxFiles: 'maxFiles',
+  maxFileSize: 'maxFileSize',
+  strategy: 'sampling',
+};
+
+function findConfigEntry(entries) {
+  return entries.find((entry) => CONFIG_FILENAMES.includes(entry.path)) || null;
+}
+
+export async function loadRepoConfig(entries, readText) {
+  const entry = findConfigEntry(entries);
+  if (!entry) {
+    return buildRepoConfig();
+  }
+
+  try {
+    return parseRepoConfig(await readText(entry), entry.path);
+  } catch (error) {
+    return buildRepoConfig({}, entry.path, [`Could not read ${entry.path}: ${error?.message}`]);
+  }
+}
+
+export function parseRepoConfig(text, source) {
+  let raw;
+  try {
+    raw = yaml.load(text) ?? {};
+  } catch (error) {
+    return buildRepoConfig({}, source, [`Could not parse ${source}: ${error.message}`]);
+  }
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return buildRepoConfig({}, source, [`${source} must contain a mapping at the top level.`]);
+  }
+
+  return buildRepoConfig(raw, source, []);
+}
+
+export function buildRepoConfig(raw = {}, source = null, warnings = []) {
+  const config = {
+    source,
+    include: readGlobList(raw.include, 'include', warnings),
+    exclude: readGlobList(raw.exclude, 'exclude', warnings),
+    rules: readRules(raw.rules, warnings),
+    weights: readWeights(raw.weights, warnings),
+    sampling: readSampling(raw.sampling, warnings),
+    licenses: readLicensePolicy(raw.licenses, warnings),
+    warnings,
+  };
+
+  Object.keys(raw)
+    .filter((key) => !CONFIG_KEYS.includes(key))
+    .forEach((key) => warnings.push(`Unknown config key "${key}" was ignored.`));
+
+  return config;
+}
+
+export function filterByConfigGlobs(entries, config) {
+  if (!config.include.length && !config.exclude.length) {
+    return { entries, excluded: [] };
+  }
+
+  const include = config.include.map((pattern) => compileGitPattern(pattern)).filter(Boolean);
+  const exclude = config.exclude.map((pattern) => compileGitPattern(pattern)).filter(Boolean);
+  const kept = [];
+  const excluded = [];
+
+  for (const entry of entries) {
+    const included = !include.length || include.some((rule) => matchesGitPattern(rule, entry.path));
+    const dropped = exclude.some((rule) => matchesGitPattern(rule, entry.path));
+
+    if (included && !dropped) {
+      kept.push(entry);
+    } else {
+      excluded.push({ path: entry.path, reason: 'config' });
+    }
+  }
+
+  return { entries: kept, excluded };
+}
+
+export function applyRuleSettings(issues, rules = {}) {
+  return issues
+    .filter((issue) => rules[issue.ruleId]?.enabled !== false)
+    .map((issue) => {
+      const severity = rules[issue.ruleId]?.severity;
+      return severity ? { ...issue, severity } : issue;
+    });
+}
+
+function readGlobList(value, key, warnings) {
+  if (value === undefined || value === null) return [];
+
+  const list = Array.isArray(value) ? value : [value];
+  const valid = list.filter((item) => typeof item === 'string' && item.trim());
+  if (valid.length !== list.length) {
+    warnings.push(`"${key}" must be a list of glob strings; non-string entries were ignored.`);
+  }
+
+  return valid.map((item) => item.trim());
+}
+
+function readRules(value, warnings) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    warnings.push('"rules" must map rule IDs to off, a severity, or { enabled, severity }.');
+    return {};
+  }
+
+  const rules = {};
+  for (const [ruleId, setting] of Object.entries(value)) {
+    if (setting === false || setting === 'off') {
+      rules[ruleId] = { enabled: false };
+      continue;
+    }
+
+    if (setting === true || setting === 'on') {
+      rules[ruleId] = { enabled: true };
+      continue;
+    }
+
+    const severity = normalizeSeverity(typeof setting === 'string' ? setting : setting?.severity);
+    const enabled = typeof setting === 'object' && setting?.enabled === false ? false : true;
+    if (!severity && enabled) {
+      warnings.push(`Rule "${ruleId}" has an unrecognized setting and was left at its default.`);
+      continue;
+    }
+
+    rules[ruleId] = severity ? { enabled, severity } : { enabled };
+  }
+
+  return rules;
+}
+
+function readWeights(value, warnings) {
+  if (value === undefined || value === null) return { ...DEFAULT_CATEGORY_WEIGHTS };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    warnings.push('"weights" must map category names to numbers.');
+    return { ...DEFAULT_CATEGORY_WEIGHTS };
+  }
+
+  const weights = { ...DEFAULT_CATEGORY_WEIGHTS };
+  for (const [category, weight] of Object.entries(value)) {
+    if (!(category in DEFAULT_CATEGORY_WEIGHTS)) {
+      warnings.push(`Unknown weight category "${category}" was ignored.`);
+      continue;
+    }
+    if (!Number.isFinite(weight) || weight < 0) {
+      warnings.push(`Weight for "${category}" must be a non-negative number.`);
+      continue;
+    }
+    weights[category] = weight;
+  }
+
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  if (!total) {
+    warnings.push('Category weights sum to zero; default weights were used.');
+    return { ...DEFAULT_CATEGORY_WEIGHTS };
+  }
+
+  return Object.fromEntries(
+    Object.entries(weights).map(([category, weight]) => [
+      category,
+      Number((weight / total).toFixed(4)),
+    ]),
+  );
+}
+
+function readSampling(value, warnings) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    warnings.push('"sampling" must be a mapping with maxFiles, maxFileSize or strategy.');
+    return {};
+  }
+
+  const sampling = {};
+  for (const [key, setting] of Object.entries(value)) {
+    if (!(key in SAMPLING_KEYS)) {
+      warnings.push(`Unknown sampling option "${key}" was ignored.`);
+      continue;
+    }
+    sampling[SAMPLING_KEYS[key]] = setting;
+  }
+
+  return sampling;
+}
+
+function readLicensePolicy(value, warnings) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    warnings.push('"licenses" must be a mapping with allow, deny, unknown, includeDev or overrides.');
+    return {};
+  }
+
+  const policy = {};
+  for (const key of ['allow', 'deny']) {
+    if (value[key] === undefined || value[key] === null) continue;
+    const list = Array.isArray(value[key]) ? value[key] : [value[key]];
+    policy[key] = list.filter((item) => typeof item === 'string' && item.trim()).map((item) => item.trim());
+    if (policy[key].length !== list.length) {
+      warnings.push(`"licenses.${key}" must be a list of SPDX IDs or license families.`);
+    }
+  }
+
+  if (value.unknown !== undefined) {
+    if (UNKNOWN_LICENSE_MODES.includes(value.unknown)) {
+      policy.unknown = value.unknown;
+    } else {
+      warnings.push(`"licenses.unknown" must be one of ${UNKNOWN_LICENSE_MODES.join(', ')}.`);
+    }
+  }
+
+  if (value.includeDev !== undefined) {
+    if (typeof value.includeDev === 'boolean') {
+      policy.includeDev = value.includeDev;
+    } else {
+      warnings.push('"licenses.includeDev" must be true or false.');
+    }
+  }
+
+  if (value.overrides !== undefined) {
+    const overrides = value.overrides && typeof value.overrides === 'object' ? value.overrides : {};
+    policy.overrides = Object.fromEntries(
+      Object.entries(overrides).filter(([, license]) => typeof license === 'string'),
+    );
+    if (Object.keys(policy.overrides).length !== Object.keys(value.overrides || {}).length) {
+      warnings.push('"licenses.overrides" must map package names to license expressions.');
+    }
+  }
+
+  Object.keys(value)
+    .filter((key) => !LICENSE_POLICY_KEYS.includes(key))
+    .forEach((key) => warnings.push(`Unknown license policy option "${key}" was ignored.`));
+
+  return policy;
+}
+
+function normalizeSeverity(value) {
+  if (typeof value !== 'string') return null;
+  const normalized = value.trim().toLowerCase();
+  return SEVERITIES.find((severity) => severity.toLowerCase() === normalized) || null;
+}
@@ -0,0 +1,402 @@
+import { activitySince, summarizeActivity } from './activityAnalyzer.js';
+import { extractTarGzStream } from './archive.js';
+import { checkCommunityStandards } from './communityAnalyzer.js';
+import { isDependencyManifest, planManifestReads } from './dependencyAnalyzer.js';
+import { filterExcludedEntries, filterGeneratedFiles, summarizeExclusions } from './exclusions.js';
+import {
+  DEFAULT_LIMITS,
+  buildCoverageReport,
+  resolveLimits,
+  sanitizeFileContent,
+  selectCandidates,
+} from './fileSelection.js';
+import { isIacFile, planIacReads } from './iacAnalyzer.js';
+import { DEFAULT_HOST, createProvider, resolveHost } from './providers/index.js';
+import { isRateLimitError } from './providers/shared.js';
+import { HISTORY_WINDOW_DAYS, attachHistory, historySince } from './hotspotAnalyzer.js';
+import { filterByConfigGlobs, loadRepoConfig } from './repoConfig.js';
+import { planEnvReads } from './secretScanner.js';
+import { planTestReads } from './testAnalyzer.js';
+import { recoverTruncatedTree } from './treeRecovery.js';
+import { isWorkflowFile, planWorkflowReads } from './workflowAnalyzer.js';
+
+const COMMIT_SHA_PATTERN = /^[0-9a-f]{7,40}$/i;
+
+const LOADER_STRATEGIES = ['archive', 'blobs', 'contents'];
+
+const STRATEGY_MAX_FILES = {
+  archive: 240,
+  blobs: 120,
+  contents: DEFAULT_LIMITS.maxFiles,
+};
+
+const PER_FILE_CONCURRENCY = 8;
+
+const EMPTY_INPUT = { owner: null, repo: null, normalized: null, ref: null, host: null };
+
+export function parseRepoInput(input) {
+  if (typeof input !== 'string') {
+    return EMPTY_INPUT;
+  }
+
+  const value = input.trim().replace(/\/+$/, '');
+  if (!value) {
+    return EMPTY_INPUT;
+  }
+
+  const shortMatch = value.match(/^([\w.-]+)\/([\w.-]+)$/);
+  if (shortMatch) {
+    const owner = shortMatch[1];
+    const repo = normalizeRepoName(shortMatch[2]);
+    return {
+      owner,
+      repo,
+      normalized: `${DEFAULT_HOST.baseUrl}/${owner}/${repo}`,
+      ref: null,
+      host: DEFAULT_HOST,
+    };
+  }
+
+  try {
+    const parsed = new URL(value);
+    const host = resolveHost(parsed);
+    if (!host) {
+      return EMPTY_INPUT;
+    }
+
+    const segments = parsed.pathname
+      .slice(host.pathPrefix.length)
+      .split('/')
+      .filter(Boolean)
+      .map(decodeURIComponent);
+    const location = createProvider(host).parseLocation(segments);
+    if (!location) {
+      return EMPTY_INPUT;
+    }
+
+    const repo = normalizeRepoName(location.repo);
+    return {
+      owner: location.owner,
+      repo,
+      normalized: `${host.baseUrl}/${location.owner}/${repo}`,
+      ref: location.ref,
+      host,
+    };
+  } catch {
+    return EMPTY_INPUT;
+  }
+}
+
+export async function fetchRepoSnapshot(repoInput, options = {}) {
+  const { owner, repo, normalized, ref: urlRef, host } = parseRepoInput(repoInput);
+  if (!owner || !repo) {
+    throw new Error(
+      'Enter a valid repository URL (GitHub, GitLab, Gitea or Bitbucket) or owner/repo string.',
+    );
+  }
+
+  const startedAt = performance.now();
+  const provider = createProvider(host, { token: options.auth?.token });
+  const strategy = resolveStrategy(provider, options.strategy);
+  const requestedRef = options.ref
+    ? { type: COMMIT_SHA_PATTERN.test(options.ref) ? 'commit' : 'ref', candidates: [options.ref] }
+    : urlRef;
+
+  const repository = await provider.getRepository(owner, repo);
+  // GITHUB_TOKEN only raises the public rate limit, so private GitHub repositories need the viewer's own sign-in.
+  // Other hosts have no sign-in; configuring a token for one is the operator's opt-in to its private repositories.
+  const mayReadPrivate = provider.supportsUserAuth ? Boolean(options.auth?.token) : Boolean(provider.usesHostToken);
+  if (repository.visibility !== 'public' && !mayReadPrivate) {
+    throw new Error(
+      provider.supportsUserAuth
+        ? `Repository ${owner}/${repo} is not public. Sign in with ${provider.label} to analyze it.`
+        : `Repository ${owner}/${repo} is not public. Configure a ${provider.label} token on the server to analyze it.`,
+    );
+  }
+  // Activity comes from separate endpoints, so it is fetched while files load and never fails the run.
+  const activityRequest = provider.getActivity
+    ? provider.getActivity(owner, repo, { since: activitySince() }).then(
+        (raw) => ({ raw, error: null }),
+        (error) => ({ raw: null, error }),
+      )
+    : Promise.resolve({ raw: null, error: null });
+  const defaultBranch = repository.defaultBranch;
+  const revision = await resolveRevision(provider, owner, repo, requestedRef || {
+    type: 'branch',
+    candidates: [defaultBranch],
+  });
+  const metadataDoneAt = performance.now();
+
+  const tree = await provider.listTree(owner, repo, revision.sha);
+  let blobs = tree.entries;
+  let treeRecovery = null;
+
+  if (tree.truncated && provider.listDirectory) {
+    const recovered = await recoverTruncatedTree({
+      provider,
+      owner,
+      repo,
+      sha: revision.sha,
+      partialEntries: blobs,
+    });
+    blobs = recovered.entries;
+    treeRecovery = recovered.recovery;
+  }
+
+  const readText = (entry) => provider.readFile(owner, repo, entry.path, revision.sha);
+  const config = await loadRepoConfig(blobs, readText);
+  const requestedLimits = { ...config.sampling, ...options.limits };
+  let limits = resolveLimits(requestedLimits, {
+    ...DEFAULT_LIMITS,
+    maxFiles: STRATEGY_MAX_FILES[strategy],
+  });
+
+  const exclusion = await filterExcludedEntries(blobs, { readText, limits });
+  const scoped = filterByConfigGlobs(exclusion.entries, config);
+  // Dependency manifests and CI workflows are analyzed on their own instead of competing for source samples.
+  const sourceEntries = scoped.entries.filter(
+    (entry) => !isDependencyManifest(entry.path) && !isWorkflowFile(entry.path) && !isIacFile(entry.path),
+  );
+  let candidates = selectCandidates(sourceEntries, limits);
+  const treeDoneAt = performance.now();
+
+  const context = { provider, owner, repo, sha: revision.sha, limits };
+  const dependencyManifests = await loadPlannedFiles(context, planManifestReads(blobs));
+  const workflows = await loadPlannedFiles(context, planWorkflowReads(blobs));
+  const testFiles = await loadPlannedFiles(context, planTestReads(scoped.entries));
+  const iacFiles = await loadPlannedFiles(context, planIacReads(scoped.entries));
+  const envFiles = await loadPlannedFiles(context, planEnvReads(scoped.entries));
+  let loader = { strategy, fallbackFrom: null, fallbackReason: null };
+  let loaded;
+
+  try {
+    loaded = await loadContents(strategy, context, candidates);
+  } catch (error) {
+    // Falling back would only spend more requests against an exhausted quota.
+    if (strategy === 'contents' || isRateLimitError(error)) {
+      throw error;
+    }
+
+    const fallback = strategy === 'archive' && provider.readBlob ? 'blobs' : 'contents';
+    if (requestedLimits.maxFiles === undefined) {
+      limits = { ...limits, maxFiles: STRATEGY_MAX_FILES[fallback] };
+    }
+    candidates = candidates.slice(0, limits.maxFiles);
+    loader = { strategy: fallback, fallbackFrom: strategy, fallbackReason: error?.message || null };
+    loaded = await loadContents(fallback, context, candidates);
+  }
+  const contentDoneAt = performance.now();
+
+  const generated = filterGeneratedFiles(loaded.filter((file) => file.content.trim().length > 0));
+
+  if (!generated.files.length) {
+    throw new Error('No analyzable source files found in this repository.');
+  }
+
+  const history = await loadFileHistory(context, generated.files);
+  const files = history.files;
+  const activity = await activityRequest;
+  const historyDoneAt = performance.now();
+
+  return {
+    project: {
+      owner,
+      repo,
+      fullName: repository.fullName,
+      description: repository.description,
+      defaultBranch,
+      ref: revision.name,
+      refType: revision.type,
+      commitSha: revision.sha,
+      stars: repository.stars,
+      forks: repository.forks,
+      openIssues: repository.openIssues,
+      watchers: repository.watchers,
+      primaryLanguage: repository.primaryLanguage,
+      license: repository.license,
+      visibility: repository.visibility,
+      url: normalized,
+      updatedAt: repository.updatedAt,
+      pushedAt: repository.pushedAt,
+      source: provider.kind,
+    },
+    files,
+    dependencyManifests,
+    workflows,
+    community: checkCommunityStandards(blobs.map((entry) => entry.path)),
+    paths: scoped.entries.map((entry) => entry.path),
+    testFiles,
+    iacFiles,
+    envFiles,
+    config,
+    activity: activity.raw ? summarizeActivity({ ...activity.raw, pushedAt: repository.pushedAt }) : null,
+    rateLimit: provider.getRateLimit?.() ?? null,
+    stats: {
+      totalFilesInTree: blobs.length,
+      candidateFiles: candidates.length,
+      loadedFiles: files.length,
+      maxFiles: limits.maxFiles,
+      maxFileSize: limits.maxFileSize,
+      samplingStrategy: limits.sampling,
+      coverage: buildCoverageReport(sourceEntries, files, limits),
+      exclusions: summarizeExclusions(
+        [...exclusion.excluded, ...scoped.excluded, ...generated.excluded],
+        exclusion.manifests,
+      ),
+      treeTruncated: Boolean(tree.truncated),
+      treeRecovery,
+      strategy: loader.strategy,
+      fallbackFrom: loader.fallbackFrom,
+      fallbackReason: loader.fallbackReason,
+      activityError: activity.error?.message || null,
+      history: {
+        windowDays: HISTORY_WINDOW_DAYS,
+        files: files.filter((file) => file.history).length,
+        error: history.error?.message || null,
+      },
+      timings: {
+        metadataMs: Math.round(metadataDoneAt - startedAt),
+        treeMs: Math.round(treeDoneAt - metadataDoneAt),
+        contentMs: Math.round(contentDoneAt - treeDoneAt),
+        historyMs: Math.round(historyDoneAt - contentDoneAt),
+        totalMs: Math.round(historyDoneAt - startedAt),
+      },
+    },
+  };
+}
+
+function resolveStrategy(provider, requested) {
+  const normalized = typeof requested === 'string' ? requested.toLowerCase().trim() : 'auto';
+  const supported = LOADER_STRATEGIES.filter((strategy) => {
+    if (strategy === 'archive') return Boolean(provider.openArchive);
+    if (strategy === 'blobs') return Boolean(provider.readBlob);
+    return true;
+  });
+
+  return supported.includes(normalized) ? normalized : supported[0];
+}
+
+async function loadContents(strategy, context, candidates) {
+  const { provider, owner, repo, sha, limits } = context;
+
+  if (strategy === 'archive') {
+    const wanted = new Set(candidates.map((file) => file.path));
+    const archive = await provider.openArchive(owner, repo, sha);
+    const extracted = await extractTarGzStream(archive, wanted);
+
+    return candidates
+      .filter((file) => extracted.has(file.path))
+      .map((file) => toSnapshotFile(file.path, extracted.get(file.path).toString('utf8'), limits))
+      .filter(Boolean);
+  }
+
+  const settled = await mapWithConcurrency(candidates, PER_FILE_CONCURRENCY, async (file) => {
+    const content =
+      strategy === 'blobs' && file.sha
+        ? await provider.readBlob(owner, repo, file.sha)
+        : await provider.readFile(owner, repo, file.path, sha);
+    return toSnapshotFile(file.path, content, limits);
+  });
+
+  const rateLimited = settled.find(
+    (result) => result.status === 'rejected' && isRateLimitError(result.reason),
+  );
+  if (rateLimited && !settled.some((result) => result.status === 'fulfilled')) {
+    throw rateLimited.reason;
+  }
+
+  return settled
+    .filter((result) => result.status === 'fulfilled' && result.value)
+    .map((result) => result.value);
+}
+
+async function loadPlannedFiles({ provider, owner, repo, sha }, plan) {
+  const settled = await mapWithConcurrency(plan, PER_FILE_CONCURRENCY, async ({ entry, read }) => {
+    if (!read) return null;
+    return entry.sha && provider.readBlob
+      ? provider.readBlob(owner, repo, entry.sha)
+      : provider.readFile(owner, repo, entry.path, sha);
+  });
+
+  return plan.map(({ entry }, index) => ({
+    path: entry.path,
+    content: settled[index].status === 'fulfilled' ? settled[index].value : null,
+  }));
+}
+
+async function loadFileHistory({ provider, owner, repo, sha }, files) {
+  if (!provider.getFileHistory) {
+    return { files, error: null };
+  }
+
+  try {
+    const history = await provider.getFileHistory(
+      owner,
+      repo,
+      sha,
+      files.map((file) => file.path),
+      { since: historySince() },
+    );
+    return { files: attachHistory(files, history), error: null };
+  } catch (error) {
+    return { files, error };
+  }
+}
+
+function toSnapshotFile(path, content, limits) {
+  if (Buffer.byteLength(content) > limits.maxFileSize) {
+    return null;
+  }
+  return { path, content: sanitizeFileContent(content) };
+}
+
+async function mapWithConcurrency(items, concurrency, task) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      try {
+        results[index] = { status: 'fulfilled', value: await task(items[index]) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+async function resolveRevision(provider, owner, repo, ref) {
+  if (ref.type === 'pull') {
+    try {
+      const pull = await provider.resolvePull(owner, repo, ref.number);
+      return { type: 'pull', name: pull.name, sha: pull.sha };
+    } catch (error) {
+      if (error?.status === 404) {
+        throw new Error(`Pull request ${ref.number} was not found in ${owner}/${repo}.`);
+      }
+      throw error;
+    }
+  }
+
+  for (const candidate of ref.candidates) {
+    try {
+      const sha = await provider.resolveCommit(owner, repo, candidate);
+      return { type: ref.type, name: candidate, sha };
+    } catch (error) {
+      if (error?.status !== 404 && error?.status !== 422) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error(`Ref "${ref.candidates[0]}" was not found in ${owner}/${repo}.`);
+}
+
+function normalizeRepoName(repo) {
+  return repo.endsWith('.git') ? repo.slice(0, -4) : repo;
+}
@@ -1,8 +1,13 @@
+import { loadAdvisoryDb } from './advisoryDb.js';
 import { enrichReportWithAI } from './aiEnhancer.js';
+import { listManifestEcosystems } from './dependencyAnalyzer.js';
 import { buildLocalReport } from './localAnalyzer.js';
+import { loadRuleRegistry } from './ruleRegistry.js';
 
 export async function buildRepositoryReport(snapshot) {
-  const localReport = buildLocalReport(snapshot);
+  const advisories = await loadAdvisoryDb(listManifestEcosystems(snapshot.dependencyManifests));
+  const rules = await loadRuleRegistry();
+  const localReport = buildLocalReport(snapshot, { advisories, rules });
   const enhancedReport = await enrichReportWithAI(snapshot, localReport);
 
   return {
@@ -0,0 +1,36 @@
+import { randomUUID } from 'node:crypto';
+
+const MAX_STORED_REPORTS = 200;
+
+// Reports live in server memory only; they disappear on restart or once evicted.
+const reports = new Map();
+
+export function saveReport(report, viewer) {
+  const shared = report.project?.visibility === 'public';
+  if (!shared && !viewer) {
+    // Nobody could open a non-public report saved without an owner, so it is not kept.
+    return null;
+  }
+
+  const id = randomUUID();
+  reports.set(id, { report, ownerId: viewer?.id ?? null, shared });
+
+  if (reports.size > MAX_STORED_REPORTS) {
+    reports.delete(reports.keys().next().value);
+  }
+
+  return { id, shared };
+}
+
+export function getReport(id, viewer) {
+  const entry = reports.get(id);
+  if (!entry || !canViewReport(entry, viewer)) {
+    return null;
+  }
+
+  return { ...entry.report, reportId: id, shared: entry.shared };
+}
+
+function canViewReport(entry, viewer) {
+  return entry.shared || (Boolean(viewer) && viewer.id === entry.ownerId);
+}
@@ -0,0 +1,182 @@
+import { readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import yaml from 'js-yaml';
+import corePack from './rules/core.js';
+import secretsPack from './rules/secrets.js';
+import { SOURCE_LANGUAGES, SOURCE_SCOPES } from './sourceTokenizer.js';
+
+const PACK_FILE_PATTERN = /\.(json|ya?ml|js|mjs)$/i;
+const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const SEVERITIES = ['Critical', 'High', 'Medium', 'Low'];
+const ISSUE_TYPES = ['security', 'reliability', 'quality', 'documentation'];
+// `text` selects files without a tokenizer, such as Markdown, JSON and YAML.
+const RULE_LANGUAGES = [...SOURCE_LANGUAGES, 'text'];
+const DEFAULT_SCOPES = ['code'];
+
+const BUILT_IN_PACKS = [corePack, secretsPack].map((pack) => ({ pack, source: 'built-in' }));
+
+export const BUILT_IN_RULES = createRuleRegistry(BUILT_IN_PACKS);
+
+// Packs are read once per server process; restart the server to pick up changed rule files.
+let registryPromise = null;
+
+export function getRulesDir() {
+  return path.resolve(process.env.RULES_DIR || path.join(process.cwd(), 'rules'));
+}
+
+export function loadRuleRegistry() {
+  registryPromise ||= readRegistry();
+  return registryPromise;
+}
+
+export function createRuleRegistry(packs) {
+  const rules = [];
+  const summaries = [];
+  const warnings = [];
+  const ids = new Set();
+
+  for (const { pack, source } of packs) {
+    if (!pack || typeof pack !== 'object' || typeof pack.name !== 'string' || !Array.isArray(pack.rules)) {
+      warnings.push(`${source}: a rule pack needs a "name" and a "rules" list.`);
+      continue;
+    }
+    if (typeof pack.version !== 'string' && typeof pack.version !== 'number') {
+      warnings.push(`${source}: rule pack "${pack.name}" has no "version".`);
+      continue;
+    }
+
+    let loaded = 0;
+    for (const definition of pack.rules) {
+      const rule = compileRule(definition, pack.name, source, warnings);
+      if (!rule) continue;
+      if (ids.has(rule.id)) {
+        warnings.push(`${source}: rule "${rule.id}" is already defined by an earlier pack and was skipped.`);
+        continue;
+      }
+      ids.add(rule.id);
+      rules.push(rule);
+      loaded += 1;
+    }
+    summaries.push({ name: pack.name, version: String(pack.version), source, rules: loaded });
+  }
+
+  return { rules, packs: summaries, warnings };
+}
+
+async function readRegistry() {
+  const directory = getRulesDir();
+  const packs = [...BUILT_IN_PACKS];
+  const warnings = [];
+
+  let names = [];
+  try {
+    names = (await readdir(directory)).filter((name) => PACK_FILE_PATTERN.test(name)).sort();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      warnings.push(`Rules directory ${directory} could not be read: ${error.message}`);
+    }
+  }
+
+  for (const name of names) {
+    try {
+      packs.push({ pack: await readPack(path.join(directory, name)), source: name });
+    } catch (error) {
+      warnings.push(`${name}: ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  const registry = createRuleRegistry(packs);
+  return { ...registry, warnings: [...warnings, ...registry.warnings] };
+}
+
+async function readPack(file) {
+  if (/\.m?js$/i.test(file)) {
+    // Rule modules are loaded at runtime from outside the app, so the bundler must leave the import alone.
+    const loaded = await import(/* webpackIgnore: true */ /* turbopackIgnore: true */ pathToFileURL(file).href);
+    return loaded.default ?? loaded;
+  }
+
+  const text = await readFile(file, 'utf8');
+  return /\.json$/i.test(file) ? JSON.parse(text) : yaml.load(text);
+}
+
+function compileRule(definition, packName, source, warnings) {
+  const id = definition?.id;
+  if (typeof id !== 'string' || !RULE_ID_PATTERN.test(id)) {
+    warnings.push(`${source}: rule IDs must be lowercase words joined by dashes; "${id}" was skipped.`);
+    return null;
+  }
+
+  const reject = (message) => {
+    warnings.push(`${source}: rule "${id}" ${message} and was skipped.`);
+    return null;
+  };
+
+  const severity = SEVERITIES.find((value) => value.toLowerCase() === String(definition.severity).toLowerCase());
+  if (!severity) return reject(`needs a severity of ${SEVERITIES.join(', ')}`);
+  if (!ISSUE_TYPES.includes(definition.type)) return reject(`needs a type of ${ISSUE_TYPES.join(', ')}`);
+  if (typeof definition.title !== 'string' || !definition.title.trim()) return reject('needs a title');
+
+  const scopes = definition.scopes ?? DEFAULT_SCOPES;
+  if (!Array.isArray(scopes) || !scopes.length || scopes.some((scope) => !SOURCE_SCOPES.includes(scope))) {
+    return reject(`has scopes outside ${SOURCE_SCOPES.join(', ')}`);
+  }
+
+  const languages = definition.languages ?? null;
+  if (
+    languages !== null &&
+    (!Array.isArray(languages) || !languages.length || languages.some((language) => !RULE_LANGUAGES.includes(language)))
+  ) {
+    return reject(`has languages outside ${RULE_LANGUAGES.join(', ')}`);
+  }
+
+  const match = compileMatcher(definition, scopes, reject);
+  if (!match) return null;
+
+  return {
+    id,
+    pack: packName,
+    title: definition.title.trim(),
+    description: typeof definition.description === 'string' ? definition.description.trim() : '',
+    recommendation: typeof definition.recommendation === 'string' ? definition.recommendation.trim() : null,
+    severity,
+    type: definition.type,
+    languages,
+    match,
+  };
+}
+
+function compileMatcher(definition, scopes, reject) {
+  if (typeof definition.match === 'function') {
+    // Custom matchers see the same scoped source as patterns and return { index, length } ranges.
+    return (file) => {
+      try {
+        const ranges = definition.match({ path: file.path, language: file.language, source: file.select(scopes) });
+        return Array.isArray(ranges)
+          ? ranges.filter((range) => Number.isInteger(range?.index) && Number.isInteger(range?.length) && range.length > 0)
+          : [];
+      } catch {
+        return [];
+      }
+    };
+  }
+
+  const pattern = definition.pattern;
+  if (typeof pattern !== 'string' && !(pattern instanceof RegExp)) {
+    return reject('needs a pattern or a match function');
+  }
+
+  let regex;
+  try {
+    const flags = `${pattern instanceof RegExp ? pattern.flags : definition.flags || ''}`.replace(/[gy]/g, '');
+    regex = new RegExp(pattern instanceof RegExp ? pattern.source : pattern, `${flags}g`);
+  } catch (error) {
+    return reject(`has an invalid pattern (${error.message})`);
+  }
+
+  return (file) =>
+    [...file.select(scopes).matchAll(regex)]
+      .filter((match) => match[0].length > 0)
+      .map((match) => ({ index: match.index, length: match[0].length }));
+}
@@ -0,0 +1,63 @@
+// Built-in source rules. External packs in the rules directory use the same shape; see ruleRegistry.js.
+const corePack = {
+  name: 'core',
+  version: '2.0.0',
+  rules: [
+    {
+      id: 'dynamic-eval',
+      pattern: /\beval\s*\(/g,
+      scopes: ['code'],
+      severity: 'Critical',
+      title: 'Dynamic code execution detected',
+      description:
+        'Using eval can execute untrusted input and creates severe security risk.',
+      recommendation: 'Remove eval and replace it with explicit parsing or whitelisted handlers.',
+      type: 'security',
+    },
+    {
+      id: 'unsafe-html',
+      pattern: /\b(innerHTML|dangerouslySetInnerHTML)\b/g,
+      scopes: ['code'],
+      severity: 'High',
+      title: 'Unsafe HTML injection surface',
+      description:
+        'Direct HTML injection can expose cross-site scripting vulnerabilities if input is not sanitized.',
+      recommendation: 'Use safe rendering patterns and sanitize user-sourced content.',
+      type: 'security',
+    },
+    {
+      id: 'debug-residue',
+      pattern: /\b(console\.log|print\()|TODO|FIXME/gi,
+      scopes: ['code', 'comment'],
+      severity: 'Low',
+      title: 'Debug residue found',
+      description: 'Debug statements and TODO markers indicate unfinished cleanup.',
+      recommendation: 'Remove debug traces and convert TODOs into tracked issues.',
+      type: 'quality',
+    },
+    {
+      id: 'loose-typing',
+      pattern: /\bany\b/g,
+      languages: ['javascript'],
+      scopes: ['code'],
+      severity: 'Medium',
+      title: 'Loose typing hotspots',
+      description: 'Frequent use of any reduces type safety and increases runtime defect risk.',
+      recommendation: 'Replace any with stricter, explicit types for critical flows.',
+      type: 'reliability',
+    },
+    {
+      id: 'silent-catch',
+      pattern: /\btry\s*{[\s\S]{0,200}catch\s*\(\w*\)\s*{\s*}/g,
+      scopes: ['code', 'comment'],
+      severity: 'Medium',
+      title: 'Silent exception handling',
+      description:
+        'Empty catch blocks suppress failures and make incidents hard to debug.',
+      recommendation: 'Log context, propagate recoverable errors, and return actionable failure states.',
+      type: 'reliability',
+    },
+  ],
+};
+
+export default corePack;
@@ -0,0 +1,86 @@
+// Built-in secret detectors. They read whole files, comments included, and leave test fixtures alone.
+import { findSecrets, isTestFixture } from '../secretScanner.js';
+
+const ROTATE = 'Revoke or rotate it now, load it from a secret manager or environment variable, and purge it from git history.';
+
+function secretRule(detector, rule) {
+  return {
+    ...rule,
+    scopes: ['code', 'comment', 'string', 'text'],
+    type: 'security',
+    match: ({ path, source }) =>
+      isTestFixture(path) ? [] : findSecrets(source).filter((secret) => secret.detector === detector),
+  };
+}
+
+const secretsPack = {
+  name: 'secrets',
+  version: '1.0.0',
+  rules: [
+    secretRule('aws-access-key', {
+      id: 'secret-aws-access-key',
+      severity: 'Critical',
+      title: 'AWS access key ID committed',
+      description: 'An AWS access key ID is in the repository; paired with its secret it grants API access to the account.',
+      recommendation: `Deactivate the key in IAM. ${ROTATE}`,
+    }),
+    secretRule('aws-secret-key', {
+      id: 'secret-aws-secret-key',
+      severity: 'Critical',
+      title: 'AWS secret access key committed',
+      description: 'An AWS secret access key is in the repository.',
+      recommendation: `Deactivate the key pair in IAM. ${ROTATE}`,
+    }),
+    secretRule('github-token', {
+      id: 'secret-github-token',
+      severity: 'Critical',
+      title: 'GitHub token committed',
+      description: 'A GitHub personal access, OAuth or app token is in the repository.',
+      recommendation: `Revoke the token in GitHub settings. ${ROTATE}`,
+    }),
+    secretRule('slack-token', {
+      id: 'secret-slack-token',
+      severity: 'High',
+      title: 'Slack token or webhook committed',
+      description: 'A Slack API token or incoming webhook URL is in the repository and lets anyone post to the workspace.',
+      recommendation: `Regenerate the token or webhook in the Slack app settings. ${ROTATE}`,
+    }),
+    secretRule('stripe-key', {
+      id: 'secret-stripe-key',
+      severity: 'Critical',
+      title: 'Stripe secret key committed',
+      description: 'A Stripe secret or restricted key is in the repository.',
+      recommendation: `Roll the key in the Stripe dashboard. ${ROTATE}`,
+    }),
+    secretRule('private-key', {
+      id: 'secret-private-key',
+      severity: 'Critical',
+      title: 'Private key committed',
+      description: 'A PEM private key block is in the repository.',
+      recommendation: `Replace the key pair and revoke any certificates issued for it. ${ROTATE}`,
+    }),
+    secretRule('jwt', {
+      id: 'secret-jwt',
+      severity: 'High',
+      title: 'JSON Web Token committed',
+      description: 'A signed JWT is in the repository and may still be accepted as a bearer credential.',
+      recommendation: `Invalidate the token or rotate its signing key. ${ROTATE}`,
+    }),
+    secretRule('connection-string', {
+      id: 'secret-connection-string',
+      severity: 'Critical',
+      title: 'Database connection string with password',
+      description: 'A connection string with an embedded password is in the repository.',
+      recommendation: `Change the database password. ${ROTATE}`,
+    }),
+    secretRule('generic', {
+      id: 'hardcoded-credential',
+      severity: 'Critical',
+      title: 'Potential hardcoded credential',
+      description: 'A high-entropy value is assigned to a password, secret, token or key and may leak sensitive access.',
+      recommendation: 'Move secrets to environment variables and rotate exposed keys.',
+    }),
+  ],
+};
+
+export default secretsPack;
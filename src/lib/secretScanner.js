@@ -0,0 +1,173 @@
+import { isIgnoredPath } from './fileSelection.js';
+import { isTestFile } from './testAnalyzer.js';
+
+export const MAX_ENV_FILES = 20;
+export const MAX_ENV_FILE_SIZE = 100_000;
+
+// Provider detectors capture the secret itself in a `value` group so only that part is flagged and masked.
+const PROVIDER_DETECTORS = [
+  { id: 'aws-access-key', pattern: /\b(?<value>(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16})\b/dg },
+  {
+    id: 'aws-secret-key',
+    pattern: /aws[\w.-]{0,20}?(?:secret|private)[\w.-]{0,20}?['"]?\s*(?::=|=>|[:=])\s*['"]?(?<value>[A-Za-z0-9/+]{40})(?![A-Za-z0-9/+=])/dgi,
+  },
+  { id: 'github-token', pattern: /\b(?<value>(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{82})\b/dg },
+  {
+    id: 'slack-token',
+    pattern: /\b(?<value>xox[abposr]-[A-Za-z0-9-]{10,}|https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]+)/dg,
+  },
+  { id: 'stripe-key', pattern: /\b(?<value>(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,})\b/dg },
+  {
+    id: 'private-key',
+    pattern: /-----BEGIN ([A-Z0-9 ]*)PRIVATE KEY( BLOCK)?-----(?<value>[\s\S]+?)-----END \1PRIVATE KEY\2-----/dg,
+  },
+  {
+    id: 'jwt',
+    pattern: /\b(?<value>eyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{10,})/dg,
+    validate: (value) => decodesToJwtHeader(value.slice(0, value.indexOf('.'))),
+  },
+  {
+    id: 'connection-string',
+    pattern: /\b(?:postgres(?:ql)?|mysql|mariadb|mongodb(?:\+srv)?|rediss?|amqps?|mssql|sqlserver):\/\/[^\s:@/'"`]+:(?<value>[^\s@/'"`]+)@/dgi,
+  },
+  {
+    id: 'connection-string',
+    pattern: /\b(?:Server|Data Source|Host)\s*=[^;'"`\n]*;[^'"`\n]*?\b(?:Password|Pwd)\s*=\s*(?<value>[^;'"`\s]+)/dgi,
+  },
+];
+
+// Keyword assignments such as `apiKey = "..."` or `DB_PASSWORD=...` in .env files; the value decides whether it is a secret.
+const ASSIGNMENT_PATTERN =
+  /(?<name>[\w.-]*(?:passw(?:or)?d|pwd|secret|api[_-]?key|access[_-]?key|auth[_-]?token|token|credentials?|private[_-]?key)[\w-]*)['"]?\s*(?::=|=>|[:=])\s*(?<quote>['"`]?)(?<value>[^'"`\s,;()]{8,200})\k<quote>/dgi;
+const PASSWORD_NAME_PATTERN = /passw(or)?d|pwd/i;
+// `ACCESS_TOKEN_URL = 'https://.../access_token'` names where a secret is fetched or stored, not the secret itself.
+const LOCATION_NAME_PATTERN = /(url|uri|endpoint|path)$/i;
+const LOCATION_VALUE_PATTERN = /^([a-z][\w+.-]*:\/\/|\/)/i;
+
+// Random API keys sit around 4.5-6 bits per character; words, identifiers and slugs stay well below 3.5.
+const MIN_KEY_ENTROPY = 3.5;
+const MIN_KEY_LENGTH = 16;
+// Passwords are short and chosen by people, so they get a lower bar but must mix letters with digits or symbols.
+const MIN_PASSWORD_ENTROPY = 2.5;
+
+const PLACEHOLDER_PATTERN =
+  /example|dummy|fake|sample|placeholder|changeme|redacted|your[_-]|x{5,}|\*{3,}|\.{3}|^<.*>$|^\$\{?|^\{\{|^%\(?|^(process\.env|os\.environ|env)\b/i;
+const FIXTURE_PATH_PATTERN =
+  /(^|\/)(tests?|__tests__|specs?|fixtures?|__fixtures__|testdata|test-data|mocks?|__mocks__)\//i;
+
+// `.env`, `.env.production`, `prod.env` and direnv's `.envrc`; none of them have a code extension, so sampling skips them.
+const ENV_FILE_PATTERN = /(^|\/)(\.env(\.[\w.-]+)?|[\w.-]+\.env|\.envrc)$/i;
+
+const MASK_VISIBLE_PREFIX = 4;
+
+let lastScan = null;
+
+export function isTestFixture(path) {
+  return FIXTURE_PATH_PATTERN.test(path) || isTestFile(path);
+}
+
+export function isEnvFile(path) {
+  return ENV_FILE_PATTERN.test(path);
+}
+
+export function planEnvReads(entries) {
+  let budget = MAX_ENV_FILES;
+
+  return entries
+    .filter((entry) => isEnvFile(entry.path) && !isIgnoredPath(entry.path))
+    .sort((a, b) => a.path.split('/').length - b.path.split('/').length || a.path.localeCompare(b.path))
+    .map((entry) => {
+      const read = budget > 0 && !(entry.size > MAX_ENV_FILE_SIZE);
+      if (read) budget -= 1;
+      return { entry, read };
+    });
+}
+
+export function findSecrets(content) {
+  // Every secret rule scans the same file in turn, so the last result is kept for the next rule.
+  if (lastScan?.content === content) return lastScan.secrets;
+
+  const secrets = [];
+  for (const detector of PROVIDER_DETECTORS) {
+    for (const match of content.matchAll(detector.pattern)) {
+      const value = match.groups.value;
+      if (isPlaceholder(value) || (detector.validate && !detector.validate(value))) continue;
+      secrets.push({ detector: detector.id, ...valueRange(match) });
+    }
+  }
+
+  for (const match of content.matchAll(ASSIGNMENT_PATTERN)) {
+    const { name, quote, value } = match.groups;
+    if (isPlaceholder(value) || isLocation(name, value) || !looksGenerated(name, value, Boolean(quote))) continue;
+    const range = valueRange(match);
+    // A provider detector already reported this value with a more specific name.
+    if (secrets.some((secret) => overlaps(secret, range))) continue;
+    secrets.push({ detector: 'generic', ...range });
+  }
+
+  secrets.sort((a, b) => a.index - b.index);
+  lastScan = { content, secrets };
+  return secrets;
+}
+
+export function redactSecrets(content, secrets = findSecrets(content)) {
+  if (!secrets.length) return content;
+
+  // Masks keep the original length and line breaks, so offsets and line numbers still line up.
+  let redacted = '';
+  let cursor = 0;
+  for (const { index, length } of secrets) {
+    if (index < cursor) continue;
+    const value = content.slice(index, index + length);
+    const visible = value.length >= 20 && !value.includes('\n') ? MASK_VISIBLE_PREFIX : 0;
+    redacted += content.slice(cursor, index) + value.slice(0, visible) + value.slice(visible).replace(/[^\r\n]/g, '*');
+    cursor = index + length;
+  }
+  return redacted + content.slice(cursor);
+}
+
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const probability = count / value.length;
+    entropy -= probability * Math.log2(probability);
+  }
+  return entropy;
+}
+
+function looksGenerated(name, value, quoted) {
+  // Unquoted values in code are usually references such as `token = config.apiToken`.
+  if (!quoted && /^[A-Za-z_$][\w$]*(\.[\w$]+)*$/.test(value) && !/\d/.test(value)) return false;
+
+  if (PASSWORD_NAME_PATTERN.test(name) && /[A-Za-z]/.test(value) && /[^A-Za-z]/.test(value)) {
+    return shannonEntropy(value) >= MIN_PASSWORD_ENTROPY;
+  }
+  return value.length >= MIN_KEY_LENGTH && shannonEntropy(value) >= MIN_KEY_ENTROPY;
+}
+
+function isLocation(name, value) {
+  return LOCATION_NAME_PATTERN.test(name) || LOCATION_VALUE_PATTERN.test(value);
+}
+
+function isPlaceholder(value) {
+  return PLACEHOLDER_PATTERN.test(value) || new Set(value).size <= 3;
+}
+
+function decodesToJwtHeader(segment) {
+  try {
+    return typeof JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'))?.alg === 'string';
+  } catch {
+    return false;
+  }
+}
+
+function valueRange(match) {
+  const [start, end] = match.indices.groups.value;
+  return { index: start, length: end - start };
+}
+
+function overlaps(a, b) {
+  return a.index < b.index + b.length && b.index < a.index + a.length;
+}
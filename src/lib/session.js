@@ -0,0 +1,66 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'node:crypto';
+
+export const SESSION_COOKIE = 'rsx_session';
+export const OAUTH_STATE_COOKIE = 'rsx_oauth_state';
+export const SESSION_MAX_AGE_SECONDS = 8 * 60 * 60;
+
+const CIPHER = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+export function isSessionConfigured() {
+  return Boolean(process.env.SESSION_SECRET);
+}
+
+export function sealSession(session) {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv(CIPHER, deriveKey(), iv);
+  const payload = JSON.stringify({
+    ...session,
+    expiresAt: Date.now() + SESSION_MAX_AGE_SECONDS * 1000,
+  });
+  const encrypted = Buffer.concat([cipher.update(payload, 'utf8'), cipher.final()]);
+
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+export function readSession(request) {
+  const sealed = request.cookies.get(SESSION_COOKIE)?.value;
+  if (!sealed || !isSessionConfigured()) {
+    return null;
+  }
+
+  try {
+    const raw = Buffer.from(sealed, 'base64url');
+    const decipher = createDecipheriv(CIPHER, deriveKey(), raw.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    const payload = Buffer.concat([
+      decipher.update(raw.subarray(IV_LENGTH + TAG_LENGTH)),
+      decipher.final(),
+    ]).toString('utf8');
+
+    const session = JSON.parse(payload);
+    return session.expiresAt > Date.now() ? session : null;
+  } catch {
+    // Tampered, truncated or rotated-secret cookies are treated as signed out.
+    return null;
+  }
+}
+
+export function toViewer(session) {
+  return session?.user ? { id: session.user.id, login: session.user.login } : null;
+}
+
+export function cookieOptions(maxAge = SESSION_MAX_AGE_SECONDS) {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    maxAge,
+  };
+}
+
+function deriveKey() {
+  return createHash('sha256').update(process.env.SESSION_SECRET || '').digest();
+}
@@ -0,0 +1,319 @@
+// Splits source files into code, comments and string literals so rules can ignore prose and data.
+// This is a lexer, not a parser: heredocs, JSX text and similar edge cases fall back to code.
+
+const CODE = 0;
+const COMMENT = 1;
+const STRING = 2;
+const TEXT = 3;
+const KIND_BY_SCOPE = { code: CODE, comment: COMMENT, string: STRING, text: TEXT };
+
+const LANGUAGES = [
+  { id: 'javascript', pattern: /\.(jsx?|mjs|cjs|tsx?|mts|cts)$/i },
+  { id: 'python', pattern: /\.pyw?$/i },
+  { id: 'go', pattern: /\.go$/i },
+  { id: 'java', pattern: /\.java$/i },
+  { id: 'rust', pattern: /\.rs$/i },
+  { id: 'ruby', pattern: /\.(rb|rake|gemspec)$/i },
+  { id: 'shell', pattern: /\.(sh|bash|zsh)$/i },
+  // Other C-family languages share Java's comment and string syntax closely enough.
+  { id: 'c-family', pattern: /\.(c|cc|cpp|h|hpp|cs|kt|kts|scala|swift|php)$/i },
+];
+
+export const SOURCE_LANGUAGES = LANGUAGES.map((language) => language.id);
+export const SOURCE_SCOPES = Object.keys(KIND_BY_SCOPE);
+
+const LEXERS = {
+  javascript: {
+    lineComments: ['//'],
+    blockComment: ['/*', '*/'],
+    quotes: ['"', "'"],
+    templates: true,
+    regexLiterals: true,
+  },
+  python: { lineComments: ['#'], quotes: ['"', "'"], tripleQuotes: ['"""', "'''"], docstrings: true },
+  go: { lineComments: ['//'], blockComment: ['/*', '*/'], quotes: ['"', "'"], rawQuote: '`' },
+  java: { lineComments: ['//'], blockComment: ['/*', '*/'], quotes: ['"', "'"], tripleQuotes: ['"""'] },
+  rust: {
+    lineComments: ['//'],
+    blockComment: ['/*', '*/'],
+    nestedComments: true,
+    quotes: ['"'],
+    multilineStrings: true,
+    rawStrings: true,
+    charLiterals: true,
+  },
+  ruby: { lineComments: ['#'], quotes: ['"', "'", '`'], multilineStrings: true, embeddedDocs: true },
+  shell: { lineComments: ['#'], quotes: ['"', "'"], multilineStrings: true, wordComments: true },
+  'c-family': { lineComments: ['//'], blockComment: ['/*', '*/'], quotes: ['"', "'"], tripleQuotes: ['"""'] },
+};
+
+const REGEX_PRECEDING_CHARS = new Set([...'(,=:[!&|?{};+-*%<>~^']);
+const REGEX_PRECEDING_WORDS = new Set([
+  'return',
+  'typeof',
+  'instanceof',
+  'in',
+  'of',
+  'new',
+  'delete',
+  'void',
+  'throw',
+  'case',
+  'do',
+  'else',
+  'yield',
+  'await',
+]);
+
+export function getSourceLanguage(path) {
+  return LANGUAGES.find((language) => language.pattern.test(path))?.id || null;
+}
+
+export function tokenizeSource(path, content) {
+  const language = getSourceLanguage(path);
+  // Markup, data and configuration files have no code of their own; everything in them is text.
+  const kinds = language ? scan(content, LEXERS[language]) : new Uint8Array(content.length).fill(TEXT);
+  return { language, content, kinds, views: new Map() };
+}
+
+export function selectSource(tokens, scopes) {
+  const key = [...scopes].sort().join(',');
+  if (tokens.views.has(key)) return tokens.views.get(key);
+
+  // Blank out everything else but keep offsets and line breaks, so match positions map back to lines.
+  const wanted = new Set(scopes.map((scope) => KIND_BY_SCOPE[scope]));
+  const { content, kinds } = tokens;
+  let view = '';
+  let runStart = 0;
+  for (let index = 0; index <= content.length; index += 1) {
+    if (index < content.length && wanted.has(kinds[index]) === wanted.has(kinds[runStart])) continue;
+    const run = content.slice(runStart, index);
+    view += wanted.has(kinds[runStart]) ? run : run.replace(/[^\n]/g, ' ');
+    runStart = index;
+  }
+
+  tokens.views.set(key, view);
+  return view;
+}
+
+export function listSourceRuns(tokens) {
+  const { content, kinds } = tokens;
+  const runs = [];
+  let runStart = 0;
+  for (let index = 1; index <= content.length; index += 1) {
+    if (index < content.length && kinds[index] === kinds[runStart]) continue;
+    runs.push({ scope: SOURCE_SCOPES[kinds[runStart]], start: runStart, end: index });
+    runStart = index;
+  }
+  return runs;
+}
+
+export function countCommentLines(tokens) {
+  if (!tokens.language) return null;
+
+  const commentLines = new Set();
+  const { content, kinds } = tokens;
+  let line = 0;
+  for (let index = 0; index < content.length; index += 1) {
+    const char = content[index];
+    if (char === '\n') line += 1;
+    else if (kinds[index] === COMMENT && !/\s/.test(char)) commentLines.add(line);
+  }
+  return commentLines.size;
+}
+
+function scan(content, lexer) {
+  const kinds = new Uint8Array(content.length);
+  const length = content.length;
+  // One entry per open `${` in a template literal, counting the braces opened inside it.
+  const templateDepths = [];
+  let lastCodeChar = '';
+  let lastWord = '';
+  let index = 0;
+
+  const mark = (from, to, kind) => {
+    kinds.fill(kind, from, Math.min(to, length));
+    return Math.min(to, length);
+  };
+  const rest = (marker, at) => content.startsWith(marker, at);
+
+  while (index < length) {
+    const char = content[index];
+
+    if (lexer.embeddedDocs && rest('=begin', index) && (index === 0 || content[index - 1] === '\n')) {
+      const close = content.indexOf('\n=end', index);
+      const end = close === -1 ? length : lineEnd(content, close + 1);
+      index = mark(index, end, COMMENT);
+      continue;
+    }
+
+    const lineComment = lexer.lineComments.find((marker) => rest(marker, index));
+    if (lineComment && (!lexer.wordComments || index === 0 || /[\s;|&(]/.test(content[index - 1]))) {
+      index = mark(index, lineEnd(content, index), COMMENT);
+      continue;
+    }
+
+    if (lexer.blockComment && rest(lexer.blockComment[0], index)) {
+      index = mark(index, blockCommentEnd(content, index, lexer), COMMENT);
+      continue;
+    }
+
+    const triple = lexer.tripleQuotes?.find((quote) => rest(quote, index));
+    if (triple) {
+      const close = content.indexOf(triple, index + triple.length);
+      const end = close === -1 ? length : close + triple.length;
+      // A triple-quoted string on a line of its own is a docstring and documents the code like a comment.
+      const docstring = lexer.docstrings && /^\s*[rRuUbBfF]{0,2}$/.test(content.slice(lineStart(content, index), index));
+      index = mark(index, end, docstring ? COMMENT : STRING);
+      continue;
+    }
+
+    if (lexer.rawStrings && /^(b?r#*")/.test(content.slice(index, index + 10)) && !isWordChar(content[index - 1])) {
+      const opening = content.slice(index).match(/^b?r(#*)"/);
+      const close = content.indexOf(`"${opening[1]}`, index + opening[0].length);
+      index = mark(index, close === -1 ? length : close + 1 + opening[1].length, STRING);
+      continue;
+    }
+
+    if (lexer.rawQuote && char === lexer.rawQuote) {
+      const close = content.indexOf(lexer.rawQuote, index + 1);
+      index = mark(index, close === -1 ? length : close + 1, STRING);
+      continue;
+    }
+
+    if (lexer.charLiterals && char === "'") {
+      // Rust lifetimes ('a) share the quote with char literals ('a', '\n', '\u{1F600}').
+      const literal = content.slice(index, index + 12).match(/^'(\\u\{[0-9a-fA-F]+\}|\\.|[^\\'\n])'/);
+      if (literal) index = mark(index, index + literal[0].length, STRING);
+      else index += 1;
+      continue;
+    }
+
+    if (lexer.quotes.includes(char)) {
+      index = mark(index, quotedStringEnd(content, index, lexer), STRING);
+      continue;
+    }
+
+    if (lexer.templates && char === '`') {
+      index = templateEnd(content, index + 1, templateDepths, mark, index);
+      continue;
+    }
+
+    if (lexer.templates && templateDepths.length) {
+      if (char === '{') templateDepths[templateDepths.length - 1] += 1;
+      if (char === '}') {
+        if (templateDepths[templateDepths.length - 1] === 0) {
+          templateDepths.pop();
+          index = templateEnd(content, index + 1, templateDepths, mark, index);
+          continue;
+        }
+        templateDepths[templateDepths.length - 1] -= 1;
+      }
+    }
+
+    if (lexer.regexLiterals && char === '/' && startsRegex(lastCodeChar, lastWord)) {
+      const end = regexEnd(content, index);
+      if (end !== -1) {
+        index = mark(index, end, STRING);
+        lastCodeChar = '/';
+        lastWord = '';
+        continue;
+      }
+    }
+
+    if (!/\s/.test(char)) {
+      lastWord = isWordChar(char) ? (isWordChar(content[index - 1]) ? lastWord + char : char) : '';
+      lastCodeChar = char;
+    }
+    index += 1;
+  }
+
+  return kinds;
+}
+
+function quotedStringEnd(content, start, lexer) {
+  const quote = content[start];
+  for (let index = start + 1; index < content.length; index += 1) {
+    const char = content[index];
+    // Shell single quotes have no escapes at all.
+    if (char === '\\' && !(lexer.wordComments && quote === "'")) {
+      index += 1;
+    } else if (char === quote) {
+      return index + 1;
+    } else if (char === '\n' && !lexer.multilineStrings) {
+      // An unterminated string ends at the line break instead of swallowing the rest of the file.
+      return index;
+    }
+  }
+  return content.length;
+}
+
+function templateEnd(content, start, templateDepths, mark, from) {
+  for (let index = start; index < content.length; index += 1) {
+    const char = content[index];
+    if (char === '\\') {
+      index += 1;
+    } else if (char === '`') {
+      return mark(from, index + 1, STRING);
+    } else if (char === '$' && content[index + 1] === '{') {
+      templateDepths.push(0);
+      return mark(from, index + 2, STRING);
+    }
+  }
+  return mark(from, content.length, STRING);
+}
+
+function blockCommentEnd(content, start, lexer) {
+  const [open, close] = lexer.blockComment;
+  let depth = 0;
+  for (let index = start; index < content.length; index += 1) {
+    if (content.startsWith(open, index) && (depth === 0 || lexer.nestedComments)) {
+      depth += 1;
+      index += open.length - 1;
+    } else if (content.startsWith(close, index)) {
+      depth -= 1;
+      index += close.length - 1;
+      if (depth === 0) return index + 1;
+    }
+  }
+  return content.length;
+}
+
+function startsRegex(lastCodeChar, lastWord) {
+  if (!lastCodeChar) return true;
+  if (REGEX_PRECEDING_CHARS.has(lastCodeChar)) return true;
+  return isWordChar(lastCodeChar) && REGEX_PRECEDING_WORDS.has(lastWord);
+}
+
+function regexEnd(content, start) {
+  let inClass = false;
+  for (let index = start + 1; index < content.length; index += 1) {
+    const char = content[index];
+    if (char === '\n') return -1;
+    if (char === '\\') {
+      index += 1;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === ']') {
+      inClass = false;
+    } else if (char === '/' && !inClass) {
+      let end = index + 1;
+      while (end < content.length && /[a-z]/i.test(content[end])) end += 1;
+      return end;
+    }
+  }
+  return -1;
+}
+
+function lineStart(content, index) {
+  return content.lastIndexOf('\n', index - 1) + 1;
+}
+
+function lineEnd(content, index) {
+  const end = content.indexOf('\n', index);
+  return end === -1 ? content.length : end;
+}
+
+function isWordChar(char) {
+  return Boolean(char) && /[\w$]/.test(char);
+}
@@ -0,0 +1,343 @@
+import { isIgnoredPath } from './fileSelection.js';
+import { selectSource, tokenizeSource } from './sourceTokenizer.js';
+
+export const MAX_TEST_FILES = 20;
+export const MAX_TEST_FILE_SIZE = 200_000;
+
+const MAX_LISTED_UNTESTED = 25;
+// One test file for every two source files counts as full marks for the ratio component.
+const TARGET_TEST_RATIO = 0.5;
+
+const FINDING_PENALTY = {
+  'test-focused': 10,
+  'test-no-assertions': 5,
+  'test-skipped': 2,
+};
+
+const LANGUAGES = [
+  { id: 'javascript', pattern: /\.(jsx?|tsx?|mjs|cjs|mts|cts)$/i },
+  { id: 'python', pattern: /\.py$/i },
+  { id: 'go', pattern: /\.go$/i },
+  { id: 'jvm', pattern: /\.(java|kt)$/i },
+];
+
+const TEST_FILE_PATTERNS = {
+  javascript: [/\.(test|spec)\.[^/.]+$/i, /(^|\/)__tests__\//, /(^|\/)tests?\//],
+  python: [/(^|\/)test_[^/]+\.py$/i, /_test\.py$/i],
+  go: [/_test\.go$/],
+  jvm: [
+    /(^|\/)src\/(test|androidTest|integrationTest)\//,
+    /(Tests?|IT|Spec)\.(java|kt)$/,
+    /(^|\/)Test[A-Z][^/]*\.(java|kt)$/,
+  ],
+};
+
+// Helpers, fixtures and configuration that are neither tests nor modules that need tests.
+const NON_MODULE_PATTERNS = [
+  /(^|\/)(tests?|__tests__|__mocks__|__fixtures__|fixtures|testdata|test-utils|mocks|e2e|cypress|playwright)\//i,
+  /(^|\/)(examples?|docs?|scripts|migrations|benchmarks?|\.github|\.storybook)\//i,
+  /\.d\.[cm]?ts$/i,
+  /\.(config|setup|stories|story)\.[^/.]+$/i,
+  /(^|\/)(conftest|setup|__init__|__main__|manage|wsgi|asgi)\.py$/i,
+  /(^|\/)(next-env\.d|vite-env\.d)\.ts$/i,
+  /(^|\/)package-info\.java$/i,
+];
+
+const FRAMEWORK_CONFIGS = [
+  { pattern: /(^|\/)vitest\.(config|workspace)\.[^/]+$/, framework: 'Vitest' },
+  { pattern: /(^|\/)jest\.config\.[^/]+$/, framework: 'Jest' },
+  { pattern: /(^|\/)(\.mocharc\.[^/]+|\.mocharc)$/, framework: 'Mocha' },
+  { pattern: /(^|\/)(pytest\.ini|conftest\.py)$/, framework: 'pytest' },
+  { pattern: /(^|\/)playwright\.config\.[^/]+$/, framework: 'Playwright' },
+  { pattern: /(^|\/)cypress\.config\.[^/]+$/, framework: 'Cypress' },
+];
+
+const FRAMEWORK_DEPENDENCIES = {
+  npm: {
+    jest: 'Jest',
+    vitest: 'Vitest',
+    mocha: 'Mocha',
+    ava: 'AVA',
+    '@playwright/test': 'Playwright',
+    cypress: 'Cypress',
+  },
+  pypi: { pytest: 'pytest', nose2: 'nose2' },
+  maven: {
+    'org.junit.jupiter:junit-jupiter': 'JUnit',
+    'org.junit.jupiter:junit-jupiter-api': 'JUnit',
+    'junit:junit': 'JUnit',
+    'org.testng:testng': 'TestNG',
+  },
+};
+
+// `cases` finds where each test starts; `body` says how far it reaches: the call's parentheses, the
+// method's braces, or the def's indented block. Leading decorators and annotations belong to the test.
+const QUALITY_CHECKS = {
+  javascript: {
+    cases: /\b(?:it|test)(?:\.only)?\s*\(/g,
+    body: 'call',
+    focused: /\b(?:(?:describe|it|test|context)\.only|fit|fdescribe)\s*\(/g,
+    skipped: /\b(?:(?:describe|it|test|context)\.skip|xit|xdescribe|xtest)\s*\(/g,
+    assertions: /\b(expect|assert|should)\b|\.should\b|\bt\.(is|not|true|false|truthy|falsy|deepEqual|throws|snapshot|like|pass|fail)\b|\bcy\.|\bexpectTypeOf\b/,
+  },
+  python: {
+    cases: /^([ \t]*)(?:@.*\n\1)*(?:async\s+)?def\s+test_\w*/gm,
+    body: 'indent',
+    focused: null,
+    skipped: /@(pytest\.mark\.skip|unittest\.skip)\b/g,
+    assertions: /\bassert\b|self\.assert\w*\(|self\.fail\(|pytest\.(raises|warns|fail)\b/,
+  },
+  go: {
+    cases: /\bfunc\s+Test(?!Main\b)\w*(?=\s*\()/g,
+    body: 'braces',
+    focused: null,
+    skipped: /\bt\.Skip(Now|f)?\s*\(/g,
+    assertions: /\bt\.(Error|Errorf|Fatal|Fatalf|Fail|FailNow)\b|\b(assert|require|is|qt)\.\w+\(|\bcmp\.Diff\(/,
+  },
+  jvm: {
+    cases: /(?:@\w+(?:\([^)]*\))?\s*)*@(?:Test|ParameterizedTest|RepeatedTest)\b/g,
+    body: 'braces',
+    focused: null,
+    skipped: /@(Disabled|Ignore)\b/g,
+    assertions: /\bassert\w*\s*\(|\bverify\s*\(|\bassertThat\b|\bshould\w*\s*\(|\bexpect\w*\s*\(/,
+  },
+};
+
+export function getTestLanguage(path) {
+  return LANGUAGES.find((language) => language.pattern.test(path))?.id || null;
+}
+
+export function isTestFile(path) {
+  const language = getTestLanguage(path);
+  if (!language) return false;
+  return TEST_FILE_PATTERNS[language].some((pattern) => pattern.test(path));
+}
+
+export function planTestReads(entries) {
+  const tests = entries
+    .filter((entry) => isTestFile(entry.path) && !isIgnoredPath(entry.path) && !(entry.size > MAX_TEST_FILE_SIZE))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  // Spread the reads evenly over the sorted list so every package contributes a few test files.
+  const step = Math.max(1, tests.length / MAX_TEST_FILES);
+  const plan = [];
+  for (let index = 0; index < tests.length && plan.length < MAX_TEST_FILES; index += step) {
+    plan.push({ entry: tests[Math.floor(index)], read: true });
+  }
+  return plan;
+}
+
+export function analyzeTests({ paths = [], testFiles = [], dependencies = [] } = {}) {
+  const tests = [];
+  const sources = [];
+  for (const path of paths) {
+    const language = getTestLanguage(path);
+    if (!language || isIgnoredPath(path)) continue;
+    if (TEST_FILE_PATTERNS[language].some((pattern) => pattern.test(path))) {
+      tests.push({ path, language });
+    } else if (!NON_MODULE_PATTERNS.some((pattern) => pattern.test(path))) {
+      sources.push({ path, language });
+    }
+  }
+
+  if (!sources.length) {
+    return null;
+  }
+
+  const testedStems = new Set(tests.map((test) => testStem(test.path)));
+  const testedGoDirectories = new Set(
+    tests.filter((test) => test.language === 'go').map((test) => directoryOf(test.path)),
+  );
+  const untested = sources.filter((source) =>
+    source.language === 'go'
+      ? !testedGoDirectories.has(directoryOf(source.path))
+      : !testedStems.has(moduleStem(source.path)),
+  );
+
+  const quality = inspectTestFiles(testFiles);
+  const ratio = Number((tests.length / sources.length).toFixed(2));
+
+  return {
+    frameworks: detectFrameworks(paths, tests, dependencies),
+    testFiles: tests.length,
+    sourceFiles: sources.length,
+    ratio,
+    untestedModules: untested.length,
+    untested: untested.slice(0, MAX_LISTED_UNTESTED).map((source) => source.path),
+    inspectedFiles: quality.inspected,
+    findings: quality.findings,
+  };
+}
+
+export function scoreTesting(testing, findings = testing.findings) {
+  if (!testing.testFiles) return 15;
+
+  const testedShare = 1 - testing.untestedModules / testing.sourceFiles;
+  const penalties = findings.reduce((sum, finding) => sum + (FINDING_PENALTY[finding.ruleId] || 0), 0);
+  return clamp(
+    Math.round(
+      30 + Math.min(testing.ratio / TARGET_TEST_RATIO, 1) * 40 + testedShare * 28 - Math.min(penalties, 30),
+    ),
+    10,
+    98,
+  );
+}
+
+function inspectTestFiles(testFiles) {
+  const findings = [];
+  let inspected = 0;
+
+  for (const file of testFiles) {
+    const checks = QUALITY_CHECKS[getTestLanguage(file.path)];
+    if (!checks || typeof file.content !== 'string') continue;
+    inspected += 1;
+
+    // Commented-out `.only` calls or assertions, and test names, should not count either way.
+    const content = selectSource(tokenizeSource(file.path, file.content), ['code']);
+    const focused = checks.focused ? countMatches(content, checks.focused) : 0;
+    const skipped = countMatches(content, checks.skipped);
+    const cases = listTestCases(content, checks);
+    const unasserted = cases.filter((body) => !checks.assertions.test(body.text) && !isPendingTest(body.text, checks));
+
+    if (focused) {
+      findings.push({
+        ruleId: 'test-focused',
+        severity: 'High',
+        type: 'reliability',
+        file: file.path,
+        message: `${focused} focused test(s) (.only, fit or fdescribe) make the runner skip every other test in the suite.`,
+      });
+    }
+    if (skipped) {
+      findings.push({
+        ruleId: 'test-skipped',
+        severity: 'Low',
+        type: 'reliability',
+        file: file.path,
+        message: `${skipped} test(s) are skipped or disabled and no longer guard against regressions.`,
+      });
+    }
+    if (unasserted.length) {
+      findings.push({
+        ruleId: 'test-no-assertions',
+        severity: 'Medium',
+        type: 'reliability',
+        file: file.path,
+        line: lineOf(content, unasserted[0].start),
+        message: `${unasserted.length} of ${cases.length} test(s) make no assertions, so they pass as long as nothing throws.`,
+      });
+    }
+  }
+
+  return { inspected, findings };
+}
+
+function detectFrameworks(paths, tests, dependencies) {
+  const frameworks = new Set();
+  for (const path of paths) {
+    const config = FRAMEWORK_CONFIGS.find((candidate) => candidate.pattern.test(path));
+    if (config) frameworks.add(config.framework);
+  }
+  for (const dependency of dependencies) {
+    const framework = FRAMEWORK_DEPENDENCIES[dependency.ecosystem]?.[dependency.name];
+    if (framework) frameworks.add(framework);
+  }
+
+  const languages = new Set(tests.map((test) => test.language));
+  if (languages.has('go')) frameworks.add('Go testing');
+  if (languages.has('python') && ![...frameworks].some((name) => ['pytest', 'nose2'].includes(name))) {
+    frameworks.add('pytest/unittest');
+  }
+  if (languages.has('jvm') && !frameworks.has('TestNG')) frameworks.add('JUnit');
+  return [...frameworks].sort();
+}
+
+function testStem(path) {
+  const name = path.split('/').pop();
+  return name
+    .replace(/\.(test|spec)(?=\.[^.]+$)/i, '')
+    .replace(/\.[^.]+$/, '')
+    .replace(/^test_|_test$/i, '')
+    .replace(/^Test(?=[A-Z])|(Tests?|IT|Spec)$/, '')
+    .toLowerCase();
+}
+
+function moduleStem(path) {
+  const segments = path.split('/');
+  const name = segments.pop().replace(/\.[^.]+$/, '');
+  // index.js and __init__.py are tested under their package name.
+  return (/^(index|__init__|mod|main)$/i.test(name) && segments.length ? segments.pop() : name).toLowerCase();
+}
+
+function directoryOf(path) {
+  return path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+}
+
+function listTestCases(code, checks) {
+  return [...code.matchAll(checks.cases)].map((match) => {
+    const end = findTestEnd(code, match, checks.body);
+    return { start: match.index, text: code.slice(match.index, end) };
+  });
+}
+
+function findTestEnd(code, match, body) {
+  const after = match.index + match[0].length;
+  if (body === 'indent') {
+    // The body ends at the first non-blank line indented no deeper than the def.
+    const indent = match[1].length;
+    let lineEnd = code.indexOf('\n', after);
+    while (lineEnd !== -1) {
+      const next = code.indexOf('\n', lineEnd + 1);
+      const line = code.slice(lineEnd + 1, next === -1 ? code.length : next);
+      if (line.trim() && line.length - line.trimStart().length <= indent) return lineEnd;
+      lineEnd = next;
+    }
+    return code.length;
+  }
+
+  const opener = body === 'call' ? after - 1 : findOpeningBrace(code, after);
+  return opener === -1 ? after : findClosing(code, opener);
+}
+
+function findOpeningBrace(code, from) {
+  // Braces inside annotation or parameter lists, e.g. `@ValueSource(ints = {1, 2})`, are not the body.
+  let depth = 0;
+  for (let index = from; index < code.length; index += 1) {
+    const char = code[index];
+    if (char === '(') depth += 1;
+    else if (char === ')') depth -= 1;
+    else if (char === '{' && depth === 0) return index;
+    else if (char === ';' && depth === 0) return -1;
+  }
+  return -1;
+}
+
+function findClosing(code, opener) {
+  // Strings and comments are blanked in the code view, so brackets inside them are not counted.
+  const open = code[opener];
+  const close = open === '(' ? ')' : '}';
+  let depth = 0;
+  for (let index = opener; index < code.length; index += 1) {
+    if (code[index] === open) depth += 1;
+    else if (code[index] === close && --depth === 0) return index + 1;
+  }
+  return code.length;
+}
+
+function isPendingTest(text, checks) {
+  // Skipped tests are reported on their own, and `it('name')` without a callback is a placeholder.
+  if (text.search(checks.skipped) !== -1) return true;
+  return checks.body === 'call' && !/=>|\bfunction\b/.test(text);
+}
+
+function lineOf(content, offset) {
+  return content.slice(0, offset).split('\n').length;
+}
+
+function countMatches(content, regex) {
+  return (content.match(regex) || []).length;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,169 @@
+// Covers the TOML subset used by pyproject.toml, Cargo.toml and lockfiles: tables, arrays of tables,
+// dotted keys, strings, arrays and inline tables. Dates and numbers are returned as raw values.
+export function parseToml(text) {
+  const root = {};
+  const cursor = { text, index: 0 };
+  let table = root;
+
+  while (skipTrivia(cursor, true)) {
+    if (cursor.text.startsWith('[[', cursor.index)) {
+      cursor.index += 2;
+      const path = readKeyPath(cursor, ']]');
+      const parent = ensureTable(root, path.slice(0, -1));
+      const key = path[path.length - 1];
+      parent[key] = Array.isArray(parent[key]) ? parent[key] : [];
+      table = {};
+      parent[key].push(table);
+      continue;
+    }
+
+    if (cursor.text[cursor.index] === '[') {
+      cursor.index += 1;
+      table = ensureTable(root, readKeyPath(cursor, ']'));
+      continue;
+    }
+
+    const path = readKeyPath(cursor, '=');
+    skipTrivia(cursor, false);
+    assignPath(table, path, readValue(cursor));
+  }
+
+  return root;
+}
+
+function skipTrivia(cursor, acrossLines) {
+  const { text } = cursor;
+
+  while (cursor.index < text.length) {
+    const char = text[cursor.index];
+    if (char === '#') {
+      while (cursor.index < text.length && text[cursor.index] !== '\n') cursor.index += 1;
+    } else if (char === ' ' || char === '\t' || char === '\r' || (acrossLines && char === '\n')) {
+      cursor.index += 1;
+    } else {
+      break;
+    }
+  }
+
+  return cursor.index < text.length;
+}
+
+function readKeyPath(cursor, terminator) {
+  const path = [];
+
+  while (true) {
+    skipTrivia(cursor, false);
+    const char = cursor.text[cursor.index];
+    if (char === '"' || char === "'") {
+      path.push(readString(cursor));
+    } else {
+      const match = cursor.text.slice(cursor.index).match(/^[A-Za-z0-9_-]+/);
+      if (!match) throw new Error(`Invalid TOML key at offset ${cursor.index}`);
+      path.push(match[0]);
+      cursor.index += match[0].length;
+    }
+
+    skipTrivia(cursor, false);
+    if (cursor.text[cursor.index] === '.') {
+      cursor.index += 1;
+      continue;
+    }
+    if (!cursor.text.startsWith(terminator, cursor.index)) {
+      throw new Error(`Expected "${terminator}" at offset ${cursor.index}`);
+    }
+    cursor.index += terminator.length;
+    return path;
+  }
+}
+
+function readValue(cursor) {
+  const { text } = cursor;
+  const char = text[cursor.index];
+
+  if (char === '"' || char === "'") {
+    return readString(cursor);
+  }
+
+  if (char === '[') {
+    cursor.index += 1;
+    const items = [];
+    while (skipTrivia(cursor, true) && text[cursor.index] !== ']') {
+      items.push(readValue(cursor));
+      skipTrivia(cursor, true);
+      if (text[cursor.index] === ',') cursor.index += 1;
+    }
+    cursor.index += 1;
+    return items;
+  }
+
+  if (char === '{') {
+    cursor.index += 1;
+    const table = {};
+    while (skipTrivia(cursor, false) && text[cursor.index] !== '}') {
+      const path = readKeyPath(cursor, '=');
+      skipTrivia(cursor, false);
+      assignPath(table, path, readValue(cursor));
+      skipTrivia(cursor, false);
+      if (text[cursor.index] === ',') cursor.index += 1;
+    }
+    cursor.index += 1;
+    return table;
+  }
+
+  const match = text.slice(cursor.index).match(/^[^,\]}\n#]+/);
+  if (!match) throw new Error(`Invalid TOML value at offset ${cursor.index}`);
+  cursor.index += match[0].length;
+
+  const raw = match[0].trim();
+  if (raw === 'true' || raw === 'false') return raw === 'true';
+  const number = Number(raw.replace(/_/g, ''));
+  return Number.isFinite(number) ? number : raw;
+}
+
+function readString(cursor) {
+  const { text } = cursor;
+  const quote = text[cursor.index];
+  const multiline = text.startsWith(quote.repeat(3), cursor.index);
+  const delimiter = multiline ? quote.repeat(3) : quote;
+  cursor.index += delimiter.length;
+
+  let value = '';
+  while (cursor.index < text.length && !text.startsWith(delimiter, cursor.index)) {
+    const char = text[cursor.index];
+    if (char === '\\' && quote === '"') {
+      value += unescape(text[cursor.index + 1]);
+      cursor.index += 2;
+      continue;
+    }
+    if (char === '\n' && !multiline) {
+      throw new Error(`Unterminated TOML string at offset ${cursor.index}`);
+    }
+    value += char;
+    cursor.index += 1;
+  }
+
+  cursor.index += delimiter.length;
+  return multiline ? value.replace(/^\n/, '') : value;
+}
+
+function unescape(char) {
+  return { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' }[char] ?? char;
+}
+
+function ensureTable(root, path) {
+  let table = root;
+  for (const key of path) {
+    if (Array.isArray(table[key])) {
+      table = table[key][table[key].length - 1];
+    } else {
+      table[key] = table[key] && typeof table[key] === 'object' ? table[key] : {};
+      table = table[key];
+    }
+  }
+  return table;
+}
+
+function assignPath(table, path, value) {
+  const parent = ensureTable(table, path.slice(0, -1));
+  parent[path[path.length - 1]] = value;
+}
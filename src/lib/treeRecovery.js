@@ -0,0 +1,71 @@
+import { isIgnoredPath, scorePath } from './fileSelection.js';
+
+const MAX_DIRECTORY_REQUESTS = 150;
+const DIRECTORY_CONCURRENCY = 6;
+
+export async function recoverTruncatedTree({ provider, owner, repo, sha, partialEntries }) {
+  const entries = new Map(partialEntries.map((entry) => [entry.path, entry]));
+  const partialListingFiles = entries.size;
+  const pending = [{ path: '', sha: null, priority: 0, depth: 0 }];
+  const visited = new Set();
+  let directoriesWalked = 0;
+  let failedDirectories = 0;
+
+  while (pending.length && directoriesWalked < MAX_DIRECTORY_REQUESTS) {
+    pending.sort((a, b) => b.priority - a.priority || a.depth - b.depth);
+    const batch = pending.splice(
+      0,
+      Math.min(DIRECTORY_CONCURRENCY, MAX_DIRECTORY_REQUESTS - directoriesWalked),
+    );
+    batch.forEach((directory) => visited.add(directory.path));
+    directoriesWalked += batch.length;
+
+    const listings = await Promise.allSettled(
+      batch.map((directory) => provider.listDirectory(owner, repo, sha, directory)),
+    );
+
+    listings.forEach((listing, index) => {
+      if (listing.status === 'rejected') {
+        failedDirectories += 1;
+        return;
+      }
+
+      for (const item of listing.value) {
+        if (item.type === 'blob') {
+          entries.set(item.path, { path: item.path, size: item.size, sha: item.sha });
+          continue;
+        }
+
+        const directoryPath = `${item.path}/`;
+        if (visited.has(item.path) || isIgnoredPath(directoryPath)) {
+          continue;
+        }
+
+        pending.push({
+          path: item.path,
+          sha: item.sha,
+          priority: scorePath(directoryPath),
+          depth: batch[index].depth + 1,
+        });
+      }
+    });
+  }
+
+  const directoriesPending = pending.length;
+  const knownDirectories = directoriesWalked + directoriesPending;
+
+  return {
+    entries: [...entries.values()],
+    recovery: {
+      complete: directoriesPending === 0 && failedDirectories === 0,
+      partialListingFiles,
+      recoveredFiles: entries.size - partialListingFiles,
+      directoriesWalked,
+      directoriesPending,
+      failedDirectories,
+      recoveredRatio: knownDirectories
+        ? Number(((directoriesWalked - failedDirectories) / knownDirectories).toFixed(2))
+        : 1,
+    },
+  };
+}
@@ -0,0 +1,255 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STALE_AFTER_DAYS = 30;
+
+const MAVEN_QUALIFIERS = ['alpha', 'beta', 'milestone', 'rc', 'snapshot', '', 'sp'];
+const MAVEN_ALIASES = { a: 'alpha', b: 'beta', m: 'milestone', cr: 'rc', ga: '', final: '', release: '' };
+const PYTHON_PRE_RELEASES = { a: -3, alpha: -3, b: -2, beta: -2, c: -1, rc: -1, pre: -1, preview: -1 };
+
+export function scanVulnerabilities(resolved, databases, now = Date.now()) {
+  const findings = [];
+
+  for (const dependency of resolved) {
+    const database = databases[dependency.ecosystem];
+    const candidates = database?.packages?.[dependency.name];
+    if (!candidates) continue;
+
+    const matches = new Map();
+    for (const advisory of candidates) {
+      if (!matches.has(advisory.ids[0]) && isAffected(advisory, dependency)) {
+        matches.set(advisory.ids[0], {
+          ...advisory,
+          fixedIn: findFixedVersion(advisory, dependency),
+        });
+      }
+    }
+    if (matches.size) {
+      findings.push(buildFinding(dependency, [...matches.values()]));
+    }
+  }
+
+  return {
+    scanned: resolved.length,
+    databases: Object.entries(databases).map(([ecosystem, database]) => ({
+      ecosystem,
+      status: describeDatabase(database, now),
+      updatedAt: database?.updatedAt || null,
+      advisories: database?.advisories ?? 0,
+      error: database?.error || null,
+    })),
+    findings: findings.sort(
+      (a, b) => Number(b.severity === 'Critical') - Number(a.severity === 'Critical'),
+    ),
+  };
+}
+
+export function compareVersions(ecosystem, left, right) {
+  if (ecosystem === 'pypi') return comparePython(left, right);
+  if (ecosystem === 'maven') return compareMaven(left, right);
+  return compareSemver(left, right);
+}
+
+function buildFinding(dependency, advisories) {
+  const critical = advisories.some((advisory) => advisory.severity?.level === 'critical');
+  const ids = advisories.map((advisory) => preferredIds(advisory.ids).join('/'));
+  // Every advisory has to be fixed, so the upgrade target is the highest of their first fixed versions.
+  const fixedVersions = advisories.map((advisory) => advisory.fixedIn).filter(Boolean);
+  const fixedVersion = fixedVersions.length === advisories.length
+    ? fixedVersions.sort((a, b) => compareVersions(dependency.ecosystem, a, b) ?? 0).pop()
+    : null;
+
+  return {
+    ruleId: 'vulnerable-dependency',
+    severity: critical ? 'Critical' : 'High',
+    type: 'security',
+    manifest: dependency.sources[0],
+    package: dependency.name,
+    version: dependency.version,
+    ecosystem: dependency.ecosystem,
+    advisories: advisories.map((advisory) => ({
+      ids: advisory.ids,
+      summary: advisory.summary,
+      severity: advisory.severity?.level || null,
+      cvss: advisory.severity?.score ?? null,
+      fixedIn: advisory.fixedIn,
+    })),
+    fixedVersion,
+    message: `${dependency.name}@${dependency.version} is affected by ${ids.join(', ')}${
+      advisories[0].summary ? ` (${advisories[0].summary})` : ''
+    }.`,
+  };
+}
+
+function preferredIds(ids) {
+  const preferred = ids.filter((id) => /^(CVE|GHSA)-/.test(id));
+  return preferred.length ? preferred : ids.slice(0, 1);
+}
+
+function describeDatabase(database, now) {
+  if (!database) return 'missing';
+  if (database.error) return 'error';
+  return now - Date.parse(database.updatedAt) > STALE_AFTER_DAYS * DAY_MS ? 'stale' : 'current';
+}
+
+function isAffected(advisory, { ecosystem, version }) {
+  if (advisory.versions?.some((listed) => stripGoPrefix(listed) === stripGoPrefix(version))) {
+    return true;
+  }
+
+  return (advisory.ranges || []).some((range) => {
+    const compare = (left, right) =>
+      range.type === 'SEMVER' ? compareSemver(left, right) : compareVersions(ecosystem, left, right);
+    if (compare(version, version) === null) return false;
+    // compare() returns null for bounds it cannot parse, and `null >= 0` is true; such a range cannot be judged.
+    const bounds = range.events.flatMap((event) =>
+      [event.introduced, event.fixed, event.last_affected].filter((bound) => bound !== undefined && bound !== '0'),
+    );
+    if (bounds.some((bound) => compare(version, bound) === null)) return false;
+
+    // OSV evaluation: walk events in version order and toggle the affected state.
+    let affected = false;
+    for (const event of sortEvents(range.events, compare)) {
+      if (event.introduced !== undefined) {
+        if (event.introduced === '0' || compare(version, event.introduced) >= 0) affected = true;
+      } else if (event.fixed !== undefined) {
+        if (compare(version, event.fixed) >= 0) affected = false;
+      } else if (event.last_affected !== undefined) {
+        if (compare(version, event.last_affected) > 0) affected = false;
+      }
+    }
+    return affected;
+  });
+}
+
+function findFixedVersion(advisory, { ecosystem, version }) {
+  const fixed = (advisory.ranges || [])
+    .flatMap((range) => range.events.map((event) => event.fixed))
+    .filter((candidate) => candidate && compareVersions(ecosystem, candidate, version) > 0)
+    .sort((a, b) => compareVersions(ecosystem, a, b));
+  if (!fixed.length) return null;
+
+  // Go advisories omit the "v" prefix that go.mod versions carry.
+  return ecosystem === 'go' && version.startsWith('v') ? `v${stripGoPrefix(fixed[0])}` : fixed[0];
+}
+
+function sortEvents(events, compare) {
+  const versionOf = (event) => event.introduced ?? event.fixed ?? event.last_affected ?? event.limit;
+  return [...events]
+    .filter((event) => event.limit === undefined)
+    .sort((a, b) => {
+      if (versionOf(a) === '0') return -1;
+      if (versionOf(b) === '0') return 1;
+      return compare(versionOf(a), versionOf(b)) ?? 0;
+    });
+}
+
+function stripGoPrefix(version) {
+  return String(version).replace(/^v(?=\d)/, '');
+}
+
+function compareSemver(left, right) {
+  const a = parseSemver(left);
+  const b = parseSemver(right);
+  if (!a || !b) return null;
+
+  for (let index = 0; index < 3; index += 1) {
+    if (a.core[index] !== b.core[index]) return a.core[index] - b.core[index];
+  }
+  if (!a.pre.length || !b.pre.length) return b.pre.length - a.pre.length;
+
+  for (let index = 0; index < Math.max(a.pre.length, b.pre.length); index += 1) {
+    const x = a.pre[index];
+    const y = b.pre[index];
+    if (x === undefined || y === undefined) return x === undefined ? -1 : 1;
+    if (x === y) continue;
+    const numeric = [/^\d+$/.test(x), /^\d+$/.test(y)];
+    if (numeric[0] && numeric[1]) return Number(x) - Number(y);
+    if (numeric[0] !== numeric[1]) return numeric[0] ? -1 : 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+function parseSemver(version) {
+  const match = String(version)
+    .trim()
+    .match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+.*)?$/);
+  if (!match) return null;
+
+  return {
+    core: [Number(match[1]), Number(match[2] || 0), Number(match[3] || 0)],
+    pre: match[4] ? match[4].split('.') : [],
+  };
+}
+
+function comparePython(left, right) {
+  const a = parsePythonVersion(left);
+  const b = parsePythonVersion(right);
+  if (!a || !b) return null;
+
+  const keys = (version) => [version.epoch, ...version.release];
+  const length = Math.max(a.release.length, b.release.length) + 1;
+  const [x, y] = [keys(a), keys(b)];
+  for (let index = 0; index < length; index += 1) {
+    const delta = (x[index] || 0) - (y[index] || 0);
+    if (delta) return delta;
+  }
+
+  for (const field of ['pre', 'post', 'dev']) {
+    const delta = a[field] - b[field];
+    if (delta) return delta;
+  }
+  return 0;
+}
+
+function parsePythonVersion(version) {
+  const match = String(version)
+    .trim()
+    .toLowerCase()
+    .match(
+      /^v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|alpha|b|beta|c|rc|pre|preview)[-_.]?(\d*))?(?:-(\d+)|[-_.]?(?:post|rev|r)[-_.]?(\d*))?(?:[-_.]?dev[-_.]?(\d*))?(?:\+.*)?$/,
+    );
+  if (!match) return null;
+
+  const [, epoch, release, preLabel, preNumber, implicitPost, post, dev] = match;
+  const hasPost = implicitPost !== undefined || post !== undefined;
+  const hasDev = dev !== undefined;
+  // Ordering: X.devN < X.aN < X.bN < X.rcN < X < X.postN; dev releases precede their pre/post release.
+  let pre = 0;
+  if (preLabel) pre = PYTHON_PRE_RELEASES[preLabel] + Number(preNumber || 0) / 1e6;
+  else if (hasDev && !hasPost) pre = -4;
+
+  return {
+    epoch: Number(epoch || 0),
+    release: release.split('.').map(Number),
+    pre,
+    post: hasPost ? Number(implicitPost ?? post ?? 0) : -1,
+    dev: hasDev ? Number(dev || 0) : Infinity,
+  };
+}
+
+function compareMaven(left, right) {
+  const a = tokenizeMaven(left);
+  const b = tokenizeMaven(right);
+
+  for (let index = 0; index < Math.max(a.length, b.length); index += 1) {
+    const x = a[index] ?? (typeof b[index] === 'number' ? 0 : '');
+    const y = b[index] ?? (typeof a[index] === 'number' ? 0 : '');
+    if (x === y) continue;
+    if (typeof x === 'number' && typeof y === 'number') return x - y;
+    if (typeof x === 'number' || typeof y === 'number') return typeof x === 'number' ? 1 : -1;
+
+    const [rankX, rankY] = [MAVEN_QUALIFIERS.indexOf(x), MAVEN_QUALIFIERS.indexOf(y)];
+    if (rankX >= 0 && rankY >= 0) return rankX - rankY;
+    if (rankX >= 0 || rankY >= 0) return rankX >= 0 ? -1 : 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+function tokenizeMaven(version) {
+  return String(version)
+    .toLowerCase()
+    .split(/[.-]|(?<=\d)(?=[a-z])|(?<=[a-z])(?=\d)/)
+    .filter(Boolean)
+    .map((token) => (/^\d+$/.test(token) ? Number(token) : MAVEN_ALIASES[token] ?? token));
+}
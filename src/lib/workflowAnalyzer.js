@@ -0,0 +1,328 @@
+import yaml from 'js-yaml';
+
+export const MAX_WORKFLOW_FILES = 40;
+export const MAX_WORKFLOW_SIZE = 512_000;
+
+const MAX_LISTED_ACTIONS = 5;
+
+const SEVERITY_ORDER = {
+  Critical: 4,
+  High: 3,
+  Medium: 2,
+  Low: 1,
+};
+
+const WORKFLOW_PATTERN = /^\.github\/workflows\/[^/]+\.ya?ml$/;
+const COMMIT_SHA_PATTERN = /^[0-9a-f]{40}$/i;
+const EXPRESSION_PATTERN = /\$\{\{([\s\S]*?)\}\}/g;
+
+// Event fields an outside contributor controls (issue/PR text, branch names, commit metadata).
+const UNTRUSTED_CONTEXT_PATTERN =
+  /\bgithub\.(head_ref|event\.(?:[\w.*[\]-]*\.)?(body|title|message|name|email|label|head_ref|ref|default_branch|page_name))\b/i;
+const PR_HEAD_REF_PATTERN = /github\.(head_ref|event\.pull_request\.head\.(sha|ref|repo))|refs\/pull\//;
+const LOG_COMMAND_PATTERN = /^\s*(?:[\w-]+=\S*\s+)*(echo|printf|print|cat|Write-Host|Write-Output)\b/;
+
+// Actions published by GitHub itself; tag pinning is less risky there than for third-party actions.
+const FIRST_PARTY_OWNERS = new Set(['actions', 'github']);
+
+export function isWorkflowFile(path) {
+  return WORKFLOW_PATTERN.test(path);
+}
+
+export function planWorkflowReads(entries) {
+  let budget = MAX_WORKFLOW_FILES;
+
+  return entries
+    .filter((entry) => isWorkflowFile(entry.path))
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .map((entry) => {
+      const read = budget > 0 && !(entry.size > MAX_WORKFLOW_SIZE);
+      if (read) budget -= 1;
+      return { entry, read };
+    });
+}
+
+export function analyzeWorkflows(workflowFiles = []) {
+  if (!workflowFiles.length) {
+    return null;
+  }
+
+  const workflows = [];
+  const findings = [];
+  const parseErrors = [];
+
+  for (const file of workflowFiles) {
+    if (file.content === null || file.content === undefined) {
+      parseErrors.push({ path: file.path, message: 'Workflow was not read (size or file limit).' });
+      continue;
+    }
+
+    let document;
+    try {
+      document = yaml.load(file.content);
+    } catch (error) {
+      parseErrors.push({ path: file.path, message: error.message.split('\n')[0] });
+      continue;
+    }
+    if (!document || typeof document !== 'object' || !document.jobs || typeof document.jobs !== 'object') {
+      parseErrors.push({ path: file.path, message: 'Workflow has no jobs.' });
+      continue;
+    }
+
+    const workflow = readWorkflow(file.path, document);
+    workflows.push({
+      path: workflow.path,
+      name: workflow.name,
+      triggers: workflow.triggers,
+      jobs: workflow.jobs.length,
+    });
+    findings.push(
+      ...checkUnpinnedActions(workflow),
+      ...checkPermissions(workflow),
+      ...checkPullRequestTarget(workflow),
+      ...checkScriptInjection(workflow),
+      ...checkSecretLogging(workflow),
+    );
+  }
+
+  return {
+    workflows,
+    findings: findings.sort((a, b) => SEVERITY_ORDER[b.severity] - SEVERITY_ORDER[a.severity]),
+    parseErrors,
+  };
+}
+
+function readWorkflow(path, document) {
+  const on = document.on;
+  const triggers = typeof on === 'string' ? [on] : Array.isArray(on) ? on : Object.keys(on || {});
+
+  return {
+    path,
+    name: typeof document.name === 'string' ? document.name : path.split('/').pop(),
+    triggers: triggers.map(String),
+    permissions: document.permissions,
+    env: document.env,
+    jobs: Object.entries(document.jobs).map(([id, job]) => ({
+      id,
+      name: typeof job?.name === 'string' ? `${job.name} (${id})` : id,
+      permissions: job?.permissions,
+      uses: typeof job?.uses === 'string' ? job.uses : null,
+      env: job?.env,
+      steps: Array.isArray(job?.steps) ? job.steps.filter((step) => step && typeof step === 'object') : [],
+    })),
+  };
+}
+
+function checkUnpinnedActions(workflow) {
+  const unpinned = new Map();
+  for (const job of workflow.jobs) {
+    // Reusable workflows are referenced from the job; actions from its steps.
+    const references = [job.uses, ...job.steps.map((step) => step.uses)].filter(
+      (reference) => typeof reference === 'string',
+    );
+    for (const reference of references) {
+      if (isPinned(reference)) continue;
+      const entry = unpinned.get(reference) || { jobs: new Set(), firstParty: isFirstParty(reference) };
+      entry.jobs.add(job.name);
+      unpinned.set(reference, entry);
+    }
+  }
+
+  const findings = [];
+  for (const firstParty of [false, true]) {
+    const references = [...unpinned].filter(([, entry]) => entry.firstParty === firstParty);
+    if (!references.length) continue;
+
+    const listed = references.slice(0, MAX_LISTED_ACTIONS).map(([reference]) => reference);
+    findings.push(
+      buildFinding(
+        'workflow-unpinned-action',
+        firstParty ? 'Low' : 'Medium',
+        workflow,
+        [...new Set(references.flatMap(([, entry]) => [...entry.jobs]))].join(', '),
+        `${references.length} ${firstParty ? 'GitHub-maintained' : 'third-party'} action(s) are referenced by a mutable tag or branch instead of a commit SHA: ${listed.join(', ')}${
+          references.length > MAX_LISTED_ACTIONS ? ', ...' : ''
+        }.`,
+      ),
+    );
+  }
+  return findings;
+}
+
+function isPinned(reference) {
+  if (reference.startsWith('./')) return true;
+  if (reference.startsWith('docker://')) return /@sha256:[0-9a-f]{64}$/i.test(reference);
+  const ref = reference.split('@')[1];
+  return Boolean(ref && COMMIT_SHA_PATTERN.test(ref));
+}
+
+function isFirstParty(reference) {
+  return FIRST_PARTY_OWNERS.has(reference.split('/')[0].toLowerCase());
+}
+
+function checkPermissions(workflow) {
+  const findings = [];
+  const scopes = [
+    { permissions: workflow.permissions, job: null },
+    ...workflow.jobs.map((job) => ({ permissions: job.permissions, job: job.name })),
+  ];
+  for (const scope of scopes) {
+    if (scope.permissions === 'write-all') {
+      findings.push(
+        buildFinding(
+          'workflow-write-all',
+          'High',
+          workflow,
+          scope.job,
+          `${scope.job ? `Job ${scope.job}` : 'The workflow'} grants the GITHUB_TOKEN write access to every scope.`,
+        ),
+      );
+    }
+  }
+
+  if (workflow.permissions === undefined) {
+    const unscoped = workflow.jobs.filter((job) => job.permissions === undefined && !job.uses);
+    if (unscoped.length) {
+      findings.push(
+        buildFinding(
+          'workflow-missing-permissions',
+          'Medium',
+          workflow,
+          unscoped.map((job) => job.name).join(', '),
+          'No permissions block is declared, so the GITHUB_TOKEN falls back to the repository default, which may allow writes.',
+        ),
+      );
+    }
+  }
+  return findings;
+}
+
+function checkPullRequestTarget(workflow) {
+  if (!workflow.triggers.includes('pull_request_target')) return [];
+
+  const findings = [];
+  for (const job of workflow.jobs) {
+    const checkout = job.steps.find(
+      (step) =>
+        typeof step.uses === 'string' &&
+        /^actions\/checkout@/i.test(step.uses) &&
+        PR_HEAD_REF_PATTERN.test(`${step.with?.ref ?? ''} ${step.with?.repository ?? ''}`),
+    );
+    const fetches = job.steps.find(
+      (step) =>
+        typeof step.run === 'string' &&
+        /\bgit\s+(fetch|checkout|pull)\b/.test(step.run) &&
+        PR_HEAD_REF_PATTERN.test(step.run),
+    );
+    if (!checkout && !fetches) continue;
+
+    findings.push(
+      buildFinding(
+        'workflow-pr-target-checkout',
+        'Critical',
+        workflow,
+        job.name,
+        'pull_request_target runs with repository secrets and a write token, and this job checks out the untrusted pull request code.',
+      ),
+    );
+  }
+  return findings;
+}
+
+function checkScriptInjection(workflow) {
+  const findings = [];
+  for (const job of workflow.jobs) {
+    for (const step of job.steps) {
+      // github-script evaluates its `script` input as JavaScript, which is just as injectable as `run`.
+      const script = typeof step.run === 'string'
+        ? step.run
+        : typeof step.uses === 'string' && /^actions\/github-script@/i.test(step.uses)
+          ? step.with?.script
+          : null;
+      if (typeof script !== 'string') continue;
+
+      const contexts = [...script.matchAll(EXPRESSION_PATTERN)]
+        .map((match) => match[1].trim())
+        .filter((expression) => UNTRUSTED_CONTEXT_PATTERN.test(expression));
+      if (!contexts.length) continue;
+
+      findings.push(
+        buildFinding(
+          'workflow-script-injection',
+          'High',
+          workflow,
+          job.name,
+          `Step "${describeStep(step)}" interpolates attacker-controlled ${[...new Set(contexts)]
+            .map((context) => `\${{ ${context} }}`)
+            .join(', ')} directly into a script.`,
+        ),
+      );
+    }
+  }
+  return findings;
+}
+
+function checkSecretLogging(workflow) {
+  const findings = [];
+  const workflowSecrets = collectSecretVariables(workflow.env);
+
+  for (const job of workflow.jobs) {
+    const jobSecrets = new Set([...workflowSecrets, ...collectSecretVariables(job.env)]);
+    for (const step of job.steps) {
+      if (typeof step.run !== 'string') continue;
+
+      const secrets = new Set([...jobSecrets, ...collectSecretVariables(step.env)]);
+      const leaking = step.run.split('\n').find((line) => logsSecret(line, secrets));
+      const dumpsAll = /toJSON\(\s*secrets\s*\)/i.test(step.run);
+      if (!leaking && !dumpsAll) continue;
+
+      findings.push(
+        buildFinding(
+          'workflow-secret-echo',
+          'High',
+          workflow,
+          job.name,
+          dumpsAll
+            ? `Step "${describeStep(step)}" serializes the whole secrets context.`
+            : `Step "${describeStep(step)}" prints a secret to the job log: ${leaking.trim().slice(0, 120)}`,
+        ),
+      );
+    }
+  }
+  return findings;
+}
+
+function collectSecretVariables(env) {
+  if (!env || typeof env !== 'object') return [];
+  return Object.entries(env)
+    .filter(([, value]) => typeof value === 'string' && /\$\{\{\s*secrets\./.test(value))
+    .map(([name]) => name);
+}
+
+function logsSecret(line, secretVariables) {
+  if (!LOG_COMMAND_PATTERN.test(line)) return false;
+  // Piping or redirecting hands the value to another command or file instead of the log.
+  const redirect = line.match(/\s(?:\|(?!\|)|\d?>{1,2})\s*(.*)$/);
+  if (redirect && !/^tee\b/.test(redirect[1])) return false;
+  const command = redirect ? line.slice(0, redirect.index) : line;
+  if (/\$\{\{\s*secrets\./.test(command)) return true;
+  return [...secretVariables].some((name) => new RegExp(`\\$\\{?${name}\\b|\\$env:${name}\\b`).test(command));
+}
+
+function describeStep(step) {
+  if (typeof step.name === 'string') return step.name;
+  if (typeof step.id === 'string') return step.id;
+  if (typeof step.uses === 'string') return step.uses;
+  return String(step.run).split('\n')[0].slice(0, 60);
+}
+
+function buildFinding(ruleId, severity, workflow, job, message) {
+  return {
+    ruleId,
+    severity,
+    type: 'security',
+    workflow: workflow.path,
+    job: job || null,
+    message,
+  };
+}